@@ -3,6 +3,8 @@ const path = require('path');
 const { setupSettingsHandlers } = require('./main/settings.js');
 const { setupModelAPIHandlers } = require('./main/modelAPI.js');
 const { setupFileSystemHandlers, cleanupFileHandles } = require('./main/fileSystem.js');
+const { setupProjectHandlers } = require('./main/projectStore.js');
+const { stopMockServer } = require('./main/mockModelServer.js');
 const logger = require('./main/logger');
 
 // Keep a global reference of the window object
@@ -54,6 +56,9 @@ app.whenReady().then(() => {
     // Set up IPC handlers for file system operations
     setupFileSystemHandlers(ipcMain);
 
+    // Set up IPC handlers for saved projects
+    setupProjectHandlers(ipcMain);
+
     // Create the window
     createWindow();
 });
@@ -63,6 +68,7 @@ app.on('before-quit', () => {
     logger.debugLog('Application is quitting, performing cleanup...');
     isQuitting = true;
     cleanupFileHandles();
+    stopMockServer();
 });
 
 // Quit when all windows are closed, ensuring cleanup
@@ -1,6 +1,14 @@
-const { dialog } = require('electron');
+const { app, dialog } = require('electron');
 const fs = require('fs');
 const path = require('path');
+const snapshotStore = require('./snapshotStore');
+const projectStore = require('./projectStore');
+
+// Largest document that can be imported as a spec
+const MAX_DOCUMENT_BYTES = 1024 * 1024;
+
+// Folders the user has picked in the folder dialog; only these can be reused as the project folder
+const CHOSEN_FOLDERS_PATH = path.join(app.getPath('userData'), 'chosenFolders.json');
 
 // Store the project folder path
 let projectFolderPath = null;
@@ -28,6 +36,47 @@ function getAllFiles(dirPath, arrayOfFiles = []) {
     return arrayOfFiles;
 }
 
+/**
+ * Save the folders the user has picked in the folder dialog
+ * @param {Set<string>} folders - Absolute folder paths
+ */
+function writeChosenFolders(folders) {
+    fs.writeFileSync(CHOSEN_FOLDERS_PATH, JSON.stringify([...folders], null, 2), 'utf8');
+}
+
+/**
+ * Read the folders the user has picked in the folder dialog
+ * The first time, the folders of the saved projects are taken over, since they were picked before the list existed
+ * @returns {Set<string>} Absolute folder paths
+ */
+function readChosenFolders() {
+    try {
+        return new Set(JSON.parse(fs.readFileSync(CHOSEN_FOLDERS_PATH, 'utf8')));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Error reading the chosen folders: ${error.message}`);
+            return new Set();
+        }
+    }
+
+    const folders = new Set(projectStore.listProjects()
+        .map(project => project.projectFolder)
+        .filter(Boolean)
+        .map(folderPath => path.resolve(folderPath)));
+    writeChosenFolders(folders);
+    return folders;
+}
+
+/**
+ * Remember a folder the user picked in the folder dialog
+ * @param {string} folderPath - Absolute folder path
+ */
+function rememberChosenFolder(folderPath) {
+    const folders = readChosenFolders();
+    folders.add(path.resolve(folderPath));
+    writeChosenFolders(folders);
+}
+
 /**
  * Clean up all file system resources and release handles
  */
@@ -52,11 +101,48 @@ function cleanupFileHandles() {
     console.log('File system cleanup complete');
 }
 
+/**
+ * Check whether a path is inside the project folder
+ * @param {string} filePath - Absolute path to check
+ * @returns {boolean} True if the path is inside the project folder
+ */
+function isInProjectFolder(filePath) {
+    const relativePath = path.relative(projectFolderPath, path.resolve(filePath));
+    return Boolean(relativePath) && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Get the project folder for operations that need one
+ * @returns {string} The project folder path
+ * @throws {Error} If no project folder is set
+ */
+function requireProjectFolder() {
+    if (!projectFolderPath) {
+        throw new Error('Project folder not set');
+    }
+    return projectFolderPath;
+}
+
+/**
+ * Check that a path is inside the project folder, and not the folder itself
+ * @param {string} filePath - Absolute path to check
+ * @throws {Error} If no project folder is set or the path is outside it
+ */
+function requireProjectPath(filePath) {
+    requireProjectFolder();
+    if (!filePath || !isInProjectFolder(filePath)) {
+        throw new Error('Security violation: Attempted to change a path outside the project folder');
+    }
+}
+
 /**
  * Set up IPC handlers for file system operations
  * @param {Object} ipcMain - Electron's ipcMain object
  */
 function setupFileSystemHandlers(ipcMain) {
+    // Take over the saved projects' folders before the renderer can change the project store
+    readChosenFolders();
+
     // Handler for selecting a folder
     ipcMain.handle('files:selectFolder', async () => {
         const result = await dialog.showOpenDialog({
@@ -70,16 +156,66 @@ function setupFileSystemHandlers(ipcMain) {
                 cleanupFileHandles();
             }
             projectFolderPath = result.filePaths[0];
+            rememberChosenFolder(projectFolderPath);
         }
 
         return result;
     });
 
+    // Handler for choosing spec documents to import; they may live outside the project folder
+    ipcMain.handle('files:selectDocuments', async () => {
+        const result = await dialog.showOpenDialog({
+            properties: ['openFile', 'multiSelections'],
+            title: 'Import Spec Documents',
+            filters: [
+                { name: 'Markdown and text', extensions: ['md', 'markdown', 'txt'] },
+                { name: 'All files', extensions: ['*'] }
+            ]
+        });
+
+        if (result.canceled) {
+            return { canceled: true, documents: [] };
+        }
+
+        const documents = result.filePaths.map(filePath => {
+            const name = path.basename(filePath);
+            try {
+                if (fs.statSync(filePath).size > MAX_DOCUMENT_BYTES) {
+                    return { name, path: filePath, error: 'File is larger than 1 MB' };
+                }
+                return { name, path: filePath, content: fs.readFileSync(filePath, 'utf8') };
+            } catch (error) {
+                return { name, path: filePath, error: error.message };
+            }
+        });
+
+        return { canceled: false, documents };
+    });
+
     // Handler for getting the current project folder
     ipcMain.handle('files:getProjectFolder', () => {
         return projectFolderPath;
     });
 
+    // Handler for reusing a folder chosen earlier, e.g. when a saved project is reopened
+    // Only folders the user picked in the dialog are accepted, so the renderer can't widen the write sandbox
+    ipcMain.handle('files:useFolder', (event, folderPath) => {
+        if (!folderPath || !fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+            return null;
+        }
+
+        if (!readChosenFolders().has(path.resolve(folderPath))) {
+            console.error(`Refused to use ${folderPath} as the project folder: it was not picked in the folder dialog`);
+            return null;
+        }
+
+        if (projectFolderPath) {
+            cleanupFileHandles();
+        }
+        projectFolderPath = folderPath;
+        return projectFolderPath;
+    });
+
     // Handler for reading file content - use file descriptors for better tracking
     ipcMain.handle('files:readFile', async (event, filePath) => {
         try {
@@ -118,8 +254,14 @@ function setupFileSystemHandlers(ipcMain) {
     });
 
     // Handler for writing to a file - use file descriptors for better tracking
-    ipcMain.handle('files:writeFile', async (event, filePath, content) => {
+    // Files in the project folder are snapshotted first so the write can be undone
+    ipcMain.handle('files:writeFile', async (event, filePath, content, snapshotDetails = {}) => {
         try {
+            if (projectFolderPath && isInProjectFolder(filePath)) {
+                const { turnId = null, taskId = null } = snapshotDetails || {};
+                snapshotStore.takeSnapshot(projectFolderPath, filePath, { turnId, taskId });
+            }
+
             let fd;
             try {
                 // Ensure the directory exists
@@ -159,14 +301,21 @@ function setupFileSystemHandlers(ipcMain) {
         }
     });
 
-    // Handler for deleting a file
-    ipcMain.handle('files:deleteFile', async (event, filePath) => {
+    // Handler for deleting a file or folder in the project folder
+    // Every file removed is snapshotted first so the delete can be undone
+    ipcMain.handle('files:deleteFile', async (event, filePath, snapshotDetails = {}) => {
         try {
-            // Check if it's a directory
+            requireProjectPath(filePath);
+
+            const { turnId = null, taskId = null } = snapshotDetails || {};
             const stats = fs.statSync(filePath);
+            const removedFiles = stats.isDirectory() ? getAllFiles(filePath) : [filePath];
+            removedFiles.forEach(removedFile => {
+                snapshotStore.takeSnapshot(projectFolderPath, removedFile, { turnId, taskId });
+            });
 
             if (stats.isDirectory()) {
-                fs.rmdirSync(filePath, { recursive: true });
+                fs.rmSync(filePath, { recursive: true });
             } else {
                 fs.unlinkSync(filePath);
             }
@@ -178,6 +327,50 @@ function setupFileSystemHandlers(ipcMain) {
         }
     });
 
+    // Handler for moving or renaming a file in the project folder; existing files are never overwritten
+    ipcMain.handle('files:moveFile', async (event, fromPath, toPath, snapshotDetails = {}) => {
+        try {
+            requireProjectPath(fromPath);
+            requireProjectPath(toPath);
+
+            if (!fs.existsSync(fromPath) || !fs.statSync(fromPath).isFile()) {
+                throw new Error(`${path.relative(projectFolderPath, fromPath)} is not a file`);
+            }
+            if (fs.existsSync(toPath)) {
+                throw new Error(`${path.relative(projectFolderPath, toPath)} already exists`);
+            }
+
+            // Undoing the move puts the file back and removes the new one
+            const { turnId = null, taskId = null } = snapshotDetails || {};
+            snapshotStore.takeSnapshot(projectFolderPath, fromPath, { turnId, taskId });
+            snapshotStore.takeSnapshot(projectFolderPath, toPath, { turnId, taskId });
+
+            fs.mkdirSync(path.dirname(toPath), { recursive: true });
+            fs.renameSync(fromPath, toPath);
+            return toPath;
+        } catch (error) {
+            console.error(`Error moving file ${fromPath} to ${toPath}:`, error);
+            throw error;
+        }
+    });
+
+    // Handler for creating a folder, with any missing parent folders, in the project folder
+    ipcMain.handle('files:createDirectory', async (event, dirPath) => {
+        try {
+            requireProjectPath(dirPath);
+
+            if (fs.existsSync(dirPath) && !fs.statSync(dirPath).isDirectory()) {
+                throw new Error(`${path.relative(projectFolderPath, dirPath)} is a file`);
+            }
+
+            fs.mkdirSync(dirPath, { recursive: true });
+            return dirPath;
+        } catch (error) {
+            console.error(`Error creating folder ${dirPath}:`, error);
+            throw error;
+        }
+    });
+
     // Handler for listing all files in the project folder
     ipcMain.handle('files:listFiles', async () => {
         if (!projectFolderPath) {
@@ -194,6 +387,36 @@ function setupFileSystemHandlers(ipcMain) {
         }
     });
 
+    // Handler for listing the snapshots of the project files, optionally of one file
+    ipcMain.handle('files:listSnapshots', (event, relativePath = null) => {
+        return snapshotStore.listSnapshots(requireProjectFolder(), relativePath);
+    });
+
+    // Handler for reading the content saved in a snapshot
+    ipcMain.handle('files:readSnapshot', (event, snapshotId) => {
+        return snapshotStore.readSnapshot(requireProjectFolder(), snapshotId);
+    });
+
+    // Handler for restoring a file to the version in a snapshot
+    ipcMain.handle('files:restoreSnapshot', (event, snapshotId) => {
+        try {
+            return snapshotStore.restoreSnapshot(requireProjectFolder(), snapshotId);
+        } catch (error) {
+            console.error(`Error restoring snapshot ${snapshotId}:`, error);
+            throw error;
+        }
+    });
+
+    // Handler for undoing the file writes of an assistant turn
+    ipcMain.handle('files:undoTurn', (event, turnId) => {
+        try {
+            return snapshotStore.undoTurn(requireProjectFolder(), turnId);
+        } catch (error) {
+            console.error(`Error undoing turn ${turnId}:`, error);
+            throw error;
+        }
+    });
+
     // Handler for opening a file with default application
     ipcMain.handle('files:openFile', async (event, filePath) => {
         try {
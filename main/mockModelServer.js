@@ -0,0 +1,344 @@
+/**
+ * Offline mock of an OpenAI-compatible chat completions server
+ *
+ * Replies are scripted by JSON fixture files so the whole flow (clarification,
+ * context, breakdown, file requests, <file> writes and tool calls) can run with
+ * no network. The model name picks the fixture: "mock/full-flow" plays
+ * fixtures/mock-model/full-flow.json.
+ *
+ * Fixture format:
+ * {
+ *   "rules": [
+ *     {
+ *       "name": "optional label for the log",
+ *       "match": { "system": "regex", "lastUser": "regex", "lastRole": "tool", "lastToolCall": "write_file", "tools": true },
+ *       "response": "reply text"  or  "responses": [ ...played in order, the last one repeats ]
+ *     }
+ *   ]
+ * }
+ * A response is a string or an object with any of content, toolCalls
+ * ([{ name, arguments }]), finishReason, usage and error ({ status, message, retryAfter }).
+ * The first rule whose match conditions all hold is used. lastToolCall is the
+ * name of a tool called in the most recent assistant turn that called tools.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Fixtures shipped with the app
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'mock-model');
+
+// Size of the pieces streamed responses are split into
+const STREAM_CHUNK_SIZE = 24;
+
+let server = null;
+// The start in progress or done, resolving to the server's URL, so calls that
+// arrive together share one server
+let serverStart = null;
+let fixturesDir = DEFAULT_FIXTURES_DIR;
+
+// Position in each rule's response sequence, reset when its fixture file changes
+const sequencePositions = new Map();
+const fixtureContents = new Map();
+
+/**
+ * Load a fixture by name
+ * @param {string} name - Fixture name, from the model name
+ * @returns {Object} The parsed fixture
+ * @throws {Error} If the fixture is missing or invalid
+ */
+function loadFixture(name) {
+  const safeName = path.basename(name || 'default');
+  const fixturePath = path.join(fixturesDir, `${safeName}.json`);
+
+  if (!fs.existsSync(fixturePath)) {
+    throw new Error(`Mock fixture not found: ${fixturePath}`);
+  }
+
+  const content = fs.readFileSync(fixturePath, 'utf8');
+
+  // Start the sequences again when the fixture has been edited
+  if (fixtureContents.get(safeName) !== content) {
+    fixtureContents.set(safeName, content);
+    for (const key of sequencePositions.keys()) {
+      if (key.startsWith(`${safeName}#`)) {
+        sequencePositions.delete(key);
+      }
+    }
+  }
+
+  const fixture = JSON.parse(content);
+  if (!Array.isArray(fixture.rules)) {
+    throw new Error(`Mock fixture ${safeName} has no rules array`);
+  }
+
+  return { name: safeName, ...fixture };
+}
+
+/**
+ * Check a rule's match conditions against a request
+ * @param {Object} match - The rule's match conditions
+ * @param {Object} body - The chat completion request body
+ * @returns {boolean} True if every condition holds
+ */
+function ruleMatches(match = {}, body) {
+  const messages = body.messages || [];
+  const systemText = messages.filter(message => message.role === 'system').map(message => message.content).join('\n');
+  const lastMessage = messages[messages.length - 1] || {};
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  const lastToolTurn = [...messages].reverse().find(message => message.role === 'assistant' && message.tool_calls?.length);
+  const lastToolNames = (lastToolTurn?.tool_calls || []).map(toolCall => toolCall.function?.name);
+  const hasTools = Array.isArray(body.tools) && body.tools.length > 0 && body.tool_choice !== 'none';
+
+  if (match.system && !new RegExp(match.system, 'i').test(systemText)) return false;
+  if (match.lastUser && !new RegExp(match.lastUser, 'i').test(lastUser?.content || '')) return false;
+  if (match.lastRole && lastMessage.role !== match.lastRole) return false;
+  if (match.lastToolCall && !lastToolNames.includes(match.lastToolCall)) return false;
+  if (match.tools !== undefined && hasTools !== Boolean(match.tools)) return false;
+
+  return true;
+}
+
+/**
+ * Pick the scripted response for a request
+ * @param {Object} fixture - The loaded fixture
+ * @param {Object} body - The chat completion request body
+ * @returns {Object} The response entry, as an object
+ */
+function pickResponse(fixture, body) {
+  const index = fixture.rules.findIndex(rule => ruleMatches(rule.match, body));
+
+  if (index === -1) {
+    const lastMessage = (body.messages || []).slice(-1)[0];
+    return {
+      error: {
+        status: 400,
+        message: `No mock fixture rule in ${fixture.name} matched the request (last message: ${String(lastMessage?.content || '').slice(0, 80)})`
+      }
+    };
+  }
+
+  const rule = fixture.rules[index];
+  const sequence = rule.responses || [rule.response];
+  const key = `${fixture.name}#${index}`;
+  const position = sequencePositions.get(key) || 0;
+  sequencePositions.set(key, position + 1);
+
+  logger.debugLog(`Mock model: fixture ${fixture.name}, rule ${rule.name || index}, response ${Math.min(position, sequence.length - 1) + 1}/${sequence.length}`);
+
+  const entry = sequence[Math.min(position, sequence.length - 1)];
+  return typeof entry === 'string' ? { content: entry } : { ...entry };
+}
+
+/**
+ * Build the assistant message for a response entry
+ * @param {Object} entry - The response entry
+ * @param {string} requestKey - Unique key used for tool call IDs
+ * @returns {Object} The assistant message
+ */
+function buildMessage(entry, requestKey) {
+  const message = { role: 'assistant', content: entry.content || '' };
+
+  if (Array.isArray(entry.toolCalls) && entry.toolCalls.length > 0) {
+    message.tool_calls = entry.toolCalls.map((toolCall, index) => ({
+      id: `call_${requestKey}_${index}`,
+      type: 'function',
+      function: {
+        name: toolCall.name,
+        arguments: typeof toolCall.arguments === 'string' ? toolCall.arguments : JSON.stringify(toolCall.arguments || {})
+      }
+    }));
+  }
+
+  return message;
+}
+
+/**
+ * Approximate token usage so cost tracking has something to count
+ * @param {Object} body - The request body
+ * @param {Object} message - The assistant message
+ * @returns {Object} Usage in the OpenAI format
+ */
+function estimateUsage(body, message) {
+  const promptTokens = Math.ceil(JSON.stringify(body.messages || []).length / 4);
+  const completionTokens = Math.ceil(((message.content || '').length + JSON.stringify(message.tool_calls || []).length) / 4);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - The response
+ * @param {number} status - HTTP status
+ * @param {Object} data - The body
+ * @param {Object} [headers] - Extra headers
+ */
+function sendJSON(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Write a completion as server-sent events
+ * @param {http.ServerResponse} res - The response
+ * @param {Object} base - id, model and created fields shared by every chunk
+ * @param {Object} message - The assistant message
+ * @param {string} finishReason - The finish reason
+ * @param {Object|null} usage - Usage for the final chunk, if requested
+ */
+function streamCompletion(res, base, message, finishReason, usage) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+  const send = (choiceDelta, extra = {}) => {
+    res.write(`data: ${JSON.stringify({ ...base, object: 'chat.completion.chunk', choices: choiceDelta, ...extra })}\n\n`);
+  };
+
+  send([{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }]);
+
+  for (let offset = 0; offset < message.content.length; offset += STREAM_CHUNK_SIZE) {
+    send([{ index: 0, delta: { content: message.content.slice(offset, offset + STREAM_CHUNK_SIZE) }, finish_reason: null }]);
+  }
+
+  (message.tool_calls || []).forEach((toolCall, index) => {
+    send([{ index: 0, delta: { tool_calls: [{ index, ...toolCall }] }, finish_reason: null }]);
+  });
+
+  send([{ index: 0, delta: {}, finish_reason: finishReason }]);
+
+  if (usage) {
+    send([], { usage });
+  }
+
+  res.end('data: [DONE]\n\n');
+}
+
+/**
+ * Handle a chat completion request
+ * @param {Object} body - The parsed request body
+ * @param {http.ServerResponse} res - The response
+ */
+async function handleChatCompletion(body, res) {
+  let fixture;
+  try {
+    fixture = loadFixture(body.model);
+  } catch (error) {
+    logger.debugLog(`Mock model: ${error.message}`);
+    sendJSON(res, 404, { error: { message: error.message, type: 'invalid_request_error' } });
+    return;
+  }
+
+  const entry = pickResponse(fixture, body);
+
+  if (entry.delayMs) {
+    await new Promise(resolve => setTimeout(resolve, entry.delayMs));
+  }
+
+  if (entry.error) {
+    const headers = entry.error.retryAfter !== undefined ? { 'Retry-After': String(entry.error.retryAfter) } : {};
+    sendJSON(res, entry.error.status || 500, { error: { message: entry.error.message || 'Mock error', code: entry.error.code } }, headers);
+    return;
+  }
+
+  const requestKey = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const message = buildMessage(entry, requestKey);
+  const finishReason = entry.finishReason || (message.tool_calls ? 'tool_calls' : 'stop');
+  const usage = entry.usage || estimateUsage(body, message);
+  const base = { id: `mock-${requestKey}`, model: body.model, created: Math.floor(Date.now() / 1000) };
+
+  if (body.stream) {
+    streamCompletion(res, base, message, finishReason, body.stream_options?.include_usage ? usage : null);
+    return;
+  }
+
+  sendJSON(res, 200, {
+    ...base,
+    object: 'chat.completion',
+    choices: [{ index: 0, message, finish_reason: finishReason }],
+    usage
+  });
+}
+
+/**
+ * Start the mock server if it isn't running
+ * @param {string} [customFixturesDir] - Folder of fixture files, defaults to the bundled fixtures
+ * @returns {Promise<string>} The base URL to use as an OpenAI-compatible endpoint
+ */
+function startMockServer(customFixturesDir = '') {
+  fixturesDir = customFixturesDir || DEFAULT_FIXTURES_DIR;
+
+  if (!serverStart) {
+    serverStart = listen().catch(error => {
+      // A failed start can be tried again on the next request
+      server = null;
+      serverStart = null;
+      throw error;
+    });
+  }
+
+  return serverStart;
+}
+
+/**
+ * Create the mock server and wait for it to listen on a free local port
+ * @returns {Promise<string>} The base URL of the server
+ */
+async function listen() {
+  const created = http.createServer((req, res) => {
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      sendJSON(res, 404, { error: { message: `Mock server does not handle ${req.method} ${req.url}` } });
+      return;
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(raw || '{}');
+      } catch (error) {
+        sendJSON(res, 400, { error: { message: `Invalid JSON body: ${error.message}` } });
+        return;
+      }
+
+      handleChatCompletion(body, res).catch(error => {
+        logger.logError('mock:chatCompletion', error);
+        sendJSON(res, 500, { error: { message: error.message } });
+      });
+    });
+  });
+  server = created;
+
+  await new Promise((resolve, reject) => {
+    created.once('error', reject);
+    // Port 0 lets the OS pick a free port; only reachable from this machine
+    created.listen(0, '127.0.0.1', resolve);
+  });
+
+  // stopMockServer ran while the server was starting
+  if (server !== created) {
+    created.close();
+    throw new Error('The mock model server was stopped while it was starting');
+  }
+
+  const serverURL = `http://127.0.0.1:${created.address().port}/v1`;
+  logger.debugLog(`Mock model server listening at ${serverURL} with fixtures from ${fixturesDir}`);
+  return serverURL;
+}
+
+/**
+ * Stop the mock server
+ * A server that is still starting closes itself once it listens
+ */
+function stopMockServer() {
+  if (server?.listening) {
+    server.close();
+  }
+  server = null;
+  serverStart = null;
+}
+
+module.exports = {
+  startMockServer,
+  stopMockServer
+};
@@ -5,9 +5,37 @@
 const { OpenAI } = require('openai');
 const logger = require('./logger');
 const fileRequestHandler = require('./fileRequestHandler');
+const { loadSettings } = require('./settings');
+const { resolveProvider, getApiKeyForProvider, listProviders } = require('./providers');
+const { MODEL_ERROR_CODES, ModelError, classifyError, withRetries, createConcurrencyLimiter } = require('./modelErrors');
+const { TOOL_DEFINITIONS, createToolContext, executeToolCall, getFileWrites } = require('./modelTools');
+const { buildCacheKey, getCachedResponse, setCachedResponse, clearResponseCache } = require('./responseCache');
 const fs = require('fs');
 const path = require('path');
 
+// In-flight requests by request ID, so they can be cancelled from the renderer
+const activeRequests = new Map();
+// Cancellations that arrived before their request started, by request ID, with
+// the timer that forgets them; a cancel for a request that already finished
+// lands here too, so the entries expire instead of piling up
+const pendingCancellations = new Map();
+// How long a cancellation waits for its request to start
+const PENDING_CANCELLATION_TTL_MS = 30000;
+
+// Used when a caller leaves the sampling parameters unset
+const DEFAULT_TEMPERATURE = 0.0;
+const DEFAULT_MAX_TOKENS = 2000;
+
+// Model turns allowed in one tool-calling request before tools are withdrawn
+const MAX_TOOL_ITERATIONS = 10;
+
+// Requests per provider beyond the configured limit wait for a free slot
+const DEFAULT_MAX_CONCURRENT_REQUESTS = 2;
+const limitConcurrency = createConcurrencyLimiter(() => {
+  const limit = Math.floor(Number(loadSettings().maxConcurrentRequests));
+  return limit > 0 ? limit : DEFAULT_MAX_CONCURRENT_REQUESTS;
+});
+
 /**
  * Set up the model API handlers
  * @param {Object} ipcMain - The Electron ipcMain object
@@ -18,150 +46,495 @@ function setupModelAPIHandlers(ipcMain) {
   logger.debugLog(`Model API handler initialized. Logging to: ${logPath}`);
   
   ipcMain.handle('model:call', async (event, params) => {
-    try {
-      const { apiKey, model, prompt, temperature = 0.7, maxTokens = 2000, projectFolder } = params;
-      
-      // Validate required parameters
-      if (!apiKey) {
-        logger.debugLog('API call failed: Missing API key');
-        throw new Error('Missing API key');
-      }
-      
-      if (!model) {
-        logger.debugLog('API call failed: Missing model name');
-        throw new Error('Missing model name');
-      }
-      
-      if (!prompt) {
-        logger.debugLog('API call failed: Missing prompt');
-        throw new Error('Missing prompt');
+    return handleModelRequest('model:call', params);
+  });
+  
+  // Streaming variant: token deltas are pushed to the renderer as they arrive
+  ipcMain.handle('model:stream', async (event, params) => {
+    const onDelta = (delta) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('model:streamDelta', { requestId: params.requestId, delta });
       }
-      
-      // Log the request (safely without the API key)
-      logger.debugLog(`Making API call to model: ${model}`);
-      logger.logRequest('model:call', {
-        model,
-        promptLength: prompt.length,
-        temperature,
-        maxTokens,
-        apiKey: '***hidden***'
-      });
-      
-      // Also log the full prompt separately
-      logger.debugLog('Full prompt:');
-      logger.debugLog(prompt);
-      
-      // Call the appropriate API based on model name
-      let result;
-      if (model.includes('deepseek')) {
-        logger.debugLog('Using DeepSeek API');
-        result = await callDeepSeekAPI(apiKey, model, prompt, temperature, maxTokens);
-      } else {
-        logger.debugLog('Using default DeepSeek API (no provider detected)');
-        result = await callDeepSeekAPI(apiKey, model, prompt, temperature, maxTokens);
+    };
+    
+    return handleModelRequest('model:stream', params, onDelta);
+  });
+  
+  // Cancel an in-flight model call by its request ID
+  ipcMain.handle('model:cancel', (event, requestId) => {
+    return cancelModelRequest(requestId);
+  });
+  
+  // Delete every cached model response
+  ipcMain.handle('model:clearCache', () => {
+    return { success: true, cleared: clearResponseCache() };
+  });
+  
+  // Endpoint to list the available model providers
+  ipcMain.handle('model:listProviders', () => {
+    return listProviders();
+  });
+  
+  // Endpoint to get the log file path
+  ipcMain.handle('logs:getPath', () => {
+    const path = logger.getSessionLogPath();
+    logger.debugLog(`Log path requested: ${path}`);
+    return path;
+  });
+}
+
+/**
+ * Clamp a requested temperature to the range providers accept
+ * @param {any} temperature - The requested temperature
+ * @returns {number} The temperature to send
+ */
+function normalizeTemperature(temperature) {
+  const value = Number(temperature);
+  if (temperature === null || temperature === undefined || temperature === '' || !Number.isFinite(value)) {
+    return DEFAULT_TEMPERATURE;
+  }
+  return Math.min(Math.max(value, 0), 2);
+}
+
+/**
+ * Validate a requested token limit
+ * @param {any} maxTokens - The requested maximum number of tokens
+ * @returns {number} A positive integer token limit
+ */
+function normalizeMaxTokens(maxTokens) {
+  const value = Math.floor(Number(maxTokens));
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_MAX_TOKENS;
+}
+
+/**
+ * Validate, route and log a model request
+ * @param {string} endpoint - The IPC endpoint name, used for logging
+ * @param {Object} params - The request parameters from the renderer
+ * @param {Function} [onDelta] - Called with each text delta when streaming
+ * @returns {Promise<Object>} The API response, or an error object
+ */
+async function handleModelRequest(endpoint, params, onDelta = null) {
+  const { requestId } = params;
+  const controller = new AbortController();
+  
+  if (requestId) {
+    activeRequests.set(requestId, controller);
+    
+    if (pendingCancellations.has(requestId)) {
+      clearTimeout(pendingCancellations.get(requestId));
+      pendingCancellations.delete(requestId);
+      controller.abort();
+    }
+  }
+  
+  try {
+    const { apiKey, model, prompt, projectFolder } = params;
+    // Native tool calling needs a project folder for the tools to work on
+    const useTools = Boolean(params.useTools && projectFolder);
+    const temperature = normalizeTemperature(params.temperature);
+    const maxTokens = normalizeMaxTokens(params.maxTokens);
+    
+    if (!model) {
+      logger.debugLog('API call failed: Missing model name');
+      throw new Error('Missing model name');
+    }
+    
+    // A bare prompt is shorthand for a single user message
+    const messages = Array.isArray(params.messages) && params.messages.length > 0
+      ? normalizeMessages(params.messages)
+      : (prompt ? [{ role: 'user', content: prompt }] : null);
+    
+    if (!messages) {
+      logger.debugLog('API call failed: Missing messages or prompt');
+      throw new Error('Missing messages or prompt');
+    }
+    
+    // Work out which provider serves this model
+    const settings = loadSettings();
+    const { provider, modelName, baseURL: configuredBaseURL } = resolveProvider(model, settings);
+    // Local providers such as the offline mock start on demand and report their own URL
+    const baseURL = provider.resolveBaseURL ? await provider.resolveBaseURL(settings) : configuredBaseURL;
+    const providerApiKey = getApiKeyForProvider(provider, settings, apiKey);
+    
+    // Validate required parameters
+    if (!providerApiKey && provider.requiresApiKey) {
+      logger.debugLog(`API call failed: Missing API key for ${provider.name}`);
+      const hint = provider.usesDefaultApiKey
+        ? 'Enter it as the default API key in Settings.'
+        : 'Add one under Provider API Keys in Settings; the default API key is only sent to OpenRouter.';
+      throw new ModelError(MODEL_ERROR_CODES.AUTH, `No API key for ${provider.name}. ${hint}`);
+    }
+    
+    // Log the request (safely without the API key)
+    logger.debugLog(`Making API call to model: ${model}`);
+    logger.logRequest(endpoint, {
+      model,
+      provider: provider.id,
+      messageCount: messages.length,
+      promptLength: messages.reduce((total, message) => total + message.content.length, 0),
+      temperature,
+      maxTokens,
+      useTools,
+      apiKey: '***hidden***'
+    });
+    
+    // Also log the full prompt separately
+    logger.debugLog('Full prompt:');
+    logger.debugLog(formatMessagesForLog(messages));
+    
+    // Only plain calls the renderer marks as cacheable; tool and file results depend on the project folder
+    const useCache = Boolean(settings.responseCacheEnabled && params.cacheable && !useTools && !projectFolder);
+    const cacheKey = useCache
+      ? buildCacheKey({ provider: provider.id, model: modelName, temperature, maxTokens, messages })
+      : null;
+    
+    if (useCache && !settings.bypassResponseCache) {
+      const cached = getCachedResponse(cacheKey, settings);
+      if (cached) {
+        logger.debugLog(`Response cache hit for ${model} (${cacheKey.slice(0, 12)})`);
+        if (onDelta && cached.text) {
+          onDelta(cached.text);
+        }
+        // No tokens were spent, so there is no usage to record
+        return { ...cached, usage: null, cached: true };
       }
+      logger.debugLog(`Response cache miss for ${model} (${cacheKey.slice(0, 12)})`);
+    }
+    
+    // Once text has been streamed to the renderer a retry would duplicate it
+    let hasStreamedOutput = false;
+    const forwardDelta = onDelta
+      ? (delta) => {
+          hasStreamedOutput = true;
+          onDelta(delta);
+        }
+      : null;
+    
+    // One call to the resolved provider, retrying transient failures
+    const callOnce = (conversation, tools = null) => {
+      hasStreamedOutput = false;
+      return withRetries(
+        () => callProviderAPI(provider, baseURL, providerApiKey, modelName, conversation, temperature, maxTokens, forwardDelta, controller.signal, tools),
+        {
+          signal: controller.signal,
+          canRetry: () => !hasStreamedOutput,
+          onRetry: (error, attempt, delay) => {
+            logger.debugLog(`Retrying ${provider.name} call (retry ${attempt}) in ${Math.round(delay)}ms after ${error.code} error: ${error.message}`);
+          }
+        }
+      );
+    };
+    
+    logger.debugLog(`Using ${provider.name} API`);
+    const result = await limitConcurrency(
+      provider.id,
+      () => (useTools ? runToolLoop(callOnce, messages, projectFolder, params.fileWrites) : callOnce(messages)),
+      controller.signal
+    );
+    
+    // A response cut off at the token limit would be replayed cut off, so only finished ones are kept
+    const finished = !result.finishReason || result.finishReason === 'stop';
+    if (useCache && result.success && finished) {
+      setCachedResponse(cacheKey, result, settings);
+    }
+    
+    // Process the response to check for file requests
+    if (!useTools && result.success && result.text) {
+      const filePathsRequested = fileRequestHandler.detectFileRequest(result.text);
       
-      // Process the response to check for file requests
-      if (result.success && result.text) {
-        const filePathsRequested = fileRequestHandler.detectFileRequest(result.text);
+      // If file request is detected and project folder is set
+      if (filePathsRequested && projectFolder) {
+        logger.debugLog(`Processing file request for ${filePathsRequested.length} files`);
         
-        // If file request is detected and project folder is set
-        if (filePathsRequested && projectFolder) {
-          logger.debugLog(`Processing file request for ${filePathsRequested.length} files`);
-          
-          // Get the file contents
-          const fileContents = await fileRequestHandler.processFileRequest(
-            filePathsRequested, 
-            projectFolder
-          );
-          
-          // Format file contents for adding to context
-          const formattedFileContents = fileRequestHandler.formatFileContents(fileContents);
-          
-          // Add the original AI response and the file contents as metadata
-          result.fileRequest = {
-            originalResponse: result.text,
-            requestedFiles: filePathsRequested,
-            fileContents: fileContents
-          };
-          
-          // Update the response text to include file contents
-          // Remove the file request JSON from the response
-          const cleanResponse = result.text.replace(/\{"files":\s*\[(.*?)\]\}/, '');
-          result.text = cleanResponse + formattedFileContents;
-        }
+        // Get the file contents
+        const fileContents = await fileRequestHandler.processFileRequest(
+          filePathsRequested, 
+          projectFolder
+        );
+        
+        // Format file contents for adding to context
+        const formattedFileContents = fileRequestHandler.formatFileContents(fileContents);
+        
+        // Add the original AI response and the file contents as metadata
+        result.fileRequest = {
+          originalResponse: result.text,
+          requestedFiles: filePathsRequested,
+          fileContents: fileContents
+        };
+        
+        // Update the response text to include file contents
+        // Remove the file request JSON from the response
+        const cleanResponse = result.text.replace(/\{"files":\s*\[(.*?)\]\}/, '');
+        result.text = cleanResponse + formattedFileContents;
       }
-      
-      // Log the response
-      logger.debugLog('Received API response');
-      logger.logResponse('model:call', {
-        success: result.success,
-        textLength: result.text ? result.text.length : 0
-      });
-      
-      // Log the full response text separately
-      logger.debugLog('Full response text:');
-      logger.debugLog(result.text || 'No text in response');
-      
-      return result;
-      
+    }
+    
+    // Log the response
+    logger.debugLog('Received API response');
+    logger.logResponse(endpoint, {
+      success: result.success,
+      textLength: result.text ? result.text.length : 0
+    });
+    
+    // Log the full response text separately
+    logger.debugLog('Full response text:');
+    logger.debugLog(result.text || 'No text in response');
+    
+    return result;
+    
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.debugLog(`API call cancelled: ${requestId}`);
+      return {
+        error: 'Request cancelled',
+        cancelled: true,
+        success: false
+      };
+    }
+    
+    const modelError = classifyError(error);
+    
+    logger.logError(endpoint, modelError);
+    logger.debugLog(`API call error (${modelError.code}): ${modelError.message}`);
+    console.error('Error calling model API:', modelError);
+    return { 
+      error: modelError.message || 'Failed to call model API',
+      errorCode: modelError.code,
+      success: false 
+    };
+  } finally {
+    if (requestId) {
+      activeRequests.delete(requestId);
+    }
+  }
+}
+
+/**
+ * Run a model request with the file tools, executing tool calls until the
+ * model gives a final answer
+ * @param {Function} callOnce - Makes one model call: (messages, tools) => result
+ * @param {Array} messages - The conversation so far
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {Array} [earlierWrites] - File writes from the earlier parts of a response being continued
+ * @returns {Promise<Object>} The final result, with the tool turns, file writes (earlier ones included) and summed usage
+ */
+async function runToolLoop(callOnce, messages, projectFolder, earlierWrites = []) {
+  const context = createToolContext(projectFolder, Array.isArray(earlierWrites) ? earlierWrites : []);
+  const conversation = [...messages];
+  const toolTurns = [];
+  let usage = null;
+  
+  for (let iteration = 1; ; iteration++) {
+    // On the last turn the tools stay defined but the model must answer in text
+    const lastTurn = iteration >= MAX_TOOL_ITERATIONS;
+    let result;
+    
+    try {
+      result = await callOnce(conversation, { tools: TOOL_DEFINITIONS, toolChoice: lastTurn ? 'none' : 'auto' });
     } catch (error) {
-      logger.logError('model:call', error);
-      logger.debugLog(`API call error: ${error.message}`);
-      console.error('Error calling model API:', error);
-      return { 
-        error: error.message || 'Failed to call model API',
-        success: false 
+      throw toToolSupportError(classifyError(error), iteration);
+    }
+    
+    usage = addUsage(usage, result.usage);
+    
+    if (lastTurn || !result.toolCalls || result.toolCalls.length === 0) {
+      if (lastTurn && result.toolCalls?.length > 0) {
+        logger.debugLog(`Stopped tool calls after ${MAX_TOOL_ITERATIONS} turns`);
+      }
+      
+      return {
+        ...result,
+        usage,
+        toolTurns,
+        fileWrites: getFileWrites(context)
       };
     }
-  });
+    
+    logger.debugLog(`Tool turn ${iteration}: ${result.toolCalls.map(call => call.function?.name).join(', ')}`);
+    
+    const assistantTurn = { role: 'assistant', content: result.text || '', tool_calls: result.toolCalls };
+    conversation.push(assistantTurn);
+    toolTurns.push(assistantTurn);
+    
+    for (const toolCall of result.toolCalls) {
+      const toolTurn = {
+        role: 'tool',
+        tool_call_id: toolCall.id,
+        content: await executeToolCall(toolCall, context, { cutOff: result.finishReason === 'length' })
+      };
+      conversation.push(toolTurn);
+      toolTurns.push(toolTurn);
+    }
+  }
+}
+
+/**
+ * Report a first-turn rejection of the tools as "tools unsupported" so the
+ * renderer can fall back to the text protocol
+ * @param {ModelError} error - The classified error
+ * @param {number} iteration - The tool turn that failed
+ * @returns {ModelError} The error to throw
+ */
+function toToolSupportError(error, iteration) {
+  const rejectedTools = iteration === 1 &&
+    [MODEL_ERROR_CODES.INVALID_REQUEST, MODEL_ERROR_CODES.UNKNOWN].includes(error.code) &&
+    /tool|function/i.test(error.message);
   
-  // Endpoint to get the log file path
-  ipcMain.handle('logs:getPath', () => {
-    const path = logger.getSessionLogPath();
-    logger.debugLog(`Log path requested: ${path}`);
-    return path;
+  return rejectedTools
+    ? new ModelError(MODEL_ERROR_CODES.TOOLS_UNSUPPORTED, error.message, { status: error.status })
+    : error;
+}
+
+/**
+ * Sum the usage of several calls
+ * @param {Object|null} total - Usage so far
+ * @param {Object|null} usage - Usage of the latest call
+ * @returns {Object|null} The combined usage
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  
+  return {
+    promptTokens: total.promptTokens + usage.promptTokens,
+    completionTokens: total.completionTokens + usage.completionTokens,
+    totalTokens: total.totalTokens + usage.totalTokens
+  };
+}
+
+/**
+ * Keep only the fields the chat completions API expects on each message
+ * @param {Array} messages - Messages from the renderer
+ * @returns {Array} Array of chat messages, including tool calls and tool results
+ * @throws {Error} If a message has an unknown role or no content
+ */
+function normalizeMessages(messages) {
+  return messages.map((message, index) => {
+    if (!['system', 'user', 'assistant', 'tool'].includes(message.role)) {
+      throw new Error(`Message ${index + 1} has an invalid role: ${message.role}`);
+    }
+    
+    // Assistant turns that only call tools may have no text
+    const hasToolCalls = message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0;
+    
+    if (typeof message.content !== 'string' && !hasToolCalls) {
+      throw new Error(`Message ${index + 1} is missing its content`);
+    }
+    
+    const normalized = { role: message.role, content: message.content || '' };
+    
+    if (hasToolCalls) {
+      normalized.tool_calls = message.tool_calls.map(toolCall => ({
+        id: toolCall.id,
+        type: 'function',
+        function: { name: toolCall.function.name, arguments: toolCall.function.arguments }
+      }));
+    }
+    
+    if (message.role === 'tool') {
+      if (!message.tool_call_id) {
+        throw new Error(`Message ${index + 1} is a tool result without a tool_call_id`);
+      }
+      normalized.tool_call_id = message.tool_call_id;
+    }
+    
+    return normalized;
   });
 }
 
 /**
- * Call the DeepSeek API using OpenAI SDK
+ * Format messages as readable text for the debug log
+ * @param {Array} messages - Array of {role, content} messages
+ * @returns {string} The formatted messages
+ */
+function formatMessagesForLog(messages) {
+  return messages
+    .map(message => {
+      const toolCalls = (message.tool_calls || [])
+        .map(toolCall => `\n-> ${toolCall.function.name}(${toolCall.function.arguments})`)
+        .join('');
+      return `[${message.role.toUpperCase()}]\n${message.content}${toolCalls}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Abort an in-flight model request
+ * @param {string} requestId - The request ID given when the call was made
+ * @returns {boolean} True if a running request was aborted
+ */
+function cancelModelRequest(requestId) {
+  const controller = activeRequests.get(requestId);
+  
+  if (!controller) {
+    // The cancel may have overtaken the request itself
+    if (!pendingCancellations.has(requestId)) {
+      const timer = setTimeout(() => pendingCancellations.delete(requestId), PENDING_CANCELLATION_TTL_MS);
+      timer.unref();
+      pendingCancellations.set(requestId, timer);
+    }
+    logger.debugLog(`Cancel requested for unknown request: ${requestId}`);
+    return false;
+  }
+  
+  logger.debugLog(`Cancelling request: ${requestId}`);
+  controller.abort();
+  return true;
+}
+
+/**
+ * Call a model provider using the OpenAI SDK
+ * @param {Object} provider - The provider definition from the registry
+ * @param {string} baseURL - The base URL to send the request to
  * @param {string} apiKey - The API key
- * @param {string} model - The model name
- * @param {string} prompt - The prompt text
+ * @param {string} modelName - The model name as the provider expects it
+ * @param {Array} messages - Array of {role, content} chat messages
  * @param {number} temperature - Temperature setting
  * @param {number} maxTokens - Maximum tokens to generate
- * @returns {Object} The API response
+ * @param {Function} [onDelta] - When set, the response is streamed and each text delta passed to it
+ * @param {AbortSignal} [signal] - Signal used to cancel the request
+ * @param {Object} [tools] - Tools to offer ({ tools, toolChoice }), for native tool calling
+ * @returns {Object} The API response: success, text, provider, usage, finishReason ("stop", "length", ...) and toolCalls
  */
-async function callDeepSeekAPI(apiKey, model, prompt, temperature, maxTokens) {
+async function callProviderAPI(provider, baseURL, apiKey, modelName, messages, temperature, maxTokens, onDelta = null, signal = undefined, tools = null) {
   try {
-    logger.debugLog('Starting DeepSeek API call');
-    
-    // Prepare model name (remove provider prefix if present)
-    const modelName = model.includes('/') ? model.split('/')[1] : model;
+    logger.debugLog(`Starting ${provider.name} API call`);
     logger.debugLog(`Using model name: ${modelName}`);
     
-    // Initialize OpenAI client with DeepSeek baseURL
+    // Initialize OpenAI client with the provider's baseURL and auth headers
     const openai = new OpenAI({
-      baseURL: 'https://api.deepseek.com/v1',
-      apiKey: apiKey
+      baseURL,
+      // The SDK refuses an empty key, local servers usually ignore it
+      apiKey: apiKey || 'not-needed',
+      defaultHeaders: provider.buildHeaders(apiKey),
+      // Retries are handled by withRetries so they can honour cancellation
+      maxRetries: 0
     });
     
-    logger.debugLog('OpenAI client initialized with DeepSeek baseURL');
+    logger.debugLog(`OpenAI client initialized with ${provider.name} baseURL: ${baseURL}`);
     logger.debugLog(`Requesting with temperature: ${temperature}, max_tokens: ${maxTokens}`);
     
-    // Make API call
-    const completion = await openai.chat.completions.create({
+    const request = {
       model: modelName,
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0.0,
+      messages,
+      temperature,
       max_tokens: maxTokens
-    });
+    };
+    
+    if (tools) {
+      request.tools = tools.tools;
+      request.tool_choice = tools.toolChoice;
+    }
+    
+    // Make API call, streaming if the caller wants deltas
+    const completion = onDelta
+      ? await streamCompletion(openai, request, onDelta, signal)
+      : await openai.chat.completions.create(request, { signal });
     
     logger.debugLog('API call completed successfully');
     
-    // Extract response text
-    const text = completion.choices[0]?.message?.content;
+    // Normalise the provider's response
+    const { text, reasoning, usage, finishReason, toolCalls } = provider.normalizeResponse(completion);
     
     if (!text) {
       logger.debugLog('Warning: No text content in response');
@@ -169,24 +542,149 @@ async function callDeepSeekAPI(apiKey, model, prompt, temperature, maxTokens) {
       logger.debugLog(`Response text length: ${text.length} characters`);
     }
     
+    if (reasoning) {
+      logger.debugLog(`Model reasoning (${reasoning.length} characters):`);
+      logger.debugLog(reasoning);
+    }
+    
+    // The renderer asks the model to continue responses cut off at max_tokens
+    if (finishReason === 'length') {
+      logger.debugLog(`Response stopped at the ${maxTokens} token limit`);
+    }
+    
     // Log usage information if available
-    if (completion.usage) {
-      logger.debugLog(`Token usage: ${JSON.stringify(completion.usage)}`);
+    if (usage) {
+      logger.debugLog(`Token usage: ${JSON.stringify(usage)}`);
     }
     
-    return { success: true, text };
+    return { success: true, text, provider: provider.id, usage: normalizeUsage(usage), finishReason, toolCalls };
     
   } catch (error) {
-    logger.logError('deepseek:call', error);
-    logger.debugLog(`DeepSeek API error: ${error.message}`);
+    // Cancellations are reported by the caller, not logged as failures
+    if (signal?.aborted) {
+      throw error;
+    }
+    
+    logger.logError(`${provider.id}:call`, error);
+    logger.debugLog(`${provider.name} API error: ${error.message}`);
     
     if (error.response) {
       logger.debugLog(`Response error data: ${JSON.stringify(error.response.data || {})}`);
     }
     
-    console.error('DeepSeek API error:', error.response?.data || error.message);
-    throw new Error(error.response?.data?.error?.message || 'Failed to call DeepSeek API');
+    console.error(`${provider.name} API error:`, error.response?.data || error.message);
+    throw classifyError(error);
+  }
+}
+
+/**
+ * Convert a provider's usage report to camelCase token counts
+ * @param {Object|null} usage - The usage object from the completion
+ * @returns {Object|null} promptTokens, completionTokens and totalTokens, or null if not reported
+ */
+function normalizeUsage(usage) {
+  if (!usage) {
+    return null;
+  }
+  
+  const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+  const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+  
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage.total_tokens ?? promptTokens + completionTokens
+  };
+}
+
+/**
+ * Stream a chat completion, forwarding text deltas as they arrive
+ * The chunks are reassembled into the same shape as a non-streamed completion
+ * so providers can normalise both the same way
+ * @param {OpenAI} openai - The initialised OpenAI client
+ * @param {Object} request - The chat completion request body
+ * @param {Function} onDelta - Called with each text delta
+ * @param {AbortSignal} [signal] - Signal used to cancel the stream
+ * @returns {Promise<Object>} The reassembled chat completion
+ */
+async function streamCompletion(openai, request, onDelta, signal = undefined) {
+  const stream = await openai.chat.completions.create({
+    ...request,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
+  
+  const message = { role: 'assistant', content: '' };
+  let finishReason = null;
+  let usage = null;
+  let chunkCount = 0;
+  
+  for await (const chunk of stream) {
+    chunkCount++;
+    
+    // OpenRouter can report upstream failures mid-stream
+    if (chunk.error) {
+      const error = new Error(chunk.error.message || 'Stream returned an error');
+      error.status = chunk.error.code;
+      throw error;
+    }
+    
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+    
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+    
+    const delta = choice.delta || {};
+    
+    if (delta.content) {
+      message.content += delta.content;
+      onDelta(delta.content);
+    }
+    
+    // Keep provider-specific reasoning fields so normalisation can pick them up
+    if (delta.reasoning_content) {
+      message.reasoning_content = (message.reasoning_content || '') + delta.reasoning_content;
+    }
+    
+    if (delta.reasoning) {
+      message.reasoning = (message.reasoning || '') + delta.reasoning;
+    }
+    
+    // Tool calls arrive in pieces keyed by index, with the arguments split across chunks
+    if (Array.isArray(delta.tool_calls)) {
+      for (const toolCallDelta of delta.tool_calls) {
+        const index = toolCallDelta.index ?? 0;
+        message.tool_calls = message.tool_calls || [];
+        const toolCall = message.tool_calls[index] || (message.tool_calls[index] = {
+          id: '',
+          type: 'function',
+          function: { name: '', arguments: '' }
+        });
+        
+        if (toolCallDelta.id) toolCall.id = toolCallDelta.id;
+        if (toolCallDelta.function?.name) toolCall.function.name += toolCallDelta.function.name;
+        if (toolCallDelta.function?.arguments) toolCall.function.arguments += toolCallDelta.function.arguments;
+      }
+    }
+    
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+  }
+  
+  // An aborted stream ends quietly rather than throwing
+  if (signal?.aborted) {
+    throw new Error('Request cancelled');
   }
+  
+  logger.debugLog(`Stream finished after ${chunkCount} chunks`);
+  
+  return {
+    choices: [{ index: 0, message, finish_reason: finishReason }],
+    usage
+  };
 }
 
 module.exports = {
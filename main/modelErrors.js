@@ -0,0 +1,298 @@
+/**
+ * Classification, retry and concurrency helpers for model calls
+ * Provider errors are mapped to a small set of codes the renderer can
+ * turn into actionable messages
+ */
+
+// Error codes sent to the renderer with failed model calls
+const MODEL_ERROR_CODES = {
+  AUTH: 'auth',
+  QUOTA: 'quota',
+  RATE_LIMIT: 'rate_limit',
+  CONTEXT_LENGTH: 'context_length',
+  NETWORK: 'network',
+  SERVER: 'server',
+  INVALID_REQUEST: 'invalid_request',
+  // The model rejected the tools parameter; the caller should use the text protocol
+  TOOLS_UNSUPPORTED: 'tools_unsupported',
+  UNKNOWN: 'unknown'
+};
+
+// Codes worth retrying; the rest fail the same way every time
+const RETRYABLE_CODES = new Set([
+  MODEL_ERROR_CODES.RATE_LIMIT,
+  MODEL_ERROR_CODES.NETWORK,
+  MODEL_ERROR_CODES.SERVER
+]);
+
+// Retry timing
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Node network error codes that mean the provider could not be reached
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'
+]);
+
+const QUOTA_PATTERN = /quota|insufficient|credit|billing|payment/i;
+const CONTEXT_LENGTH_PATTERN = /context[ _]length|context window|maximum context|too many tokens|prompt is too long|reduce the length|max_tokens.*exceed/i;
+
+/**
+ * Error from a model call, tagged with a code from MODEL_ERROR_CODES
+ */
+class ModelError extends Error {
+  /**
+   * @param {string} code - One of MODEL_ERROR_CODES
+   * @param {string} message - The provider's error message
+   * @param {Object} [options]
+   * @param {number} [options.status] - HTTP status, if there was one
+   * @param {number} [options.retryAfterMs] - Delay the provider asked for before retrying
+   */
+  constructor(code, message, { status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ModelError';
+    this.code = code;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = RETRYABLE_CODES.has(code);
+  }
+}
+
+/**
+ * Read a header from either a Headers instance or a plain object
+ * @param {Object} headers - The response headers
+ * @param {string} name - Lower-case header name
+ * @returns {string|null} The header value
+ */
+function readHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? null;
+}
+
+/**
+ * Work out how long the provider asked us to wait before retrying
+ * @param {Object} headers - The response headers
+ * @returns {number|null} Delay in milliseconds, or null if not given
+ */
+function parseRetryAfter(headers) {
+  const retryAfterMs = Number(readHeader(headers, 'retry-after-ms'));
+  if (Number.isFinite(retryAfterMs) && retryAfterMs > 0) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = readHeader(headers, 'retry-after');
+  if (!retryAfter) return null;
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Map any error thrown while calling a provider to a ModelError
+ * @param {Error} error - The original error
+ * @returns {ModelError} The classified error
+ */
+function classifyError(error) {
+  if (error instanceof ModelError) {
+    return error;
+  }
+
+  // Some providers report the status as a string in the response body
+  const status = Number.isInteger(Number(error.status)) && error.status !== null && error.status !== undefined && error.status !== ''
+    ? Number(error.status)
+    : null;
+  const body = error.error || {};
+  const providerCode = String(body.code || body.type || error.code || '');
+  const message = body.message || error.message || 'Unknown error calling the model';
+  const options = { status, retryAfterMs: parseRetryAfter(error.headers) };
+  const text = `${providerCode} ${message}`;
+
+  // No status means the request never got a response
+  if (status === null) {
+    if (NETWORK_ERROR_CODES.has(error.code) ||
+        NETWORK_ERROR_CODES.has(error.cause?.code) ||
+        /APIConnection/.test(error.constructor?.name || '') ||
+        /fetch failed|network|socket|timed out/i.test(message)) {
+      return new ModelError(MODEL_ERROR_CODES.NETWORK, message, options);
+    }
+    return new ModelError(MODEL_ERROR_CODES.UNKNOWN, message, options);
+  }
+
+  if (status === 401 || status === 403) {
+    return new ModelError(MODEL_ERROR_CODES.AUTH, message, options);
+  }
+
+  if (status === 402 || providerCode === 'insufficient_quota') {
+    return new ModelError(MODEL_ERROR_CODES.QUOTA, message, options);
+  }
+
+  if (status === 429) {
+    // Some providers use 429 for an exhausted balance as well
+    const code = QUOTA_PATTERN.test(text) ? MODEL_ERROR_CODES.QUOTA : MODEL_ERROR_CODES.RATE_LIMIT;
+    return new ModelError(code, message, options);
+  }
+
+  if (providerCode === 'context_length_exceeded' || status === 413 || CONTEXT_LENGTH_PATTERN.test(text)) {
+    return new ModelError(MODEL_ERROR_CODES.CONTEXT_LENGTH, message, options);
+  }
+
+  if (status === 408 || status === 409 || status >= 500) {
+    return new ModelError(MODEL_ERROR_CODES.SERVER, message, options);
+  }
+
+  if (status >= 400) {
+    return new ModelError(MODEL_ERROR_CODES.INVALID_REQUEST, message, options);
+  }
+
+  return new ModelError(MODEL_ERROR_CODES.UNKNOWN, message, options);
+}
+
+/**
+ * Wait for a delay, stopping early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal used to cancel the wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal = undefined) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Request cancelled'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Request cancelled'));
+    };
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Get the delay before a retry: the provider's Retry-After if given,
+ * otherwise exponential backoff with jitter
+ * @param {ModelError} error - The error being retried
+ * @param {number} attempt - The retry number, starting at 1
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  if (error.retryAfterMs !== null) {
+    return Math.min(error.retryAfterMs, MAX_RETRY_DELAY_MS);
+  }
+
+  const backoff = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+  const jitter = Math.random() * BASE_RETRY_DELAY_MS;
+  return Math.min(backoff + jitter, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Run a model call, retrying transient failures
+ * @param {Function} call - Async function making the call; receives the attempt number
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the call and any waits
+ * @param {Function} [options.canRetry] - Returns false when a retry would be unsafe (e.g. output already streamed)
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delayMs) before each retry
+ * @returns {Promise<any>} The call's result
+ * @throws {ModelError} The classified error once retries run out
+ */
+async function withRetries(call, { signal = undefined, canRetry = () => true, onRetry = null } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call(attempt);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+
+      const modelError = classifyError(error);
+
+      if (!modelError.retryable || attempt >= MAX_RETRIES || !canRetry()) {
+        throw modelError;
+      }
+
+      const delay = getRetryDelay(modelError, attempt + 1);
+      if (onRetry) {
+        onRetry(modelError, attempt + 1, delay);
+      }
+
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Create a limiter that lets at most `getLimit()` tasks run at once per key
+ * @param {Function} getLimit - Returns the current maximum number of concurrent tasks
+ * @returns {Function} run(key, task, signal) queuing the task until a slot is free
+ */
+function createConcurrencyLimiter(getLimit) {
+  const running = new Map();
+  const queues = new Map();
+
+  const release = (key) => {
+    running.set(key, (running.get(key) || 1) - 1);
+
+    const queue = queues.get(key) || [];
+    if (queue.length > 0 && running.get(key) < getLimit()) {
+      running.set(key, running.get(key) + 1);
+      queue.shift()();
+    }
+  };
+
+  const acquire = (key, signal) => new Promise((resolve, reject) => {
+    if ((running.get(key) || 0) < getLimit()) {
+      running.set(key, (running.get(key) || 0) + 1);
+      resolve();
+      return;
+    }
+
+    if (!queues.has(key)) {
+      queues.set(key, []);
+    }
+
+    const queue = queues.get(key);
+    const onAbort = () => {
+      const index = queue.indexOf(start);
+      if (index !== -1) queue.splice(index, 1);
+      reject(new Error('Request cancelled'));
+    };
+    const start = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+
+    queue.push(start);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return async (key, task, signal = undefined) => {
+    await acquire(key, signal);
+    try {
+      return await task();
+    } finally {
+      release(key);
+    }
+  };
+}
+
+module.exports = {
+  MODEL_ERROR_CODES,
+  ModelError,
+  classifyError,
+  withRetries,
+  createConcurrencyLimiter
+};
@@ -0,0 +1,388 @@
+/**
+ * File tools offered to models that support native tool calling
+ * Reads and searches run directly against the project folder; writes are
+ * collected and returned to the renderer, which applies them like writes
+ * from the text protocol
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const logger = require('./logger');
+
+// Folders that are never listed or searched
+const IGNORED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+// Limits that keep tool results within a sensible context size
+const MAX_READ_CHARACTERS = 200000;
+const MAX_LISTED_FILES = 500;
+const MAX_SEARCH_RESULTS = 100;
+const MAX_SEARCHED_FILE_BYTES = 1024 * 1024;
+
+// Limits on searches, whose patterns come from the model
+const MAX_QUERY_LENGTH = 200;
+const MAX_SEARCHED_LINE_LENGTH = 2000;
+const SEARCH_TIMEOUT_MS = 5000;
+
+// Result of a call whose arguments were cut off at the token limit
+const TRUNCATED_CALL_MESSAGE = 'Error: This call was cut off because your response reached the length limit, so it was not run. ' +
+  'Write large files in parts: write_file the first part, then add the rest with further write_file calls with append set to true.';
+
+// Tool definitions in the OpenAI tools format
+const TOOL_DEFINITIONS = [
+  {
+    type: 'function',
+    function: {
+      name: 'read_file',
+      description: 'Read the contents of a file in the project folder.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path relative to the project folder' }
+        },
+        required: ['path']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_files',
+      description: 'List the files in the project folder, or in one of its subfolders.',
+      parameters: {
+        type: 'object',
+        properties: {
+          directory: { type: 'string', description: 'Subfolder relative to the project folder; omit for the whole project' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'write_file',
+      description: 'Create or overwrite a file in the project folder with the given content. The file is saved when your response is complete.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'File path relative to the project folder' },
+          content: { type: 'string', description: 'The complete new content of the file, or the part to add when append is true' },
+          append: { type: 'boolean', description: 'Add the content to the end of the file instead of replacing it, to write a large file over several calls' }
+        },
+        required: ['path', 'content']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'search_files',
+      description: 'Search the text of the project files. Returns matching lines as "path:line: text".',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Text to search for, or a regular expression when regex is true' },
+          regex: { type: 'boolean', description: 'Treat the query as a regular expression' },
+          directory: { type: 'string', description: 'Subfolder to limit the search to' }
+        },
+        required: ['query']
+      }
+    }
+  }
+];
+
+/**
+ * Create the state shared by the tool calls of one model request
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {Array} [earlierWrites] - { path, content } writes from earlier parts of a response
+ *   that was cut off, so reads and appends in the continuation see them
+ * @returns {Object} Tool context with the project folder and collected writes
+ */
+function createToolContext(projectFolder, earlierWrites = []) {
+  const fileWrites = new Map();
+
+  for (const write of earlierWrites) {
+    if (typeof write?.path !== 'string' || typeof write.content !== 'string') continue;
+    try {
+      const { relativePath } = resolveProjectPath(projectFolder, write.path);
+      if (relativePath) {
+        fileWrites.set(relativePath, write.content);
+      }
+    } catch (error) {
+      logger.debugLog(`Ignored an earlier write outside the project folder: ${write.path}`);
+    }
+  }
+
+  return {
+    projectFolder,
+    // Relative path to pending content, in the order the files were first written
+    fileWrites
+  };
+}
+
+/**
+ * Resolve a path from the model against the project folder
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {string} relativePath - Path given by the model
+ * @returns {Object} The absolute path and the normalised relative path
+ * @throws {Error} If the path leaves the project folder
+ */
+function resolveProjectPath(projectFolder, relativePath = '') {
+  const absolutePath = path.resolve(projectFolder, relativePath);
+  const normalizedRelative = path.relative(projectFolder, absolutePath);
+
+  if (normalizedRelative.startsWith('..') || path.isAbsolute(normalizedRelative)) {
+    throw new Error(`Path is outside the project folder: ${relativePath}`);
+  }
+
+  return {
+    absolutePath,
+    relativePath: normalizedRelative.split(path.sep).join('/')
+  };
+}
+
+/**
+ * Recursively collect project files, skipping ignored folders
+ * @param {string} directory - Absolute directory to scan
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {Array} files - Accumulator of relative paths
+ * @returns {Array} Relative file paths
+ */
+function collectFiles(directory, projectFolder, files = []) {
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const entryPath = path.join(directory, entry.name);
+
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.has(entry.name)) {
+        collectFiles(entryPath, projectFolder, files);
+      }
+    } else if (entry.isFile()) {
+      files.push(path.relative(projectFolder, entryPath).split(path.sep).join('/'));
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Read a file, preferring content written earlier in the same request
+ * @param {Object} context - The tool context
+ * @param {Object} args - Tool arguments ({ path })
+ * @returns {string} The file contents
+ */
+function readFileTool(context, args) {
+  const { absolutePath, relativePath } = resolveProjectPath(context.projectFolder, args.path);
+
+  if (context.fileWrites.has(relativePath)) {
+    const content = context.fileWrites.get(relativePath);
+    return content.length > MAX_READ_CHARACTERS
+      ? `${content.slice(0, MAX_READ_CHARACTERS)}\n\n[Truncated: the file has ${content.length} characters]`
+      : content;
+  }
+
+  if (!fs.existsSync(absolutePath) || !fs.statSync(absolutePath).isFile()) {
+    throw new Error(`File not found: ${relativePath}`);
+  }
+
+  // Large files are never loaded whole; only their start is read
+  const size = fs.statSync(absolutePath).size;
+  if (size <= MAX_READ_CHARACTERS) {
+    return fs.readFileSync(absolutePath, 'utf8');
+  }
+
+  const buffer = Buffer.alloc(MAX_READ_CHARACTERS);
+  const fd = fs.openSync(absolutePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, MAX_READ_CHARACTERS, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // A character split at the cut is dropped rather than shown as garbage
+  const start = buffer.toString('utf8').replace(/\uFFFD$/, '');
+  return `${start}\n\n[Truncated: the file has ${size} bytes]`;
+}
+
+/**
+ * List project files, including files written earlier in the same request
+ * @param {Object} context - The tool context
+ * @param {Object} args - Tool arguments ({ directory })
+ * @returns {string} One relative path per line
+ */
+function listFilesTool(context, args) {
+  const { absolutePath, relativePath } = resolveProjectPath(context.projectFolder, args.directory || '');
+
+  if (!fs.existsSync(absolutePath) || !fs.statSync(absolutePath).isDirectory()) {
+    throw new Error(`Folder not found: ${relativePath || '.'}`);
+  }
+
+  const prefix = relativePath ? `${relativePath}/` : '';
+  const files = new Set(collectFiles(absolutePath, context.projectFolder));
+  for (const writtenPath of context.fileWrites.keys()) {
+    if (writtenPath.startsWith(prefix)) {
+      files.add(writtenPath);
+    }
+  }
+
+  if (files.size === 0) {
+    return 'No files found.';
+  }
+
+  const sorted = [...files].sort();
+  const listed = sorted.slice(0, MAX_LISTED_FILES).join('\n');
+  return sorted.length > MAX_LISTED_FILES
+    ? `${listed}\n[${sorted.length - MAX_LISTED_FILES} more files not shown]`
+    : listed;
+}
+
+/**
+ * Record a file write to be applied once the response is complete
+ * @param {Object} context - The tool context
+ * @param {Object} args - Tool arguments ({ path, content, append })
+ * @returns {string} Confirmation for the model
+ */
+function writeFileTool(context, args) {
+  if (typeof args.content !== 'string') {
+    throw new Error('Missing file content');
+  }
+
+  const { absolutePath, relativePath } = resolveProjectPath(context.projectFolder, args.path);
+  if (!relativePath) {
+    throw new Error('Missing file path');
+  }
+
+  if (args.append) {
+    const existing = context.fileWrites.has(relativePath)
+      ? context.fileWrites.get(relativePath)
+      : (fs.existsSync(absolutePath) && fs.statSync(absolutePath).isFile() ? fs.readFileSync(absolutePath, 'utf8') : '');
+    context.fileWrites.set(relativePath, existing + args.content);
+  } else {
+    context.fileWrites.set(relativePath, args.content);
+  }
+
+  const recorded = context.fileWrites.get(relativePath).length;
+  return `Recorded ${recorded} characters for ${relativePath}. The file is saved when your response is complete.`;
+}
+
+/**
+ * Search the text of the project files
+ * The search runs in a worker that is stopped after SEARCH_TIMEOUT_MS, so a
+ * pattern that backtracks badly can't freeze the app
+ * @param {Object} context - The tool context
+ * @param {Object} args - Tool arguments ({ query, regex, directory })
+ * @returns {Promise<string>} Matching lines as "path:line: text"
+ */
+async function searchFilesTool(context, args) {
+  if (!args.query) {
+    throw new Error('Missing search query');
+  }
+  if (args.query.length > MAX_QUERY_LENGTH) {
+    throw new Error(`The search query is longer than ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  // Compiling first reports invalid patterns as errors the model can fix
+  const pattern = args.regex
+    ? new RegExp(args.query)
+    : new RegExp(args.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  const { absolutePath } = resolveProjectPath(context.projectFolder, args.directory || '');
+
+  const files = collectFiles(absolutePath, context.projectFolder).map(relativePath => ({
+    relativePath,
+    filePath: path.join(context.projectFolder, relativePath),
+    content: context.fileWrites.get(relativePath)
+  }));
+
+  const { results, stopped } = await runSearchWorker({
+    source: pattern.source,
+    flags: pattern.flags,
+    files,
+    maxResults: MAX_SEARCH_RESULTS,
+    maxFileBytes: MAX_SEARCHED_FILE_BYTES,
+    maxLineLength: MAX_SEARCHED_LINE_LENGTH
+  });
+
+  if (stopped) {
+    return `${results.join('\n')}\n[Stopped after ${MAX_SEARCH_RESULTS} matches]`;
+  }
+  return results.length > 0 ? results.join('\n') : 'No matches found.';
+}
+
+/**
+ * Run a search in a worker thread, stopping it if it takes too long
+ * @param {Object} workerData - The pattern, files and limits for searchWorker.js
+ * @returns {Promise<Object>} results as "path:line: text" and whether the search stopped at the result limit
+ */
+function runSearchWorker(workerData) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'searchWorker.js'), { workerData });
+
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new Error(`The search took longer than ${SEARCH_TIMEOUT_MS / 1000} seconds and was stopped. Use a simpler pattern or a smaller directory`));
+    }, SEARCH_TIMEOUT_MS);
+
+    worker.once('message', (result) => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(result);
+    });
+
+    worker.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+const TOOL_HANDLERS = {
+  read_file: readFileTool,
+  list_files: listFilesTool,
+  write_file: writeFileTool,
+  search_files: searchFilesTool
+};
+
+/**
+ * Run one tool call from the model
+ * Failures are returned as text so the model can correct itself
+ * @param {Object} toolCall - The tool call ({ id, function: { name, arguments } })
+ * @param {Object} context - The tool context
+ * @param {Object} [options] - cutOff: the response stopped at the token limit, so the arguments may be incomplete
+ * @returns {Promise<string>} The tool result
+ */
+async function executeToolCall(toolCall, context, { cutOff = false } = {}) {
+  const name = toolCall.function?.name;
+  const handler = TOOL_HANDLERS[name];
+
+  if (!handler) {
+    return `Error: Unknown tool: ${name}`;
+  }
+
+  try {
+    const args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+    logger.debugLog(`Tool call ${name}: ${args.path || args.directory || args.query || ''}`);
+    return await handler(context, args);
+  } catch (error) {
+    if (cutOff && error instanceof SyntaxError) {
+      logger.debugLog(`Tool call ${name} was cut off at the token limit`);
+      return TRUNCATED_CALL_MESSAGE;
+    }
+    logger.debugLog(`Tool call ${name} failed: ${error.message}`);
+    return `Error: ${error.message}`;
+  }
+}
+
+/**
+ * Get the writes collected by the tool calls of a request
+ * @param {Object} context - The tool context
+ * @returns {Array} Array of {path, content} objects
+ */
+function getFileWrites(context) {
+  return [...context.fileWrites.entries()].map(([filePath, content]) => ({ path: filePath, content }));
+}
+
+module.exports = {
+  TOOL_DEFINITIONS,
+  createToolContext,
+  executeToolCall,
+  getFileWrites
+};
@@ -0,0 +1,457 @@
+/**
+ * On-disk store for projects
+ * Each project is a folder under userData/projects holding:
+ * - metadata.json: title, task description, project folder, stage and dates
+ * - todo.json: the task breakdown
+ * - conversations.json: the clarification exchanges and the per-task conversations
+ * - pendingChanges.json: the proposed content of the file changes waiting for review, by change ID
+ * - globalContext.txt: the global context document
+ * - contextHistory.json: the saved versions of the global context
+ * An index.json next to the project folders keeps a summary of every project
+ * so the library can be listed without opening each one
+ */
+
+const { app } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const PROJECTS_DIR = path.join(app.getPath('userData'), 'projects');
+const INDEX_FILE = path.join(PROJECTS_DIR, 'index.json');
+
+// Pipeline stages in order; a project's stage is the step it resumes at
+const PROJECT_STAGES = ['clarification', 'context', 'breakdown', 'execution'];
+
+// Task statuses that count as done in the library's progress
+const DONE_STATUSES = ['completed', 'skipped'];
+
+/**
+ * Check a project ID and get its folder
+ * @param {string} projectId - The project ID
+ * @returns {string} Absolute path of the project folder
+ * @throws {Error} If the ID could point outside the projects folder
+ */
+function getProjectDir(projectId) {
+  if (!projectId || typeof projectId !== 'string' || /[\\/]|\.\./.test(projectId)) {
+    throw new Error('Invalid project ID');
+  }
+  return path.join(PROJECTS_DIR, projectId);
+}
+
+/**
+ * Generate a readable, unique project ID from a title
+ * @param {string} title - Project title
+ * @returns {string} Project ID
+ */
+function generateProjectId(title) {
+  const slug = (title || 'project')
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .substring(0, 50) || 'project';
+  const suffix = crypto.randomBytes(3).toString('hex');
+  return `${slug}-${suffix}`;
+}
+
+/**
+ * Write a file via a temporary file so a crash never leaves it half written
+ * @param {string} filePath - Destination path
+ * @param {string} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, content, 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Read a JSON file, falling back when it is missing or corrupt
+ * @param {string} filePath - The file to read
+ * @param {any} fallback - Value returned if the file can't be read
+ * @returns {any} The parsed content
+ */
+function readJSON(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.debugLog(`Could not read ${filePath}: ${error.message}`);
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Count the tasks in a breakdown
+ * Skipped tasks count as done, as they do for task dependencies
+ * @param {Object|null} todo - The task breakdown
+ * @returns {Object} completedTasks and totalTasks
+ */
+function countTasks(todo) {
+  const tasks = (todo?.sections || []).flatMap(section => section.tasks || []);
+  return {
+    completedTasks: tasks.filter(task => DONE_STATUSES.includes(task.status)).length,
+    totalTasks: tasks.length
+  };
+}
+
+/**
+ * Build the index entry for a project
+ * @param {Object} metadata - The project's metadata
+ * @param {Object} counts - completedTasks and totalTasks
+ * @returns {Object} The summary shown in the project library
+ */
+function createIndexEntry(metadata, counts) {
+  return {
+    id: metadata.id,
+    title: metadata.title,
+    projectFolder: metadata.projectFolder || '',
+    stage: metadata.stage,
+    archived: Boolean(metadata.archived),
+    createdDate: metadata.createdDate,
+    lastModified: metadata.lastModified,
+    ...counts
+  };
+}
+
+/**
+ * Rebuild the index from the project folders
+ * @returns {Object} The index, keyed by project ID
+ */
+function rebuildIndex() {
+  const index = {};
+
+  if (fs.existsSync(PROJECTS_DIR)) {
+    for (const entry of fs.readdirSync(PROJECTS_DIR, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+
+      const projectDir = path.join(PROJECTS_DIR, entry.name);
+      const metadata = readJSON(path.join(projectDir, 'metadata.json'), null);
+      if (metadata) {
+        const todo = readJSON(path.join(projectDir, 'todo.json'), null);
+        index[entry.name] = createIndexEntry({ ...metadata, id: entry.name }, countTasks(todo));
+      }
+    }
+  }
+
+  writeIndex(index);
+  logger.debugLog(`Rebuilt the project index (${Object.keys(index).length} projects)`);
+  return index;
+}
+
+/**
+ * Read the project index, rebuilding it if it is missing or corrupt
+ * @returns {Object} The index, keyed by project ID
+ */
+function readIndex() {
+  const index = readJSON(INDEX_FILE, null);
+  return index && typeof index.projects === 'object' ? index.projects : rebuildIndex();
+}
+
+/**
+ * Write the project index
+ * @param {Object} projects - The index, keyed by project ID
+ */
+function writeIndex(projects) {
+  fs.mkdirSync(PROJECTS_DIR, { recursive: true });
+  writeFileAtomic(INDEX_FILE, JSON.stringify({ projects }, null, 2));
+}
+
+/**
+ * Add, replace or remove one project's index entry
+ * @param {string} projectId - The project ID
+ * @param {Object|null} entry - The new entry, or null to remove it
+ */
+function updateIndexEntry(projectId, entry) {
+  const index = readIndex();
+  if (entry) {
+    index[projectId] = entry;
+  } else {
+    delete index[projectId];
+  }
+  writeIndex(index);
+}
+
+/**
+ * Create a new project
+ * @param {Object} projectData - title and taskDescription
+ * @returns {Object} The new project's metadata
+ */
+function createProject({ title, taskDescription = '' }) {
+  const id = generateProjectId(title);
+  const projectDir = getProjectDir(id);
+  fs.mkdirSync(projectDir, { recursive: true });
+
+  const now = new Date().toISOString();
+  const metadata = {
+    id,
+    title: title || 'Untitled project',
+    taskDescription,
+    projectFolder: '',
+    stage: 'clarification',
+    createdDate: now,
+    lastModified: now
+  };
+
+  writeFileAtomic(path.join(projectDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+  writeFileAtomic(path.join(projectDir, 'todo.json'), JSON.stringify({ title: metadata.title, sections: [] }, null, 2));
+  writeFileAtomic(path.join(projectDir, 'conversations.json'), JSON.stringify({ clarification: [], tasks: {} }, null, 2));
+  writeFileAtomic(path.join(projectDir, 'globalContext.txt'), '');
+  writeFileAtomic(path.join(projectDir, 'contextHistory.json'), '[]');
+  updateIndexEntry(id, createIndexEntry(metadata, countTasks(null)));
+
+  logger.debugLog(`Created project ${id}`);
+  return metadata;
+}
+
+/**
+ * Load everything stored for a project
+ * @param {string} projectId - The project ID
+ * @returns {Object} metadata, todo, conversations, pendingChangeContents, globalContext and contextHistory
+ * @throws {Error} If the project doesn't exist
+ */
+function loadProject(projectId) {
+  const projectDir = getProjectDir(projectId);
+  const metadata = readJSON(path.join(projectDir, 'metadata.json'), null);
+
+  if (!metadata) {
+    throw new Error(`Project not found: ${projectId}`);
+  }
+
+  let globalContext = '';
+  try {
+    globalContext = fs.readFileSync(path.join(projectDir, 'globalContext.txt'), 'utf8');
+  } catch (error) {
+    logger.debugLog(`Project ${projectId} has no global context yet`);
+  }
+
+  const todo = readJSON(path.join(projectDir, 'todo.json'), null);
+
+  return {
+    metadata: { ...metadata, id: projectId },
+    // An empty breakdown is stored until the breakdown stage runs
+    todo: todo && Array.isArray(todo.sections) && todo.sections.length > 0 ? todo : null,
+    conversations: readJSON(path.join(projectDir, 'conversations.json'), { clarification: [], tasks: {} }),
+    pendingChangeContents: readJSON(path.join(projectDir, 'pendingChanges.json'), {}),
+    globalContext,
+    contextHistory: readJSON(path.join(projectDir, 'contextHistory.json'), [])
+  };
+}
+
+/**
+ * Save part or all of a project; fields left out are not touched
+ * @param {string} projectId - The project ID
+ * @param {Object} data - Any of metadata (merged), todo, conversations, pendingChangeContents, globalContext and contextHistory
+ * @returns {Object} The updated metadata
+ * @throws {Error} If the project doesn't exist or the stage is unknown
+ */
+function saveProject(projectId, data = {}) {
+  const projectDir = getProjectDir(projectId);
+  const metadataPath = path.join(projectDir, 'metadata.json');
+  const current = readJSON(metadataPath, null);
+
+  if (!current) {
+    throw new Error(`Project not found: ${projectId}`);
+  }
+
+  const updates = data.metadata || {};
+  if (updates.stage && !PROJECT_STAGES.includes(updates.stage)) {
+    throw new Error(`Unknown project stage: ${updates.stage}`);
+  }
+
+  if (data.todo !== undefined) {
+    writeFileAtomic(path.join(projectDir, 'todo.json'), JSON.stringify(data.todo || { sections: [] }, null, 2));
+  }
+
+  if (data.conversations !== undefined) {
+    writeFileAtomic(path.join(projectDir, 'conversations.json'), JSON.stringify(data.conversations, null, 2));
+  }
+
+  if (data.pendingChangeContents !== undefined) {
+    writeFileAtomic(path.join(projectDir, 'pendingChanges.json'), JSON.stringify(data.pendingChangeContents || {}));
+  }
+
+  if (data.globalContext !== undefined) {
+    writeFileAtomic(path.join(projectDir, 'globalContext.txt'), data.globalContext || '');
+  }
+
+  if (data.contextHistory !== undefined) {
+    writeFileAtomic(path.join(projectDir, 'contextHistory.json'), JSON.stringify(data.contextHistory || [], null, 2));
+  }
+
+  const metadata = { ...current, ...updates, id: projectId, lastModified: new Date().toISOString() };
+  writeFileAtomic(metadataPath, JSON.stringify(metadata, null, 2));
+
+  const todo = data.todo !== undefined ? data.todo : readJSON(path.join(projectDir, 'todo.json'), null);
+  updateIndexEntry(projectId, createIndexEntry(metadata, countTasks(todo)));
+
+  return metadata;
+}
+
+/**
+ * Rename a project
+ * @param {string} projectId - The project ID
+ * @param {string} title - The new title
+ * @returns {Object} The updated metadata
+ */
+function renameProject(projectId, title) {
+  const trimmed = (title || '').trim();
+  if (!trimmed) {
+    throw new Error('Project title cannot be empty');
+  }
+  return saveProject(projectId, { metadata: { title: trimmed } });
+}
+
+/**
+ * Archive or restore a project; archived projects are hidden from the library by default
+ * @param {string} projectId - The project ID
+ * @param {boolean} archived - Whether the project should be archived
+ * @returns {Object} The updated metadata
+ */
+function setProjectArchived(projectId, archived) {
+  return saveProject(projectId, { metadata: { archived: Boolean(archived) } });
+}
+
+/**
+ * Copy a project into a new one
+ * @param {string} projectId - The project to copy
+ * @returns {Object} The new project's metadata
+ */
+function duplicateProject(projectId) {
+  const sourceDir = getProjectDir(projectId);
+  const source = loadProject(projectId);
+  const id = generateProjectId(source.metadata.title);
+  const projectDir = getProjectDir(id);
+
+  fs.cpSync(sourceDir, projectDir, { recursive: true });
+
+  const now = new Date().toISOString();
+  const metadata = {
+    ...source.metadata,
+    id,
+    title: `${source.metadata.title} (copy)`,
+    archived: false,
+    createdDate: now,
+    lastModified: now
+  };
+  writeFileAtomic(path.join(projectDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+  updateIndexEntry(id, createIndexEntry(metadata, countTasks(source.todo)));
+
+  logger.debugLog(`Duplicated project ${projectId} as ${id}`);
+  return metadata;
+}
+
+/**
+ * Delete a project and everything stored for it
+ * The linked project folder on the user's disk is not touched
+ * @param {string} projectId - The project ID
+ */
+function deleteProject(projectId) {
+  const projectDir = getProjectDir(projectId);
+  fs.rmSync(projectDir, { recursive: true, force: true });
+  updateIndexEntry(projectId, null);
+  logger.debugLog(`Deleted project ${projectId}`);
+}
+
+/**
+ * List the stored projects from the index, most recently modified first
+ * @returns {Array} Array of index entries
+ */
+function listProjects() {
+  return Object.values(readIndex())
+    .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+}
+
+/**
+ * Set up IPC handlers for projects
+ * @param {Object} ipcMain - The Electron ipcMain object
+ */
+function setupProjectHandlers(ipcMain) {
+  ipcMain.handle('projects:create', (event, projectData) => {
+    try {
+      return { success: true, project: createProject(projectData || {}) };
+    } catch (error) {
+      logger.logError('projects:create', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('projects:load', (event, projectId) => {
+    try {
+      return { success: true, project: loadProject(projectId) };
+    } catch (error) {
+      logger.logError('projects:load', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('projects:save', (event, projectId, data) => {
+    try {
+      return { success: true, metadata: saveProject(projectId, data) };
+    } catch (error) {
+      logger.logError('projects:save', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('projects:rename', (event, projectId, title) => {
+    try {
+      return { success: true, metadata: renameProject(projectId, title) };
+    } catch (error) {
+      logger.logError('projects:rename', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('projects:duplicate', (event, projectId) => {
+    try {
+      return { success: true, metadata: duplicateProject(projectId) };
+    } catch (error) {
+      logger.logError('projects:duplicate', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('projects:archive', (event, projectId, archived) => {
+    try {
+      return { success: true, metadata: setProjectArchived(projectId, archived) };
+    } catch (error) {
+      logger.logError('projects:archive', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('projects:delete', (event, projectId) => {
+    try {
+      deleteProject(projectId);
+      return { success: true };
+    } catch (error) {
+      logger.logError('projects:delete', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('projects:list', () => {
+    try {
+      return { success: true, projects: listProjects() };
+    } catch (error) {
+      logger.logError('projects:list', error);
+      return { success: false, error: error.message, projects: [] };
+    }
+  });
+}
+
+module.exports = {
+  PROJECT_STAGES,
+  createProject,
+  loadProject,
+  saveProject,
+  renameProject,
+  setProjectArchived,
+  duplicateProject,
+  deleteProject,
+  listProjects,
+  setupProjectHandlers
+};
@@ -0,0 +1,246 @@
+/**
+ * Registry of model providers
+ * Each provider describes its base URL, auth headers and how to normalise
+ * its chat completion responses into a common shape
+ */
+
+const logger = require('./logger');
+const { startMockServer } = require('./mockModelServer');
+
+// OpenRouter model variants such as ":free" or ":nitro"
+const OPENROUTER_VARIANT_REGEX = /:[a-z]+$/i;
+
+/**
+ * Default response normalisation for OpenAI-compatible chat completions
+ * @param {Object} completion - The raw chat completion
+ * @returns {Object} Normalised response with text, reasoning, usage, finishReason and toolCalls
+ */
+function normalizeOpenAIResponse(completion) {
+  const choice = completion.choices?.[0];
+
+  return {
+    text: choice?.message?.content || '',
+    reasoning: null,
+    usage: completion.usage || null,
+    finishReason: choice?.finish_reason || null,
+    toolCalls: (choice?.message?.tool_calls || []).filter(toolCall => toolCall && toolCall.function)
+  };
+}
+
+const PROVIDERS = {
+  openrouter: {
+    id: 'openrouter',
+    name: 'OpenRouter',
+    baseURL: 'https://openrouter.ai/api/v1',
+    requiresApiKey: true,
+    // The default API key in Settings is an OpenRouter key
+    usesDefaultApiKey: true,
+    // OpenRouter slugs are "vendor/model", so the vendor part is sent as-is
+    keepsVendorPrefix: true,
+    buildHeaders: () => ({
+      'HTTP-Referer': 'https://github.com/pabloRom2004/AI-Task-Completer',
+      'X-Title': 'Do Way More'
+    }),
+    normalizeResponse: (completion) => {
+      // OpenRouter reports upstream failures in the body of a 200 response
+      if (completion.error) {
+        const error = new Error(completion.error.message || 'OpenRouter returned an error');
+        // The body carries the upstream HTTP status as its code
+        error.status = completion.error.code;
+        throw error;
+      }
+
+      const normalized = normalizeOpenAIResponse(completion);
+      normalized.reasoning = completion.choices?.[0]?.message?.reasoning || null;
+      return normalized;
+    }
+  },
+
+  openai: {
+    id: 'openai',
+    name: 'OpenAI',
+    baseURL: 'https://api.openai.com/v1',
+    requiresApiKey: true,
+    keepsVendorPrefix: false,
+    buildHeaders: () => ({}),
+    normalizeResponse: normalizeOpenAIResponse
+  },
+
+  deepseek: {
+    id: 'deepseek',
+    name: 'DeepSeek',
+    baseURL: 'https://api.deepseek.com/v1',
+    requiresApiKey: true,
+    keepsVendorPrefix: false,
+    buildHeaders: () => ({}),
+    normalizeResponse: (completion) => {
+      const normalized = normalizeOpenAIResponse(completion);
+      // deepseek-reasoner returns its chain of thought separately
+      normalized.reasoning = completion.choices?.[0]?.message?.reasoning_content || null;
+      return normalized;
+    }
+  },
+
+  anthropic: {
+    id: 'anthropic',
+    name: 'Anthropic',
+    // OpenAI SDK compatible endpoint
+    baseURL: 'https://api.anthropic.com/v1/',
+    requiresApiKey: true,
+    keepsVendorPrefix: false,
+    // Anthropic authenticates with x-api-key rather than a bearer token
+    buildHeaders: (apiKey) => ({
+      'Authorization': null,
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    }),
+    normalizeResponse: normalizeOpenAIResponse
+  },
+
+  custom: {
+    id: 'custom',
+    name: 'OpenAI-compatible (custom URL)',
+    // Overridden by the customBaseURL setting, e.g. a local llama.cpp or Ollama server
+    baseURL: 'http://localhost:11434/v1',
+    requiresApiKey: false,
+    keepsVendorPrefix: false,
+    buildHeaders: () => ({}),
+    normalizeResponse: (completion) => {
+      const normalized = normalizeOpenAIResponse(completion);
+
+      // Local reasoning models often inline their thinking in <think> tags
+      const thinkMatch = normalized.text.match(/^\s*<think>([\s\S]*?)<\/think>\s*/);
+      if (thinkMatch) {
+        normalized.reasoning = thinkMatch[1].trim();
+        normalized.text = normalized.text.slice(thinkMatch[0].length);
+      }
+
+      return normalized;
+    }
+  },
+
+  mock: {
+    id: 'mock',
+    name: 'Offline mock (fixtures)',
+    // Filled in by resolveBaseURL once the local mock server is listening
+    baseURL: null,
+    requiresApiKey: false,
+    // Never sends a key, so settings doesn't offer one
+    acceptsApiKey: false,
+    keepsVendorPrefix: false,
+    buildHeaders: () => ({}),
+    normalizeResponse: normalizeOpenAIResponse,
+    // The model name after "mock/" selects the fixture file
+    resolveBaseURL: (settings) => startMockServer(settings.mockFixturesPath)
+  }
+};
+
+/**
+ * Get a provider by ID
+ * @param {string} providerId - The provider ID
+ * @returns {Object|null} The provider definition or null if unknown
+ */
+function getProvider(providerId) {
+  return PROVIDERS[providerId] || null;
+}
+
+/**
+ * List the available providers for display in settings
+ * @returns {Array} Array of {id, name, acceptsApiKey} objects
+ */
+function listProviders() {
+  return Object.values(PROVIDERS).map(({ id, name, acceptsApiKey, usesDefaultApiKey }) => ({
+    id,
+    name,
+    acceptsApiKey: acceptsApiKey !== false,
+    usesDefaultApiKey: Boolean(usesDefaultApiKey)
+  }));
+}
+
+/**
+ * Guess a provider from a bare model name (no provider prefix)
+ * @param {string} model - The model name
+ * @returns {Object} The provider definition
+ */
+function guessProviderFromModelName(model) {
+  if (/^(gpt-|o\d|chatgpt)/i.test(model)) return PROVIDERS.openai;
+  if (/^claude/i.test(model)) return PROVIDERS.anthropic;
+  if (/^deepseek/i.test(model)) return PROVIDERS.deepseek;
+
+  // Anything else is assumed to be served by the custom endpoint
+  return PROVIDERS.custom;
+}
+
+/**
+ * Resolve which provider a model should be sent to and the model name that provider expects
+ *
+ * An explicit provider setting always wins. Otherwise a known "provider/" prefix selects
+ * the provider, except for OpenRouter-style slugs such as "deepseek/deepseek-chat-v3-0324:free"
+ * which are sent to OpenRouter unchanged.
+ *
+ * @param {string} model - The model string from settings
+ * @param {Object} settings - The application settings
+ * @returns {Object} Object with provider, modelName and baseURL
+ */
+function resolveProvider(model, settings = {}) {
+  let provider;
+  let modelName = model;
+
+  const [prefix, ...rest] = model.split('/');
+  const prefixedProvider = rest.length > 0 ? getProvider(prefix) : null;
+  const explicitProvider = settings.provider && settings.provider !== 'auto'
+    ? getProvider(settings.provider)
+    : null;
+
+  if (explicitProvider) {
+    provider = explicitProvider;
+    // Only strip the prefix when it names the chosen provider itself
+    if (prefixedProvider === explicitProvider) {
+      modelName = rest.join('/');
+    }
+  } else if (prefixedProvider === PROVIDERS.openrouter) {
+    provider = PROVIDERS.openrouter;
+    modelName = rest.join('/');
+  } else if (prefixedProvider && !OPENROUTER_VARIANT_REGEX.test(model)) {
+    provider = prefixedProvider;
+    modelName = rest.join('/');
+  } else if (rest.length > 0) {
+    // Unknown vendor prefix or variant suffix: treat it as an OpenRouter slug
+    provider = PROVIDERS.openrouter;
+  } else {
+    provider = guessProviderFromModelName(model);
+  }
+
+  const baseURL = provider.id === 'custom' && settings.customBaseURL
+    ? settings.customBaseURL
+    : provider.baseURL;
+
+  logger.debugLog(`Resolved model "${model}" to provider ${provider.id} (${baseURL}) as "${modelName}"`);
+
+  return { provider, modelName, baseURL };
+}
+
+/**
+ * Get the API key to use for a provider
+ * Provider-specific keys take priority over the default key, which is only
+ * sent to the provider it was entered for so it never leaks to another endpoint
+ * @param {Object} provider - The provider definition
+ * @param {Object} settings - The application settings
+ * @param {string} defaultApiKey - The default API key
+ * @returns {string} The API key (may be empty for providers that don't need one)
+ */
+function getApiKeyForProvider(provider, settings = {}, defaultApiKey = '') {
+  const providerKeys = settings.providerApiKeys || {};
+  if (providerKeys[provider.id]) {
+    return providerKeys[provider.id];
+  }
+  return provider.usesDefaultApiKey ? defaultApiKey || '' : '';
+}
+
+module.exports = {
+  PROVIDERS,
+  getProvider,
+  listProviders,
+  resolveProvider,
+  getApiKeyForProvider
+};
@@ -0,0 +1,140 @@
+/**
+ * Opt-in on-disk cache of model responses
+ * Identical planning calls (same provider, model, parameters and messages)
+ * are answered from disk instead of spending tokens again
+ */
+
+const { app } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const CACHE_DIR = path.join(app.getPath('userData'), 'response-cache');
+
+// Used when the settings leave the limits unset
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_MAX_SIZE_MB = 50;
+
+/**
+ * Build the cache key for a request
+ * @param {Object} request - provider, model, temperature, maxTokens and messages
+ * @returns {string} Hex SHA-256 of the request
+ */
+function buildCacheKey({ provider, model, temperature, maxTokens, messages }) {
+  const messagesHash = crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ provider, model, temperature, maxTokens, messagesHash }))
+    .digest('hex');
+}
+
+/**
+ * Read the cache limits from settings
+ * @param {Object} settings - The application settings
+ * @returns {Object} ttlMs and maxBytes
+ */
+function getCacheLimits(settings) {
+  const ttlHours = Number(settings.responseCacheTTLHours);
+  const maxSizeMB = Number(settings.responseCacheMaxSizeMB);
+
+  return {
+    ttlMs: (Number.isFinite(ttlHours) && ttlHours > 0 ? ttlHours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000,
+    maxBytes: (Number.isFinite(maxSizeMB) && maxSizeMB > 0 ? maxSizeMB : DEFAULT_MAX_SIZE_MB) * 1024 * 1024
+  };
+}
+
+/**
+ * Get a cached response
+ * @param {string} key - The cache key
+ * @param {Object} settings - The application settings
+ * @returns {Object|null} The cached result, or null on a miss or expired entry
+ */
+function getCachedResponse(key, settings) {
+  const entryPath = path.join(CACHE_DIR, `${key}.json`);
+
+  try {
+    if (!fs.existsSync(entryPath)) {
+      return null;
+    }
+
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    if (Date.now() - entry.createdAt > getCacheLimits(settings).ttlMs) {
+      fs.unlinkSync(entryPath);
+      logger.debugLog(`Response cache entry expired: ${key.slice(0, 12)}`);
+      return null;
+    }
+
+    // Touch the entry so the size cap evicts the least recently used first
+    const now = new Date();
+    fs.utimesSync(entryPath, now, now);
+    return entry.result;
+  } catch (error) {
+    logger.debugLog(`Could not read response cache entry ${key.slice(0, 12)}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a response in the cache and evict old entries over the size cap
+ * @param {string} key - The cache key
+ * @param {Object} result - The successful model result
+ * @param {Object} settings - The application settings
+ */
+function setCachedResponse(key, result, settings) {
+  try {
+    if (!fs.existsSync(CACHE_DIR)) {
+      fs.mkdirSync(CACHE_DIR, { recursive: true });
+    }
+
+    fs.writeFileSync(path.join(CACHE_DIR, `${key}.json`), JSON.stringify({ createdAt: Date.now(), result }), 'utf8');
+    enforceSizeCap(getCacheLimits(settings).maxBytes);
+  } catch (error) {
+    logger.debugLog(`Could not write response cache entry ${key.slice(0, 12)}: ${error.message}`);
+  }
+}
+
+/**
+ * Delete the least recently used entries until the cache fits the cap
+ * @param {number} maxBytes - Maximum total size of the cache
+ */
+function enforceSizeCap(maxBytes) {
+  const entries = fs.readdirSync(CACHE_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      const entryPath = path.join(CACHE_DIR, name);
+      const stats = fs.statSync(entryPath);
+      return { entryPath, size: stats.size, usedAt: stats.mtimeMs };
+    })
+    .sort((a, b) => a.usedAt - b.usedAt);
+
+  let totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+
+  for (const entry of entries) {
+    if (totalSize <= maxBytes) break;
+    fs.unlinkSync(entry.entryPath);
+    totalSize -= entry.size;
+    logger.debugLog(`Response cache over its size cap, evicted ${path.basename(entry.entryPath, '.json').slice(0, 12)}`);
+  }
+}
+
+/**
+ * Delete every cached response
+ * @returns {number} The number of entries deleted
+ */
+function clearResponseCache() {
+  if (!fs.existsSync(CACHE_DIR)) {
+    return 0;
+  }
+
+  const names = fs.readdirSync(CACHE_DIR).filter(name => name.endsWith('.json'));
+  names.forEach(name => fs.unlinkSync(path.join(CACHE_DIR, name)));
+  logger.debugLog(`Response cache cleared (${names.length} entries)`);
+  return names.length;
+}
+
+module.exports = {
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  clearResponseCache
+};
@@ -0,0 +1,47 @@
+/**
+ * Worker thread that runs the search_files tool
+ * The pattern comes from the model, so it runs here rather than on the main
+ * process: a pattern that backtracks badly is stopped by terminating the
+ * worker instead of freezing the app
+ *
+ * workerData: source and flags of the pattern, the files to search as
+ * { relativePath, filePath, content } (content is set for files written earlier
+ * in the same request) and the limits. Posts { results, stopped } back.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+
+const { source, flags, files, maxResults, maxFileBytes, maxLineLength } = workerData;
+const pattern = new RegExp(source, flags);
+const results = [];
+let stopped = false;
+
+for (const { relativePath, filePath, content: writtenContent } of files) {
+  let content = writtenContent;
+  if (typeof content !== 'string') {
+    try {
+      if (fs.statSync(filePath).size > maxFileBytes) continue;
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      continue;
+    }
+  }
+
+  // Skip binary files
+  if (content.includes('\u0000')) continue;
+
+  const lines = content.split('\n');
+  for (let index = 0; index < lines.length && !stopped; index++) {
+    // Only the start of very long lines, such as minified code, is searched
+    const line = lines[index].slice(0, maxLineLength);
+    if (pattern.test(line)) {
+      results.push(`${relativePath}:${index + 1}: ${line.trim().slice(0, 200)}`);
+      stopped = results.length >= maxResults;
+    }
+  }
+
+  if (stopped) break;
+}
+
+parentPort.postMessage({ results, stopped });
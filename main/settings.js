@@ -10,7 +10,31 @@ const fs = require('fs');
 // Default settings
 const DEFAULT_SETTINGS = {
   apiKey: '',
-  model: 'deepseek/deepseek-chat-v3-0324:free'
+  model: 'deepseek/deepseek-chat-v3-0324:free',
+  // 'auto' picks the provider from the model's "provider/" prefix
+  provider: 'auto',
+  // Base URL for the OpenAI-compatible custom provider (e.g. a local server)
+  customBaseURL: '',
+  // Optional keys per provider ID; only providers that use the default key fall back to apiKey
+  providerApiKeys: {},
+  // Per-stage overrides ({ model, temperature, maxTokens }) keyed by stage name
+  stageSettings: {},
+  // Maximum simultaneous requests to each provider
+  maxConcurrentRequests: 2,
+  // Price overrides in US dollars per million tokens, keyed by model
+  modelPrices: {},
+  // Spending cap in US dollars for a project, 0 for no cap
+  budgetLimit: 0,
+  // Offer file tools to models that support native tool calling
+  toolCalling: true,
+  // Folder of fixtures for the offline "mock/<fixture>" models, empty for the bundled ones
+  mockFixturesPath: '',
+  // Reuse responses to identical planning calls from an on-disk cache
+  responseCacheEnabled: false,
+  // Skip cache lookups while still refreshing the cache
+  bypassResponseCache: false,
+  responseCacheTTLHours: 24,
+  responseCacheMaxSizeMB: 50
 };
 
 // Settings file path
@@ -0,0 +1,283 @@
+/**
+ * On-disk store of the project files' earlier versions
+ * A snapshot is taken before the app overwrites a file, so any write can be undone.
+ * Each project folder gets its own folder under userData/snapshots holding:
+ * - index.json: every snapshot, oldest first
+ * - <snapshot id>.snap: the file content at the time of the snapshot
+ * A snapshot of a file that didn't exist yet has no content; restoring it deletes the file
+ * Binary files are saved and restored like any other, but their content is never read as text
+ */
+
+const { app } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const SNAPSHOTS_DIR = path.join(app.getPath('userData'), 'snapshots');
+
+// Most snapshots kept per project folder; the oldest turns are dropped first
+const MAX_SNAPSHOTS = 500;
+
+// How much of a file is checked for a NUL byte to tell whether it's binary
+const BINARY_CHECK_BYTES = 8000;
+
+// Why a snapshot was taken
+const SNAPSHOT_REASONS = ['write', 'restore', 'undo'];
+
+/**
+ * Get the folder holding a project folder's snapshots
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @returns {string} Absolute path of the snapshot folder
+ */
+function getStoreDir(projectFolder) {
+  const hash = crypto.createHash('sha1').update(path.resolve(projectFolder)).digest('hex').slice(0, 16);
+  return path.join(SNAPSHOTS_DIR, hash);
+}
+
+/**
+ * Read a project folder's snapshot index
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @returns {Array<Object>} The snapshots, oldest first
+ */
+function readIndex(projectFolder) {
+  try {
+    const index = JSON.parse(fs.readFileSync(path.join(getStoreDir(projectFolder), 'index.json'), 'utf8'));
+    return Array.isArray(index) ? index : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.debugLog(`Could not read the snapshot index of ${projectFolder}: ${error.message}`);
+    }
+    return [];
+  }
+}
+
+/**
+ * Write a project folder's snapshot index via a temporary file
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {Array<Object>} index - The snapshots, oldest first
+ */
+function writeIndex(projectFolder, index) {
+  const indexPath = path.join(getStoreDir(projectFolder), 'index.json');
+  fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify(index, null, 2), 'utf8');
+  fs.renameSync(`${indexPath}.tmp`, indexPath);
+}
+
+/**
+ * Resolve a path relative to the project folder
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {string} relativePath - Path relative to the project folder
+ * @returns {string} The absolute path
+ * @throws {Error} If the path is outside the project folder
+ */
+function resolveInProject(projectFolder, relativePath) {
+  const absolutePath = path.resolve(projectFolder, relativePath);
+  const fromRoot = path.relative(path.resolve(projectFolder), absolutePath);
+  if (!fromRoot || fromRoot.startsWith('..') || path.isAbsolute(fromRoot)) {
+    throw new Error(`Security violation: ${relativePath} is outside the project folder`);
+  }
+  return absolutePath;
+}
+
+/**
+ * Check whether file content is binary rather than text
+ * @param {Buffer} buffer - The content
+ * @returns {boolean} True if the start of the content has a NUL byte
+ */
+function isBinary(buffer) {
+  return buffer.subarray(0, BINARY_CHECK_BYTES).includes(0);
+}
+
+/**
+ * Drop the oldest snapshots and their content once there are too many
+ * Whole turns are dropped, so a turn can always be undone as a unit, and the
+ * turn being recorded is never dropped
+ * @param {Array<Object>} index - The snapshot index, changed in place
+ * @param {string} storeDir - Absolute path of the snapshot folder
+ * @param {string|null} currentTurnId - The turn being recorded
+ */
+function evictOldSnapshots(index, storeDir, currentTurnId) {
+  while (index.length > MAX_SNAPSHOTS) {
+    const oldest = index.find(snapshot => !snapshot.turnId || snapshot.turnId !== currentTurnId);
+    if (!oldest) {
+      return;
+    }
+
+    const dropped = index.filter(snapshot => snapshot === oldest || (oldest.turnId && snapshot.turnId === oldest.turnId));
+    dropped.forEach(snapshot => {
+      index.splice(index.indexOf(snapshot), 1);
+      fs.rmSync(path.join(storeDir, `${snapshot.id}.snap`), { force: true });
+    });
+  }
+}
+
+/**
+ * Check that a snapshot can be put back at its path
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {Object} snapshot - The snapshot
+ * @throws {Error} If a folder now stands where the file was
+ */
+function checkRestorable(projectFolder, snapshot) {
+  const filePath = resolveInProject(projectFolder, snapshot.path);
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    throw new Error(`${snapshot.path} is now a folder, so the saved file can't be put back there. Move or delete the folder first.`);
+  }
+}
+
+/**
+ * Find a snapshot by ID
+ * @param {Array<Object>} index - The snapshot index
+ * @param {string} snapshotId - The snapshot ID
+ * @returns {Object} The snapshot
+ * @throws {Error} If there is no such snapshot
+ */
+function findSnapshot(index, snapshotId) {
+  const snapshot = index.find(candidate => candidate.id === snapshotId);
+  if (!snapshot) {
+    throw new Error(`Snapshot ${snapshotId} not found`);
+  }
+  return snapshot;
+}
+
+/**
+ * Save a file's current content before it is overwritten
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {string} filePath - Absolute path of the file
+ * @param {Object} [details] - turnId and taskId of the write, and the reason for the snapshot
+ * @returns {Object} The snapshot: id, path (relative to the project folder), turnId, taskId, reason, existed, binary and timestamp
+ */
+function takeSnapshot(projectFolder, filePath, { turnId = null, taskId = null, reason = 'write' } = {}) {
+  if (!SNAPSHOT_REASONS.includes(reason)) {
+    throw new Error(`Unknown snapshot reason "${reason}"`);
+  }
+
+  const relativePath = path.relative(path.resolve(projectFolder), resolveInProject(projectFolder, filePath));
+  const storeDir = getStoreDir(projectFolder);
+  fs.mkdirSync(storeDir, { recursive: true });
+
+  const snapshot = {
+    id: `snap_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+    path: relativePath,
+    turnId,
+    taskId,
+    reason,
+    existed: fs.existsSync(filePath) && fs.statSync(filePath).isFile(),
+    binary: false,
+    timestamp: new Date().toISOString()
+  };
+
+  if (snapshot.existed) {
+    const content = fs.readFileSync(filePath);
+    snapshot.binary = isBinary(content);
+    fs.writeFileSync(path.join(storeDir, `${snapshot.id}.snap`), content);
+  }
+
+  const index = readIndex(projectFolder);
+  index.push(snapshot);
+  evictOldSnapshots(index, storeDir, turnId);
+  writeIndex(projectFolder, index);
+  return snapshot;
+}
+
+/**
+ * List the snapshots of a project folder, newest first
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {string} [relativePath] - Only list the snapshots of this file
+ * @returns {Array<Object>} The snapshots
+ */
+function listSnapshots(projectFolder, relativePath = null) {
+  return readIndex(projectFolder)
+    .filter(snapshot => !relativePath || snapshot.path === relativePath)
+    .reverse();
+}
+
+/**
+ * Read the content saved in a snapshot
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {string} snapshotId - The snapshot ID
+ * @returns {string|null} The content, or null if the file didn't exist yet
+ * @throws {Error} If the saved content is binary
+ */
+function readSnapshot(projectFolder, snapshotId) {
+  const snapshot = findSnapshot(readIndex(projectFolder), snapshotId);
+  if (!snapshot.existed) {
+    return null;
+  }
+
+  const content = fs.readFileSync(path.join(getStoreDir(projectFolder), `${snapshot.id}.snap`));
+  if (isBinary(content)) {
+    throw new Error(`${snapshot.path} is a binary file, so its content can't be shown`);
+  }
+  return content.toString('utf8');
+}
+
+/**
+ * Put a file back the way a snapshot saved it; the current content is snapshotted first
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {Object} snapshot - The snapshot to restore
+ * @param {Object} details - turnId, taskId and reason of the snapshot of the current content
+ * @throws {Error} If a folder now stands where the file was
+ */
+function restoreFile(projectFolder, snapshot, details) {
+  checkRestorable(projectFolder, snapshot);
+  const filePath = resolveInProject(projectFolder, snapshot.path);
+  takeSnapshot(projectFolder, filePath, details);
+
+  if (!snapshot.existed) {
+    fs.rmSync(filePath, { force: true });
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.copyFileSync(path.join(getStoreDir(projectFolder), `${snapshot.id}.snap`), filePath);
+}
+
+/**
+ * Restore a file to the version saved in a snapshot
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {string} snapshotId - The snapshot ID
+ * @returns {Object} The restored snapshot
+ */
+function restoreSnapshot(projectFolder, snapshotId) {
+  const snapshot = findSnapshot(readIndex(projectFolder), snapshotId);
+  restoreFile(projectFolder, snapshot, { taskId: snapshot.taskId, reason: 'restore' });
+  return snapshot;
+}
+
+/**
+ * Undo every file write of an assistant turn, putting each file back as it was before the turn
+ * Later changes to the same files are undone too; they stay in the history
+ * @param {string} projectFolder - Absolute path of the project folder
+ * @param {string} turnId - The turn ID
+ * @returns {Array<string>} The restored paths, relative to the project folder
+ */
+function undoTurn(projectFolder, turnId) {
+  const turnSnapshots = readIndex(projectFolder).filter(snapshot => snapshot.turnId === turnId && snapshot.reason === 'write');
+  if (turnSnapshots.length === 0) {
+    throw new Error('No file writes were recorded for this turn');
+  }
+
+  // The first snapshot of each file in the turn holds its content from before the turn
+  const firstByPath = new Map();
+  turnSnapshots.forEach(snapshot => {
+    if (!firstByPath.has(snapshot.path)) {
+      firstByPath.set(snapshot.path, snapshot);
+    }
+  });
+
+  // Check every file first so a folder in the way doesn't leave the turn half undone
+  firstByPath.forEach(snapshot => checkRestorable(projectFolder, snapshot));
+  firstByPath.forEach(snapshot => {
+    restoreFile(projectFolder, snapshot, { turnId, taskId: snapshot.taskId, reason: 'undo' });
+  });
+
+  return [...firstByPath.keys()];
+}
+
+module.exports = {
+  takeSnapshot,
+  listSnapshots,
+  readSnapshot,
+  restoreSnapshot,
+  undoTurn
+};
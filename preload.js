@@ -18,7 +18,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
         update: (settings) => ipcRenderer.invoke('settings:update', settings),
 
         // Model API call
-        callModel: (params) => ipcRenderer.invoke('model:call', params)
+        callModel: (params) => ipcRenderer.invoke('model:call', params),
+
+        // Streaming model API call - onDelta receives each text delta as it arrives
+        streamModel: (params, onDelta) => {
+            const requestId = params.requestId || `req_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+            const listener = (event, data) => {
+                if (data.requestId === requestId) {
+                    onDelta(data.delta);
+                }
+            };
+
+            ipcRenderer.on('model:streamDelta', listener);
+            return ipcRenderer.invoke('model:stream', { ...params, requestId })
+                .finally(() => ipcRenderer.removeListener('model:streamDelta', listener));
+        },
+        cancelModel: (requestId) => ipcRenderer.invoke('model:cancel', requestId),
+        clearResponseCache: () => ipcRenderer.invoke('model:clearCache'),
+        listProviders: () => ipcRenderer.invoke('model:listProviders')
     },
 
     // Logs API
@@ -29,10 +46,31 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // File system operations
     files: {
         selectFolder: () => ipcRenderer.invoke('files:selectFolder'),
+        selectDocuments: () => ipcRenderer.invoke('files:selectDocuments'),
         getProjectFolder: () => ipcRenderer.invoke('files:getProjectFolder'),
+        useFolder: (path) => ipcRenderer.invoke('files:useFolder', path),
         readFile: (path) => ipcRenderer.invoke('files:readFile', path),
-        writeFile: (path, content) => ipcRenderer.invoke('files:writeFile', path, content),
+        writeFile: (path, content, snapshotDetails) => ipcRenderer.invoke('files:writeFile', path, content, snapshotDetails),
+        deleteFile: (path, snapshotDetails) => ipcRenderer.invoke('files:deleteFile', path, snapshotDetails),
+        moveFile: (fromPath, toPath, snapshotDetails) => ipcRenderer.invoke('files:moveFile', fromPath, toPath, snapshotDetails),
+        createDirectory: (path) => ipcRenderer.invoke('files:createDirectory', path),
         listFiles: () => ipcRenderer.invoke('files:listFiles'),
+        listSnapshots: (path) => ipcRenderer.invoke('files:listSnapshots', path),
+        readSnapshot: (snapshotId) => ipcRenderer.invoke('files:readSnapshot', snapshotId),
+        restoreSnapshot: (snapshotId) => ipcRenderer.invoke('files:restoreSnapshot', snapshotId),
+        undoTurn: (turnId) => ipcRenderer.invoke('files:undoTurn', turnId),
         openFile: (path) => ipcRenderer.invoke('files:openFile', path) // New method
+    },
+
+    // Saved projects
+    projects: {
+        create: (projectData) => ipcRenderer.invoke('projects:create', projectData),
+        load: (projectId) => ipcRenderer.invoke('projects:load', projectId),
+        save: (projectId, data) => ipcRenderer.invoke('projects:save', projectId, data),
+        list: () => ipcRenderer.invoke('projects:list'),
+        rename: (projectId, title) => ipcRenderer.invoke('projects:rename', projectId, title),
+        duplicate: (projectId) => ipcRenderer.invoke('projects:duplicate', projectId),
+        archive: (projectId, archived) => ipcRenderer.invoke('projects:archive', projectId, archived),
+        delete: (projectId) => ipcRenderer.invoke('projects:delete', projectId)
     }
 });
\ No newline at end of file
@@ -1,8 +1,8 @@
 /**
- * Global context generation prompt template
+ * Global context generation prompt templates
  */
 
-export const contextPromptTemplate = `
+export const contextSystemPrompt = `
 You are an expert AI assistant specialized in creating comprehensive project contexts for complex tasks. Your goal is to create a thorough, well-structured global context document that captures all essential information about a project.
 
 Based on the user's task description and their responses to clarifying questions, create a global context document that will serve as the foundation for project execution. This document should be comprehensive yet clearly structured.
@@ -41,7 +41,12 @@ Your context document should:
 - Identify potential risks or uncertainties
 
 This context document will be used throughout the project execution to ensure all work remains aligned with the project's goals and requirements. It will be the foundation for creating a structured to-do list and guiding implementation efforts.
+`;
 
+/**
+ * User message carrying the task and clarification answers
+ */
+export const contextUserPromptTemplate = `
 The task description is:
 {taskDescription}
 
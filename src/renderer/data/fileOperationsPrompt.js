@@ -34,6 +34,42 @@ function doSomething() {
 }
 </file><name:"path/to/output.js">
 
+To change part of an existing file you have already seen, send only the changed parts instead of the whole file. Use search/replace hunks:
+
+<edit>
+<<<<<<< SEARCH
+function doSomething() {
+  return "Hello world";
+}
+=======
+function doSomething(name) {
+  return \`Hello \${name}\`;
+}
+>>>>>>> REPLACE
+</edit><name:"path/to/output.js">
+
+Each SEARCH text must match exactly one place in the file, character for character, including indentation. Include enough surrounding lines to make it unique. An <edit> block can hold several hunks; they are applied in order.
+
+Or use a unified diff:
+
+<patch>
+@@ -3,3 +3,3 @@
+ function doSomething() {
+-  return "Hello world";
++  return "Hello there";
+ }
+</patch><name:"path/to/output.js">
+
+The hunks of a file are applied all or none. If a hunk doesn't match, that file is left unchanged while the other files in your response are still written, and you are told which hunks failed so you can send corrected ones. Use a full <file> block for new files and for changes to most of a file.
+
+To delete, move or rename a file, or to create an empty folder, use these tags:
+
+<delete path:"path/to/old-file.js"/>
+<move from:"path/to/name.js" to:"path/to/new-name.js"/>
+<mkdir path:"path/to/folder"/>
+
+The user confirms each of these before it runs. A move never overwrites an existing file, so delete the target first if it must be replaced. Folders are created automatically when you write a file into them, so only use <mkdir> for folders that must exist while empty.
+
 You can include multiple file sections in a single response. The system will:
 - Write each file to the user's selected project folder
 - Replace the file content in the UI with a button linking to the file
@@ -62,4 +98,9 @@ NEVER include file listings or internal system details in your responses to the
 Remember: The user will see your entire response EXCEPT for the raw file data provided to you, which is for your reference only.
 `;
 
+/**
+ * Prompt sent when a response was cut off at the token limit, so the model carries on where it stopped
+ */
+export const continueResponsePrompt = `Your last response was cut off because it reached the length limit. Continue it exactly where it stopped, starting with the very next character. Do not repeat anything you already wrote, do not start the file block again and do not add any introduction.`;
+
 export default fileOperationsPrompt;
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Default model prices in US dollars per million tokens
+ * Entries in the price table in Settings override or extend these
+ */
+
+export const defaultModelPrices = {
+  'deepseek/deepseek-chat-v3-0324': { input: 0.27, output: 1.10 },
+  'deepseek/deepseek-chat': { input: 0.27, output: 1.10 },
+  'deepseek/deepseek-reasoner': { input: 0.55, output: 2.19 },
+  'openai/gpt-4o': { input: 2.50, output: 10.00 },
+  'openai/gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'openai/gpt-4.1': { input: 2.00, output: 8.00 },
+  'openai/gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'anthropic/claude-3-5-sonnet-latest': { input: 3.00, output: 15.00 },
+  'anthropic/claude-3-7-sonnet-latest': { input: 3.00, output: 15.00 },
+  'anthropic/claude-3-5-haiku-latest': { input: 0.80, output: 4.00 }
+};
@@ -4,6 +4,11 @@ import { initSettingsUI } from './ui/settingsUI.js';
 import { initClarificationUI } from './ui/clarificationUI.js';
 import { initContextUI } from './ui/contextUI.js';
 import { initTodoUI } from './ui/todoUI.js';
+import { initTaskEditorUI } from './ui/taskEditorUI.js';
+import { initDependencyGraphUI } from './ui/dependencyGraphUI.js';
+import { initFileHistoryUI } from './ui/fileHistoryUI.js';
+import { initProjectUI } from './ui/projectUI.js';
+import { initSpecImportUI } from './ui/specImportUI.js';
 import folderSelectionUI from './ui/folderSelectionUI.js';
 import fileService from './services/fileService.js';
 
@@ -21,6 +26,11 @@ document.addEventListener('DOMContentLoaded', () => {
     initClarificationUI();
     initContextUI();
     initTodoUI();
+    initTaskEditorUI();
+    initDependencyGraphUI();
+    initFileHistoryUI();
+    initProjectUI();
+    initSpecImportUI();
 
     // Console log app info from preload
     console.log('App info:', window.electronAPI.getAppInfo());
@@ -2,13 +2,23 @@
  * Service for handling task clarification with the AI model
  */
 
-import { clarificationPromptTemplate } from '../data/clarificationPrompt.js';
-import { getSetting } from './settingsService.js';
+import {
+    clarificationSystemPrompt,
+    clarificationUserPromptTemplate,
+    specGapSystemPrompt,
+    specGapUserPromptTemplate
+} from '../data/clarificationPrompt.js';
+import { getCurrentGlobalContext } from './contextService.js';
+import { getStageSettings } from './settingsService.js';
+import { isCancelledError } from './modelService.js';
+import { callModelForStage } from './taskService.js';
 import { isTestModeEnabled, getSimulatedClarificationQuestions, resetQuestions } from './testMode.js';
 
 // In-memory storage for current clarification session
 let currentConversation = [];
 let currentTask = '';
+// Whether the global context was imported from a spec, so only its gaps are asked about
+let specImported = false;
 
 /**
  * Reset the clarification conversation
@@ -16,15 +26,18 @@ let currentTask = '';
 export function resetClarification() {
     currentConversation = [];
     currentTask = '';
+    specImported = false;
 }
 
 /**
  * Initialize a new clarification process with a task
  * @param {string} task - The user's task description
+ * @param {boolean} [fromSpec] - Whether the global context was imported from a spec
  */
-export function initClarification(task) {
+export function initClarification(task, fromSpec = false) {
     resetClarification();
     currentTask = task;
+    specImported = fromSpec;
 
     if (typeof resetQuestions === 'function') {
         resetQuestions();
@@ -32,10 +45,23 @@ export function initClarification(task) {
 }
 
 /**
- * Generate the full prompt for the AI model
- * @returns {string} The complete prompt
+ * Restore a clarification saved with a project
+ * @param {string} task - The user's task description
+ * @param {Array} conversation - The question-answer pairs so far
+ * @param {boolean} [fromSpec] - Whether the global context was imported from a spec
+ */
+export function restoreClarification(task, conversation = [], fromSpec = false) {
+    resetClarification();
+    currentTask = task;
+    currentConversation = [...conversation];
+    specImported = fromSpec;
+}
+
+/**
+ * Generate the chat messages for the AI model
+ * @returns {Array<Object>} The system and user messages
  */
-function generatePrompt() {
+function generateMessages() {
     // Format conversation history
     const conversationText = currentConversation
         .map(exchange =>
@@ -43,10 +69,28 @@ function generatePrompt() {
         )
         .join('\n\n');
 
+    // An imported spec is already the global context, so only its gaps are asked about
+    if (specImported) {
+        const specPrompt = specGapUserPromptTemplate
+            .replace('{userTask}', () => currentTask)
+            .replace('{spec}', () => getCurrentGlobalContext() || 'The spec is empty.')
+            .replace('{conversation}', () => conversationText || 'No additional information yet.');
+
+        return [
+            { role: 'system', content: specGapSystemPrompt },
+            { role: 'user', content: specPrompt }
+        ];
+    }
+
     // Replace placeholders in template
-    return clarificationPromptTemplate
+    const userPrompt = clarificationUserPromptTemplate
         .replace('{userTask}', currentTask)
         .replace('{conversation}', conversationText || 'No additional information yet.');
+
+    return [
+        { role: 'system', content: clarificationSystemPrompt },
+        { role: 'user', content: userPrompt }
+    ];
 }
 
 /**
@@ -104,31 +148,23 @@ export async function getQuestions() {
             return getSimulatedClarificationQuestions();
         }
         
-        const apiKey = await getSetting('apiKey');
-        const model = await getSetting('model', 'deepseek/deepseek-chat-v3-0324:free');
+        const stageSettings = await getStageSettings('clarification');
 
-        if (!apiKey) {
-            throw new Error('API key not set. Please configure it in Settings.');
-        }
+        // Generate chat messages
+        const messages = generateMessages();
 
-        // Generate full prompt
-        const prompt = generatePrompt();
-
-        console.log('Sending prompt to model:', prompt.substring(0, 100) + '...');
+        console.log('Sending prompt to model:', messages[1].content.substring(0, 100) + '...');
 
         // Call API through Electron main process
-        const response = await window.electronAPI.settings.callModel({
-            apiKey,
-            model,
-            prompt,
-            temperature: 0.0,
-            maxTokens: 2000
-        });
+        const response = await callModelForStage('clarification', {
+            ...stageSettings,
+            messages
+        }, { scope: 'clarification' });
 
         console.log('Received response from model');
 
         if (!response || !response.text) {
-            throw new Error('Invalid response from model');
+            throw new Error(response?.error || 'Invalid response from model');
         }
 
         // Parse JSON from response
@@ -165,6 +201,15 @@ export async function getQuestions() {
 
         return result;
     } catch (error) {
+        if (isCancelledError(error)) {
+            console.log('Clarification questions request cancelled');
+            return {
+                needsMoreQuestions: false,
+                questions: [],
+                cancelled: true
+            };
+        }
+
         console.error('Error getting clarification questions:', error);
         return {
             needsMoreQuestions: false,
@@ -188,11 +233,12 @@ export function addExchange(question, answer) {
 
 /**
  * Get the current clarification state
- * @returns {Object} The current task and conversation
+ * @returns {Object} The current task, conversation and whether the context came from a spec
  */
 export function getClarificationState() {
     return {
         task: currentTask,
-        conversation: [...currentConversation]
+        conversation: [...currentConversation],
+        specImported
     };
 }
\ No newline at end of file
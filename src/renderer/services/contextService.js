@@ -2,13 +2,24 @@
  * Service for generating and managing the global context
  */
 
-import { contextPromptTemplate } from '../data/contextPrompt.js';
-import { getSetting } from './settingsService.js';
+import { contextSystemPrompt, contextUserPromptTemplate } from '../data/contextPrompt.js';
+import { getStageSettings } from './settingsService.js';
+import { callModelForStage } from './taskService.js';
 import { isTestModeEnabled, getSimulatedGlobalContext } from './testMode.js';
 
+// Who wrote a version of the global context, with display labels
+export const CONTEXT_SOURCES = {
+  user: 'You',
+  model: 'Model',
+  sanity: 'Sanity check'
+};
+
 // Cache for the current global context
 let currentGlobalContext = '';
 
+// Saved versions of the global context, oldest first, as {version, content, source, timestamp, note}
+let contextVersions = [];
+
   /**
  * Generate the global context from clarification information
  * @param {string} taskDescription - The user's task description
@@ -20,7 +31,7 @@ export async function generateGlobalContext(taskDescription, clarificationConver
     // Check if test mode is enabled
     if (isTestModeEnabled()) {
       console.log('Test mode enabled, using simulated global context');
-      currentGlobalContext = getSimulatedGlobalContext()
+      setGlobalContext(getSimulatedGlobalContext(), 'model');
       return currentGlobalContext;
   }
 
@@ -28,35 +39,32 @@ export async function generateGlobalContext(taskDescription, clarificationConver
     const formattedConversation = formatClarificationConversation(clarificationConversation);
     
     // Replace placeholders in template
-    const prompt = contextPromptTemplate
+    const userPrompt = contextUserPromptTemplate
       .replace('{taskDescription}', taskDescription)
       .replace('{clarificationConversation}', formattedConversation);
+
+    const messages = [
+      { role: 'system', content: contextSystemPrompt },
+      { role: 'user', content: userPrompt }
+    ];
     
     // Get API settings
-    const apiKey = await getSetting('apiKey');
-    const model = await getSetting('model', 'deepseek/deepseek-chat-v3-0324:free');
-    
-    if (!apiKey) {
-      throw new Error('API key not set. Please configure it in Settings.');
-    }
+    const stageSettings = await getStageSettings('globalContext');
     
     console.log('Generating global context...');
     
     // Call the API
-    const response = await window.electronAPI.settings.callModel({
-      apiKey,
-      model,
-      prompt,
-      temperature: 0.0,
-      maxTokens: 2000
-    });
+    const response = await callModelForStage('globalContext', {
+      ...stageSettings,
+      messages
+    }, { scope: 'clarification' });
     
     if (!response || !response.text) {
-      throw new Error('Invalid response from model');
+      throw new Error(response?.error || 'Invalid response from model');
     }
 
     // Store and return the context
-    currentGlobalContext = response.text;
+    setGlobalContext(response.text, 'model');
     return currentGlobalContext;
     
     } catch (error) {
@@ -90,8 +98,91 @@ export function getCurrentGlobalContext() {
 
 /**
  * Set the global context directly
+ * Passing a source saves the context as a new version; without one, e.g. when a
+ * project is reopened, the history is left alone
  * @param {string} context - The global context to set
+ * @param {string} [source] - Who wrote it, one of CONTEXT_SOURCES
+ * @param {string} [note] - Short description of the change
  */
-export function setGlobalContext(context) {
+export function setGlobalContext(context, source = null, note = '') {
   currentGlobalContext = context;
+
+  if (!source) return;
+
+  if (!CONTEXT_SOURCES[source]) {
+    throw new Error(`Unknown context source: ${source}`);
+  }
+
+  const latest = contextVersions[contextVersions.length - 1];
+  if (latest && latest.content === context) return;
+
+  const version = {
+    version: (latest?.version || 0) + 1,
+    content: context,
+    source,
+    timestamp: new Date().toISOString()
+  };
+  if (note) {
+    version.note = note;
+  }
+  contextVersions.push(version);
+}
+
+/**
+ * Add the answers to questions about an imported spec to the global context
+ * @param {Array} conversation - The question-answer pairs
+ */
+export function addAnswersToContext(conversation) {
+  if (!Array.isArray(conversation) || conversation.length === 0) return;
+
+  const answers = formatClarificationConversation(conversation);
+  setGlobalContext(
+    `${currentGlobalContext.trimEnd()}\n\n## Answers to Open Questions\n\n${answers}\n`,
+    'user',
+    'Added the answers to open questions about the spec'
+  );
+}
+
+/**
+ * Get the saved versions of the global context
+ * @returns {Array<Object>} Copies of the versions, oldest first
+ */
+export function getContextVersions() {
+  return structuredClone(contextVersions);
+}
+
+/**
+ * Replace the version history, e.g. when a saved project is reopened
+ * Projects saved before versions were kept start with their current context as version 1
+ * @param {Array<Object>} versions - The saved versions
+ */
+export function restoreContextVersions(versions = []) {
+  contextVersions = Array.isArray(versions) ? structuredClone(versions) : [];
+
+  if (contextVersions.length === 0 && currentGlobalContext) {
+    contextVersions.push({
+      version: 1,
+      content: currentGlobalContext,
+      source: 'model',
+      timestamp: new Date().toISOString(),
+      note: 'Saved before version history was kept'
+    });
+  }
+}
+
+/**
+ * Make an earlier version the current global context again
+ * The rollback is saved as a new version so no history is lost
+ * @param {number} versionNumber - The version to go back to
+ * @returns {string} The restored context
+ * @throws {Error} If the version doesn't exist
+ */
+export function rollbackGlobalContext(versionNumber) {
+  const target = contextVersions.find(version => version.version === versionNumber);
+  if (!target) {
+    throw new Error(`Context version ${versionNumber} not found`);
+  }
+
+  setGlobalContext(target.content, 'user', `Rolled back to version ${versionNumber}`);
+  return currentGlobalContext;
 }
\ No newline at end of file
@@ -0,0 +1,247 @@
+/**
+ * Service for applying partial file edits from AI responses
+ * Two formats are supported: search/replace hunks in <edit> blocks and unified
+ * diffs in <patch> blocks. A block's hunks are applied all or none; every hunk
+ * that can't be applied is reported so the model can fix it
+ */
+
+// Longest excerpt of a hunk quoted in a failure
+const MAX_EXCERPT_LENGTH = 80;
+
+// The SEARCH and REPLACE texts keep their last line break, so deleting whole lines leaves no blank line
+const SEARCH_REPLACE_PATTERN = /<<<<<<< SEARCH\n([\s\S]*?)^=======\n([\s\S]*?)^>>>>>>> REPLACE/gm;
+const HUNK_HEADER_PATTERN = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Normalize line endings so hunks written with \n match files saved with \r\n
+ * @param {string} text - The text
+ * @returns {string} - The text with \n line endings
+ */
+function normalizeLineEndings(text) {
+  return text.replace(/\r\n/g, '\n');
+}
+
+/**
+ * Quote the start of a hunk's text for a failure message
+ * @param {string} text - The hunk text
+ * @returns {string} - The first line, shortened
+ */
+function excerpt(text) {
+  const firstLine = text.split('\n').find(line => line.trim()) || '';
+  const trimmed = firstLine.trim();
+  return trimmed.length > MAX_EXCERPT_LENGTH ? `${trimmed.slice(0, MAX_EXCERPT_LENGTH - 1)}…` : trimmed;
+}
+
+/**
+ * Parse the search/replace hunks of an <edit> block
+ * @param {string} body - The block content
+ * @returns {Array<Object>} - Array of {search, replace}
+ */
+export function parseSearchReplaceHunks(body) {
+  const hunks = [];
+  const text = normalizeLineEndings(body);
+  let match;
+
+  SEARCH_REPLACE_PATTERN.lastIndex = 0;
+  while ((match = SEARCH_REPLACE_PATTERN.exec(text)) !== null) {
+    hunks.push({ search: match[1], replace: match[2] });
+  }
+
+  return hunks;
+}
+
+/**
+ * Parse the hunks of a unified diff in a <patch> block
+ * File headers (---/+++) are ignored; the file is the one named by the block
+ * @param {string} body - The block content
+ * @returns {Array<Object>} - Array of {header, oldStart, oldLines, newLines, noNewlineAtEnd};
+ *   noNewlineAtEnd is set when the new file's last line has no line break
+ */
+export function parseUnifiedDiffHunks(body) {
+  const hunks = [];
+  let hunk = null;
+  // The kind of the previous line, which a "\ No newline at end of file" marker refers to
+  let previousKind = null;
+
+  normalizeLineEndings(body).split('\n').forEach(line => {
+    const header = line.match(HUNK_HEADER_PATTERN);
+    if (header) {
+      hunk = { header: header[0], oldStart: Number(header[1]), oldLines: [], newLines: [], noNewlineAtEnd: false };
+      hunks.push(hunk);
+      previousKind = null;
+      return;
+    }
+
+    if (!hunk) return;
+
+    if (line.startsWith('\\')) {
+      if (previousKind === '+' || previousKind === ' ') {
+        hunk.noNewlineAtEnd = true;
+      }
+      return;
+    }
+
+    previousKind = line[0] || ' ';
+
+    if (line.startsWith('-')) {
+      hunk.oldLines.push(line.slice(1));
+    } else if (line.startsWith('+')) {
+      hunk.newLines.push(line.slice(1));
+    } else if (line.startsWith(' ') || line === '') {
+      // Some models drop the space in front of empty context lines
+      hunk.oldLines.push(line.slice(1));
+      hunk.newLines.push(line.slice(1));
+    }
+  });
+
+  // A blank line after the last hunk is not context
+  hunks.forEach(parsed => {
+    while (parsed.oldLines.length > 0 && parsed.newLines.length > 0 &&
+      parsed.oldLines[parsed.oldLines.length - 1] === '' && parsed.newLines[parsed.newLines.length - 1] === '') {
+      parsed.oldLines.pop();
+      parsed.newLines.pop();
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * Apply search/replace hunks in order; each SEARCH text must match exactly one place
+ * @param {string|null} content - The file content, or null for a file that doesn't exist
+ * @param {Array<Object>} hunks - Array of {search, replace}
+ * @returns {Object} - The new content, and an error message for each hunk that failed
+ */
+export function applySearchReplace(content, hunks) {
+  const errors = [];
+  const eol = content && content.includes('\r\n') ? '\r\n' : '\n';
+  let text = content === null ? null : normalizeLineEndings(content);
+
+  if (hunks.length === 0) {
+    return { content, errors: ['No <<<<<<< SEARCH / ======= / >>>>>>> REPLACE hunks were found in the block'] };
+  }
+
+  hunks.forEach((hunk, index) => {
+    const label = `Hunk ${index + 1} of ${hunks.length}`;
+    let { search, replace } = hunk;
+
+    // An empty SEARCH creates a file that doesn't exist yet, ending in a line break like <file> writes
+    if (!search) {
+      if (text === null || text === '') {
+        text = replace && !replace.endsWith('\n') ? `${replace}\n` : replace;
+      } else {
+        errors.push(`${label}: the SEARCH text is empty, but the file already has content`);
+      }
+      return;
+    }
+
+    if (text === null) {
+      errors.push(`${label}: the file does not exist`);
+      return;
+    }
+
+    let first = text.indexOf(search);
+
+    // The last line of a file may have no line break
+    if (first === -1 && search.endsWith('\n') && text.endsWith(search.slice(0, -1))) {
+      search = search.slice(0, -1);
+      replace = replace.replace(/\n$/, '');
+      first = text.indexOf(search);
+    }
+
+    if (first === -1) {
+      errors.push(`${label}: the SEARCH text starting "${excerpt(search)}" was not found in the file`);
+      return;
+    }
+
+    if (text.indexOf(search, first + 1) !== -1) {
+      errors.push(`${label}: the SEARCH text starting "${excerpt(search)}" matches more than one place; include more surrounding lines`);
+      return;
+    }
+
+    text = text.slice(0, first) + replace + text.slice(first + search.length);
+  });
+
+  if (errors.length > 0) {
+    return { content, errors };
+  }
+
+  return { content: eol === '\n' ? text : text.replace(/\n/g, eol), errors };
+}
+
+/**
+ * Find where a hunk's old lines are, preferring the place closest to where the header says
+ * @param {Array<string>} lines - The file's lines
+ * @param {Array<string>} oldLines - The lines the hunk replaces
+ * @param {number} expected - The index the header points to
+ * @param {number} from - The first index the hunk may start at
+ * @returns {number} - The index, or -1 if the lines aren't in the file
+ */
+function findHunk(lines, oldLines, expected, from) {
+  let best = -1;
+
+  for (let start = from; start + oldLines.length <= lines.length; start++) {
+    const matches = oldLines.every((line, offset) => lines[start + offset] === line);
+    if (matches && (best === -1 || Math.abs(start - expected) < Math.abs(best - expected))) {
+      best = start;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Apply the hunks of a unified diff in order
+ * A new file ends in a line break unless the patch marks it with "\ No newline at end of file"
+ * @param {string|null} content - The file content, or null for a file that doesn't exist
+ * @param {Array<Object>} hunks - Array of {header, oldStart, oldLines, newLines}
+ * @returns {Object} - The new content, and an error message for each hunk that failed
+ */
+export function applyUnifiedDiff(content, hunks) {
+  const errors = [];
+  const eol = content && content.includes('\r\n') ? '\r\n' : '\n';
+  const created = content === null || content === '';
+  const lines = created ? [] : normalizeLineEndings(content).split('\n');
+  // Lines added or removed by earlier hunks move the later ones
+  let offset = 0;
+  // Hunks never overlap, so each starts after the previous one
+  let from = 0;
+
+  if (hunks.length === 0) {
+    return { content, errors: ['No @@ -line,count +line,count @@ hunks were found in the patch'] };
+  }
+
+  hunks.forEach(({ header, oldStart, oldLines, newLines }, index) => {
+    const label = `Hunk ${index + 1} of ${hunks.length} (${header})`;
+
+    // A hunk without old lines inserts after line oldStart
+    if (oldLines.length === 0) {
+      const at = Math.min(Math.max(oldStart + offset, from), lines.length);
+      lines.splice(at, 0, ...newLines);
+      offset += newLines.length;
+      from = at + newLines.length;
+      return;
+    }
+
+    const start = findHunk(lines, oldLines, oldStart - 1 + offset, from);
+    if (start === -1) {
+      errors.push(`${label}: the context and removed lines starting "${excerpt(oldLines.join('\n'))}" were not found in the file`);
+      return;
+    }
+
+    lines.splice(start, oldLines.length, ...newLines);
+    offset += start - (oldStart - 1 + offset) + newLines.length - oldLines.length;
+    from = start + newLines.length;
+  });
+
+  if (errors.length > 0) {
+    return { content, errors };
+  }
+
+  // The lines of an existing file keep its final line break as an empty last line
+  if (created && lines.length > 0 && !hunks[hunks.length - 1].noNewlineAtEnd) {
+    lines.push('');
+  }
+
+  return { content: lines.join(eol), errors };
+}
@@ -68,6 +68,11 @@ class FileService {
     const normalizedFilePath = filePath.replace(/\\/g, '/');
     const normalizedProjectPath = this.projectFolderPath.replace(/\\/g, '/');
     
+    // A ".." segment could climb back out of the project folder
+    if (normalizedFilePath.split('/').includes('..')) {
+      return false;
+    }
+    
     return normalizedFilePath.startsWith(normalizedProjectPath);
   }
 
@@ -92,6 +97,39 @@ class FileService {
     }
   }
 
+  /**
+   * Prompts the user to choose spec documents to import
+   * @returns {Promise<Array<Object>>} Array of {name, path, content}, or {name, path, error} for unreadable files
+   */
+  async selectDocuments() {
+    try {
+      const result = await window.electronAPI.files.selectDocuments();
+      return result.canceled ? [] : result.documents;
+    } catch (error) {
+      console.error('Error selecting documents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reuse a folder selected earlier, if it still exists
+   * @param {string} folderPath - The absolute path of the folder
+   * @returns {Promise<string|null>} The folder path, or null if it is no longer available
+   */
+  async useFolder(folderPath) {
+    try {
+      const result = await window.electronAPI.files.useFolder(folderPath);
+      if (!result) {
+        return null;
+      }
+      this.setProjectFolder(result);
+      return result;
+    } catch (error) {
+      console.error('Error reusing folder:', error);
+      return null;
+    }
+  }
+
   /**
    * Read a file from the project folder
    * @param {string} filePath - Path to file, relative or absolute
@@ -122,9 +160,10 @@ class FileService {
    * Write content to a file within the project folder
    * @param {string} filePath - Path to file, relative or absolute
    * @param {string} content - Content to write
+   * @param {Object} [snapshotDetails] - turnId and taskId the snapshot of the old content is grouped by
    * @returns {Promise<string>} Path of the written file
    */
-  async writeFile(filePath, content) {
+  async writeFile(filePath, content, snapshotDetails = {}) {
     // If the path is relative, make it absolute
     const absolutePath = this._makeAbsolutePath(filePath);
     
@@ -137,7 +176,7 @@ class FileService {
       // Track that we're accessing this file
       this.openFilePaths.add(absolutePath);
       
-      await window.electronAPI.files.writeFile(absolutePath, content);
+      await window.electronAPI.files.writeFile(absolutePath, content, snapshotDetails);
       return absolutePath;
     } catch (error) {
       console.error(`Error writing file ${filePath}:`, error);
@@ -148,9 +187,10 @@ class FileService {
   /**
    * Delete a file within the project folder
    * @param {string} filePath - Path to file, relative or absolute
+   * @param {Object} [snapshotDetails] - turnId and taskId the snapshot of the deleted content is grouped by
    * @returns {Promise<boolean>} True if successful
    */
-  async deleteFile(filePath) {
+  async deleteFile(filePath, snapshotDetails = {}) {
     // If the path is relative, make it absolute
     const absolutePath = this._makeAbsolutePath(filePath);
     
@@ -160,12 +200,12 @@ class FileService {
     }
 
     // Prevent deletion of the root project folder
-    if (absolutePath === this.projectFolderPath) {
+    if (absolutePath.replace(/[\\/]+$/, '') === this.projectFolderPath.replace(/[\\/]+$/, '')) {
       throw new Error('Security violation: Cannot delete the root project folder');
     }
 
     try {
-      await window.electronAPI.files.deleteFile(absolutePath);
+      await window.electronAPI.files.deleteFile(absolutePath, snapshotDetails);
       // Remove from tracking if it was tracked
       this.openFilePaths.delete(absolutePath);
       return true;
@@ -175,6 +215,54 @@ class FileService {
     }
   }
 
+  /**
+   * Move or rename a file within the project folder; an existing file is never overwritten
+   * @param {string} fromPath - Path of the file, relative or absolute
+   * @param {string} toPath - New path, relative or absolute
+   * @param {Object} [snapshotDetails] - turnId and taskId the snapshots are grouped by
+   * @returns {Promise<string>} The new absolute path
+   */
+  async moveFile(fromPath, toPath, snapshotDetails = {}) {
+    const absoluteFrom = this._makeAbsolutePath(fromPath);
+    const absoluteTo = this._makeAbsolutePath(toPath);
+    
+    // Security check
+    if (!this._isPathWithinProject(absoluteFrom) || !this._isPathWithinProject(absoluteTo)) {
+      throw new Error('Security violation: Attempted to move file outside project folder');
+    }
+
+    try {
+      await window.electronAPI.files.moveFile(absoluteFrom, absoluteTo, snapshotDetails);
+      this.openFilePaths.delete(absoluteFrom);
+      return absoluteTo;
+    } catch (error) {
+      console.error(`Error moving file ${fromPath} to ${toPath}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a folder, and any missing parent folders, within the project folder
+   * @param {string} dirPath - Path to the folder, relative or absolute
+   * @returns {Promise<string>} The absolute path of the folder
+   */
+  async createDirectory(dirPath) {
+    const absolutePath = this._makeAbsolutePath(dirPath);
+    
+    // Security check
+    if (!this._isPathWithinProject(absolutePath)) {
+      throw new Error('Security violation: Attempted to create folder outside project folder');
+    }
+
+    try {
+      await window.electronAPI.files.createDirectory(absolutePath);
+      return absolutePath;
+    } catch (error) {
+      console.error(`Error creating folder ${dirPath}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Get a list of all files in the project folder
    * @returns {Promise<string[]>} Array of file paths
@@ -192,6 +280,58 @@ class FileService {
     }
   }
 
+  /**
+   * List the snapshots of earlier file versions, newest first
+   * @param {string} [relativePath] - Only list the snapshots of this file
+   * @returns {Promise<Array>} Array of {id, path, turnId, taskId, reason, existed, timestamp}
+   */
+  async listSnapshots(relativePath = null) {
+    if (!this.projectFolderPath) {
+      throw new Error('Project folder not set');
+    }
+
+    return window.electronAPI.files.listSnapshots(relativePath);
+  }
+
+  /**
+   * Read the file content saved in a snapshot
+   * @param {string} snapshotId - The snapshot ID
+   * @returns {Promise<string|null>} The content, or null if the file didn't exist yet
+   */
+  async readSnapshot(snapshotId) {
+    if (!this.projectFolderPath) {
+      throw new Error('Project folder not set');
+    }
+
+    return window.electronAPI.files.readSnapshot(snapshotId);
+  }
+
+  /**
+   * Restore a file to the version saved in a snapshot
+   * @param {string} snapshotId - The snapshot ID
+   * @returns {Promise<Object>} The restored snapshot
+   */
+  async restoreSnapshot(snapshotId) {
+    if (!this.projectFolderPath) {
+      throw new Error('Project folder not set');
+    }
+
+    return window.electronAPI.files.restoreSnapshot(snapshotId);
+  }
+
+  /**
+   * Undo the file writes of an assistant turn
+   * @param {string} turnId - The turn ID
+   * @returns {Promise<string[]>} The restored paths, relative to the project folder
+   */
+  async undoTurn(turnId) {
+    if (!this.projectFolderPath) {
+      throw new Error('Project folder not set');
+    }
+
+    return window.electronAPI.files.undoTurn(turnId);
+  }
+
   /**
    * Convert a relative path to absolute path
    * @param {string} filePath - Path to convert
@@ -3,6 +3,39 @@
  */
 
 import fileService from './fileService.js';
+import {
+  parseSearchReplaceHunks,
+  parseUnifiedDiffHunks,
+  applySearchReplace,
+  applyUnifiedDiff
+} from './filePatchService.js';
+
+// Whether the open project is trusted to have file writes applied without review
+let autoApplyFileWrites = false;
+
+// Counter that keeps change IDs made within the same millisecond apart
+let changeIdCounter = 0;
+
+// Longest text a continuation may repeat from the end of the response it continues
+const MAX_CONTINUATION_OVERLAP = 500;
+// Shorter repeats are taken as coincidence, e.g. a closing brace or a blank line
+const MIN_CONTINUATION_OVERLAP = 10;
+
+/**
+ * Set whether file writes are applied straight away instead of waiting for review
+ * @param {boolean} enabled - True to write files as soon as the model proposes them
+ */
+export function setAutoApplyFileWrites(enabled) {
+  autoApplyFileWrites = Boolean(enabled);
+}
+
+/**
+ * Check whether file writes are applied without review
+ * @returns {boolean} True if files are written as soon as the model proposes them
+ */
+export function isAutoApplyFileWrites() {
+  return autoApplyFileWrites;
+}
 
 /**
  * Extract file write operations from AI response
@@ -25,15 +58,253 @@ export function extractFileWriteOperations(responseText) {
 }
 
 /**
- * Write files based on AI response
+ * Extract every file operation from AI response in the order they appear:
+ * whole files (<file>), search/replace hunks (<edit>) and unified diffs (<patch>)
+ * @param {string} responseText - The AI's response text
+ * @returns {Array} - Array of {type: 'file'|'edit'|'patch', path, body} objects
+ */
+export function extractFileOperations(responseText) {
+  const operations = [];
+  const operationRegex = /<(file|edit|patch)>([\s\S]*?)<\/\1><name:"(.*?)">/g;
+  let match;
+  
+  while ((match = operationRegex.exec(responseText)) !== null) {
+    operations.push({
+      type: match[1],
+      body: match[2],
+      path: match[3]
+    });
+  }
+  
+  return operations;
+}
+
+/**
+ * Find the <file>, <edit> and <patch> blocks that are never closed with their name tag,
+ * as is left when a response is cut off at the token limit
+ * Only tags that start a line open a block, so mentions of them in prose or inline code don't count.
+ * An unfinished block runs until the next block or file operation tag, or the end of the response
+ * @param {string} responseText - The AI's response text
+ * @returns {Array<Object>} - The {start, end} of each unfinished block
+ */
+function findUnterminatedFileBlocks(responseText) {
+  const openingRegex = /^[ \t]*<(file|edit|patch)>/gm;
+  const nextTagRegex = /^[ \t]*<(?:file|edit|patch)>|<(?:delete|mkdir) path:"|<move from:"/gm;
+  const blocks = [];
+  let match;
+  
+  while ((match = openingRegex.exec(responseText)) !== null) {
+    // Blocks end at their first closing tag, as in extractFileOperations
+    const closingTag = `</${match[1]}><name:"`;
+    const closingIndex = responseText.indexOf(closingTag, openingRegex.lastIndex);
+    const nameEnd = closingIndex === -1 ? -1 : responseText.indexOf('">', closingIndex + closingTag.length);
+    
+    if (nameEnd !== -1) {
+      openingRegex.lastIndex = nameEnd + 2;
+      continue;
+    }
+    
+    nextTagRegex.lastIndex = openingRegex.lastIndex;
+    const nextTag = nextTagRegex.exec(responseText);
+    const end = nextTag ? nextTag.index : responseText.length;
+    blocks.push({ start: match.index + match[0].indexOf('<'), end });
+    openingRegex.lastIndex = end;
+  }
+  
+  return blocks;
+}
+
+/**
+ * Check whether a response stops in the middle of a file block
+ * @param {string} responseText - The AI's response text
+ * @returns {boolean} - True if a <file>, <edit> or <patch> block is left open
+ */
+export function hasUnterminatedFileBlock(responseText) {
+  return findUnterminatedFileBlocks(responseText).length > 0;
+}
+
+/**
+ * Join a response that was cut off and the model's continuation of it
+ * Models often repeat the last line or two before carrying on, so text the continuation
+ * repeats from the start of a line near the end of the response is dropped
+ * @param {string} responseText - The response so far
+ * @param {string} continuation - The text the model sent when asked to continue
+ * @returns {string} - The joined response
+ */
+export function stitchContinuation(responseText, continuation) {
+  const longest = Math.min(MAX_CONTINUATION_OVERLAP, responseText.length, continuation.length);
+  
+  for (let length = longest; length >= MIN_CONTINUATION_OVERLAP; length--) {
+    const overlapStart = responseText.length - length;
+    const startsLine = overlapStart === 0 || responseText[overlapStart - 1] === '\n';
+    if (startsLine && responseText.endsWith(continuation.slice(0, length))) {
+      return responseText + continuation.slice(length);
+    }
+  }
+  
+  return responseText + continuation;
+}
+
+/**
+ * Replace each file block the response never finished with a warning that it wasn't written
+ * The rest of the response, including complete blocks, is kept
+ * @param {string} responseText - The AI's response text
+ * @returns {string} - The text with the unfinished blocks replaced
+ */
+export function createUIForTruncatedFile(responseText) {
+  let processedText = responseText;
+  
+  // Replace from the last block back so the earlier positions stay valid
+  findUnterminatedFileBlocks(responseText).reverse().forEach(({ start, end }) => {
+    processedText = `${processedText.slice(0, start)}<div class="file-write-error">
+        <p>❌ The response was cut off before this file was complete, so it was not written.</p>
+        <p>Ask for the file again, or for it to be split into smaller files or edits.</p>
+      </div>
+${processedText.slice(end)}`;
+  });
+  
+  return processedText;
+}
+
+/**
+ * Read a project file's current content
+ * @param {string} path - Path relative to the project folder
+ * @returns {Promise<string|null>} - The content, or null if the file doesn't exist
+ * @throws {Error} If the file exists but couldn't be read
+ */
+async function readCurrentContent(path) {
+  try {
+    return await fileService.readFile(path);
+  } catch (error) {
+    if (/ENOENT/.test(error.message)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Work out the full new content of every file an AI response writes or edits
+ * Operations on the same file build on each other in order. A file is written only
+ * if all its edits apply; otherwise it is left alone and each failed hunk is reported.
+ * Edits are all or none per file, not per response: the other files are still written
+ * @param {string} responseText - The AI's response text
+ * @returns {Promise<Object>} - fileWrites as {path, content} and failures as {path, errors}
+ */
+export async function resolveFileOperations(responseText) {
+  const contents = new Map();
+  const failures = new Map();
+  
+  for (const { type, path, body } of extractFileOperations(responseText)) {
+    if (failures.has(path)) continue;
+    
+    if (type === 'file') {
+      contents.set(path, body);
+      continue;
+    }
+    
+    try {
+      if (!contents.has(path)) {
+        contents.set(path, await readCurrentContent(path));
+      }
+    } catch (error) {
+      failures.set(path, [`The file could not be read: ${error.message}`]);
+      contents.delete(path);
+      continue;
+    }
+    
+    const result = type === 'edit'
+      ? applySearchReplace(contents.get(path), parseSearchReplaceHunks(body))
+      : applyUnifiedDiff(contents.get(path), parseUnifiedDiffHunks(body));
+    
+    if (result.errors.length > 0) {
+      failures.set(path, result.errors);
+      contents.delete(path);
+    } else {
+      contents.set(path, result.content);
+    }
+  }
+  
+  return {
+    fileWrites: [...contents].map(([path, content]) => ({ path, content })),
+    failures: [...failures].map(([path, errors]) => ({ path, errors }))
+  };
+}
+
+/**
+ * Extract delete, move and create-folder operations from AI response:
+ * <delete path:"..."/>, <move from:"..." to:"..."/> and <mkdir path:"..."/>
+ * @param {string} responseText - The AI's response text
+ * @returns {Array} - Array of {type: 'delete'|'move'|'mkdir', path, to} objects; to is only set for moves
+ */
+export function extractPathOperations(responseText) {
+  const operations = [];
+  const operationRegex = /<(delete|mkdir) path:"(.*?)"\s*\/>|<move from:"(.*?)" to:"(.*?)"\s*\/>/g;
+  let match;
+  
+  while ((match = operationRegex.exec(responseText)) !== null) {
+    operations.push(match[1]
+      ? { type: match[1], path: match[2] }
+      : { type: 'move', path: match[3], to: match[4] });
+  }
+  
+  return operations;
+}
+
+/**
+ * Turn delete, move and create-folder operations into pending changes for the user to confirm
+ * @param {Array} operations - Array of {type, path, to} objects
+ * @returns {Array} - Array of {id, type, path, to} objects
+ */
+export function proposePathOperations(operations) {
+  return operations.map(operation => ({
+    id: createChangeId(),
+    ...operation
+  }));
+}
+
+/**
+ * Run a confirmed delete, move or create-folder operation
+ * @param {Object} operation - The {type, path, to} operation
+ * @param {Object} [snapshotDetails] - turnId and taskId the snapshots of removed files are grouped by
+ * @returns {Promise<string>} - The absolute path of the moved file or new folder, or of the deleted path
+ * @throws {Error} If the operation failed or isn't known
+ */
+export async function runPathOperation({ type, path, to }, snapshotDetails = {}) {
+  console.log(`Running ${type} on ${path}${to ? ` to ${to}` : ''}`);
+  
+  switch (type) {
+    case 'delete':
+      await fileService.deleteFile(path, snapshotDetails);
+      return path;
+    case 'move':
+      return fileService.moveFile(path, to, snapshotDetails);
+    case 'mkdir':
+      return fileService.createDirectory(path);
+    default:
+      throw new Error(`Unknown file operation "${type}"`);
+  }
+}
+
+/**
+ * Write files based on AI response; edits that don't apply are skipped
  * @param {string} responseText - The AI's response text
  * @returns {Promise<Array>} - Array of written file paths
  */
 export async function writeFilesFromResponse(responseText) {
+  const { fileWrites } = await resolveFileOperations(responseText);
+  return writeFiles(fileWrites);
+}
+
+/**
+ * Write a list of file operations to the project folder
+ * @param {Array} fileWrites - Array of {path, content} objects, from file tags or the write_file tool
+ * @param {Object} [snapshotDetails] - turnId and taskId the snapshots of the old contents are grouped by
+ * @returns {Promise<Array>} - Array of written file paths
+ */
+export async function writeFiles(fileWrites, snapshotDetails = {}) {
   try {
-    const fileWrites = extractFileWriteOperations(responseText);
-    
-    if (fileWrites.length === 0) {
+    if (!fileWrites || fileWrites.length === 0) {
       return [];
     }
     
@@ -45,7 +316,7 @@ export async function writeFilesFromResponse(responseText) {
     for (const { path, content } of fileWrites) {
       try {
         console.log(`Writing file: ${path}`);
-        const absolutePath = await fileService.writeFile(path, content);
+        const absolutePath = await fileService.writeFile(path, content, snapshotDetails);
         writtenFiles.push({ path, absolutePath, success: true });
       } catch (error) {
         console.error(`Error writing file ${path}:`, error);
@@ -60,13 +331,162 @@ export async function writeFilesFromResponse(responseText) {
   }
 }
 
+/**
+ * Make an ID for a pending change
+ * @returns {string} - The change ID
+ */
+function createChangeId() {
+  changeIdCounter++;
+  return `change_${Date.now().toString(36)}_${changeIdCounter}`;
+}
+
+/**
+ * Turn file write operations into pending changes that wait for the user's review
+ * Each change keeps the file's current content so it can be shown as a diff
+ * @param {Array} fileWrites - Array of {path, content} objects, from file tags or the write_file tool
+ * @returns {Promise<Array>} - Array of {id, path, content, originalContent} objects;
+ *   originalContent is null for a new file
+ */
+export async function proposeFileWrites(fileWrites) {
+  const changes = [];
+  
+  for (const { path, content } of fileWrites || []) {
+    const change = {
+      id: createChangeId(),
+      path,
+      content,
+      originalContent: null
+    };
+    
+    try {
+      change.originalContent = await readCurrentContent(path);
+    } catch (error) {
+      // The card shows why there is no diff against the current file
+      change.readError = error.message;
+    }
+    
+    changes.push(change);
+  }
+  
+  return changes;
+}
+
+/**
+ * Read again the current content that pending file changes are compared with,
+ * e.g. for changes restored with a reopened project, which aren't saved with it
+ * @param {Array} changes - The pending changes; each file change gets originalContent, or readError
+ */
+export async function refreshOriginalContents(changes) {
+  for (const change of changes) {
+    if (isPathOperation(change)) continue;
+    
+    delete change.readError;
+    try {
+      change.originalContent = await readCurrentContent(change.path);
+    } catch (error) {
+      change.originalContent = null;
+      change.readError = error.message;
+    }
+  }
+}
+
+/**
+ * Replace file tags and file operations with placeholders for pending changes; the UI fills them in
+ * @param {string} responseText - The original AI response text
+ * @param {Array} changes - The pending changes proposed by the response
+ * @returns {string} - Response text with file tags replaced with pending change cards
+ */
+export function createUIForPendingChanges(responseText, changes) {
+  let processedText = responseText;
+  
+  for (const change of changes) {
+    processedText = isPathOperation(change)
+      ? replaceOperationTag(processedText, change, createPendingChangeCard(change))
+      : replaceFileTag(processedText, change.path, createPendingChangeCard(change));
+  }
+  
+  return processedText;
+}
+
+/**
+ * Check whether a pending change is a delete, move or create-folder operation rather than a write
+ * @param {Object} change - The pending change
+ * @returns {boolean} - True for path operations
+ */
+export function isPathOperation(change) {
+  return ['delete', 'move', 'mkdir'].includes(change.type);
+}
+
+/**
+ * Describe a path operation for its cards
+ * @param {Object} change - The delete, move or create-folder change
+ * @returns {string} - HTML naming the operation and its paths
+ */
+function describePathOperation({ type, path, to }) {
+  if (type === 'move') {
+    return `move <code>${escapeHtml(path)}</code> to <code>${escapeHtml(to)}</code>`;
+  }
+  return `${type === 'delete' ? 'delete' : 'create the folder'} <code>${escapeHtml(path)}</code>`;
+}
+
+/**
+ * Create the placeholder card for a pending change
+ * Kept on one line so the markdown renderer leaves it intact
+ * @param {Object} change - The pending change
+ * @returns {string} - The card HTML
+ */
+export function createPendingChangeCard(change) {
+  if (isPathOperation(change)) {
+    return `<div class="pending-change" data-change-id="${change.id}"><p>📝 Proposed to ${describePathOperation(change)}, waiting for confirmation</p></div>`;
+  }
+  return `<div class="pending-change" data-change-id="${change.id}"><p>📝 Proposed change to <code>${escapeHtml(change.path)}</code>, waiting for review</p></div>`;
+}
+
+/**
+ * Create the card shown in place of a change once the user has rejected it
+ * @param {Object} change - The pending change
+ * @returns {string} - The card HTML
+ */
+export function createRejectedChangeCard(change) {
+  const description = isPathOperation(change)
+    ? `Rejected by the user, nothing was changed: ${describePathOperation(change)}`
+    : `Change rejected by the user, file not written: <code>${escapeHtml(change.path)}</code>`;
+  
+  return `<div class="file-write-rejected">
+        <p>🚫 ${description}</p>
+      </div>`;
+}
+
+/**
+ * Create the card for a confirmed delete, move or create-folder operation
+ * @param {Object} change - The delete, move or create-folder change
+ * @param {Object} result - success, and error when it failed
+ * @param {string|null} [turnId] - The assistant turn of the operation, for the undo button of deletes and moves
+ * @returns {string} - The card HTML
+ */
+export function createPathOperationCard(change, result, turnId = null) {
+  if (!result.success) {
+    return `<div class="file-write-error">
+        <p>❌ Could not ${describePathOperation(change)}:</p>
+        <p class="error-message">${escapeHtml(result.error)}</p>
+      </div>`;
+  }
+  
+  // New folders aren't snapshotted, so there is nothing to undo
+  const undoButton = turnId && change.type !== 'mkdir' ? createUndoTurnButton(turnId) : '';
+  return `<div class="file-write-success">
+        <p>✅ Done: ${describePathOperation(change)}${undoButton}</p>
+      </div>`;
+}
+
 /**
  * Process AI response text to replace file tags with links/buttons
  * @param {string} responseText - The original AI response text
  * @param {Array} writtenFiles - Array of information about written files
+ * @param {string|null} [turnId] - The assistant turn the files were written in, for its undo button
  * @returns {string} - Response text with file tags replaced with UI elements
  */
-export function createUIForWrittenFiles(responseText, writtenFiles) {
+export function createUIForWrittenFiles(responseText, writtenFiles, turnId = null) {
   if (writtenFiles.length === 0) {
     return responseText;
   }
@@ -75,36 +495,115 @@ export function createUIForWrittenFiles(responseText, writtenFiles) {
   
   // Replace each file tag with a button/link
   for (const fileInfo of writtenFiles) {
-    const { path, absolutePath, success } = fileInfo;
-    
-    // Create the replacement pattern
-    const fileTagPattern = new RegExp(`<file>[\\s\\S]*?</file><name:"${escapeRegExp(path)}">`, 'g');
-    
-    // Create the replacement HTML
-    let replacement;
-    if (success) {
-      replacement = `<div class="file-write-success">
-        <p>✅ File written successfully:</p>
+    processedText = replaceFileTag(processedText, fileInfo.path, createWrittenFileCard(fileInfo, turnId));
+  }
+  
+  return processedText;
+}
+
+/**
+ * Replace the file operations whose edits didn't apply with cards listing each failed hunk
+ * The cards stay in the response, so the model sees which hunks to fix on its next turn
+ * @param {string} responseText - The AI's response text
+ * @param {Array} failures - Array of {path, errors} objects
+ * @returns {string} - Response text with the failed operations replaced
+ */
+export function createUIForFailedEdits(responseText, failures) {
+  let processedText = responseText;
+  
+  for (const { path, errors } of failures) {
+    const errorItems = errors.map(error => `<li>${escapeHtml(error)}</li>`).join('');
+    processedText = replaceFileTag(processedText, path, `<div class="file-write-error">
+        <p>❌ The edits could not be applied, so the file was not changed:</p>
         <div class="file-path-box">
-          <code>${path}</code>
-          <button class="open-file-btn" data-path="${absolutePath}">Open File</button>
+          <code>${escapeHtml(path)}</code>
+        </div>
+        <ul class="edit-failures">${errorItems}</ul>
+      </div>`);
+  }
+  
+  return processedText;
+}
+
+/**
+ * Create the card for a file write
+ * @param {Object} fileInfo - Information about the written file, as returned by writeFiles
+ * @param {string|null} [turnId] - The assistant turn the file was written in, for its undo button
+ * @returns {string} - The card HTML
+ */
+export function createWrittenFileCard(fileInfo, turnId = null) {
+  const { path, absolutePath, success } = fileInfo;
+  
+  if (success) {
+    return `<div class="file-write-success">
+        <p>✅ File written ${fileInfo.edited ? 'with your edits' : 'successfully'}:</p>
+        <div class="file-path-box">
+          <code>${escapeHtml(path)}</code>
+          <button class="open-file-btn" data-path="${escapeHtml(absolutePath)}">Open File</button>${turnId ? createUndoTurnButton(turnId) : ''}
         </div>
       </div>`;
-    } else {
-      replacement = `<div class="file-write-error">
+  }
+  
+  return `<div class="file-write-error">
         <p>❌ Error writing file:</p>
         <div class="file-path-box">
-          <code>${path}</code>
-          <p class="error-message">${fileInfo.error}</p>
+          <code>${escapeHtml(path)}</code>
+          <p class="error-message">${escapeHtml(fileInfo.error)}</p>
         </div>
       </div>`;
-    }
-    
-    // Replace the tag in the text
-    processedText = processedText.replace(fileTagPattern, replacement);
+}
+
+/**
+ * Create the button that undoes every file write of an assistant turn
+ * @param {string} turnId - The turn ID
+ * @returns {string} - The button HTML
+ */
+function createUndoTurnButton(turnId) {
+  return `<button class="undo-turn-btn" data-turn-id="${turnId}">Undo this turn</button>`;
+}
+
+/**
+ * Replace a turn's undo buttons with a note that the turn was undone
+ * @param {string} responseText - The response text holding the cards
+ * @param {string} turnId - The turn ID
+ * @returns {string} - The response text with the notes
+ */
+export function markTurnUndone(responseText, turnId) {
+  return responseText.split(createUndoTurnButton(turnId)).join('<span class="turn-undone">↩️ Turn undone</span>');
+}
+
+/**
+ * Replace the file tags for a path with a card; <edit> and <patch> blocks count as file tags
+ * Writes made through the write_file tool have no tag, so their card goes at the end
+ * @param {string} responseText - The response text
+ * @param {string} path - The file path
+ * @param {string} replacement - The card HTML
+ * @returns {string} - The response text with the card
+ */
+function replaceFileTag(responseText, path, replacement) {
+  const fileTagPattern = new RegExp(`<(file|edit|patch)>[\\s\\S]*?</\\1><name:"${escapeRegExp(path)}">`, 'g');
+  
+  if (fileTagPattern.test(responseText)) {
+    fileTagPattern.lastIndex = 0;
+    return responseText.replace(fileTagPattern, () => replacement);
   }
   
-  return processedText;
+  return `${responseText}\n\n${replacement}`;
+}
+
+/**
+ * Replace the tag of a delete, move or create-folder operation with a card
+ * @param {string} responseText - The response text
+ * @param {Object} change - The operation's change
+ * @param {string} replacement - The card HTML
+ * @returns {string} - The response text with the card
+ */
+function replaceOperationTag(responseText, change, replacement) {
+  const tagPattern = change.type === 'move'
+    ? new RegExp(`<move from:"${escapeRegExp(change.path)}" to:"${escapeRegExp(change.to)}"\\s*/>`)
+    : new RegExp(`<${change.type} path:"${escapeRegExp(change.path)}"\\s*/>`);
+  
+  return responseText.replace(tagPattern, () => replacement);
 }
 
 /**
@@ -114,4 +613,17 @@ export function createUIForWrittenFiles(responseText, writtenFiles) {
  */
 function escapeRegExp(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
\ No newline at end of file
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
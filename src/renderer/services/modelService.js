@@ -0,0 +1,121 @@
+/**
+ * Service for calling AI models through the main process
+ * Gives every call a request ID so in-flight calls can be cancelled from the UI
+ */
+
+// In-flight request IDs mapped to the scope they were started in
+const activeRequests = new Map();
+
+// What the user can do about each error code reported by the main process
+const ERROR_MESSAGES = {
+  auth: 'The provider rejected the API key. Check the key for this provider in Settings.',
+  quota: 'Your account with this provider is out of credits or over its quota. Top up the account or choose another model in Settings.',
+  rate_limit: 'The provider is rate limiting requests. Wait a minute and try again, or choose another model in Settings.',
+  context_length: 'The request is too long for this model. Start a new conversation, ask for fewer files, or choose a model with a larger context window.',
+  network: 'Could not reach the model provider. Check your internet connection, or the custom base URL in Settings.',
+  server: 'The model provider is having problems. Try again in a few moments.',
+  invalid_request: 'The provider rejected the request. Check that the model name in Settings is correct for this provider.'
+};
+
+/**
+ * Create a unique ID for a model request
+ * @returns {string} The request ID
+ */
+function createRequestId() {
+  return `req_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Create the error thrown when a model call is cancelled
+ * @returns {Error} The cancellation error
+ */
+function createCancelledError() {
+  const error = new Error('Request cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Create the error thrown when the main process reports a failed call
+ * @param {Object} response - The failed response with error and errorCode
+ * @returns {Error} Error with an actionable message, `code` and the provider's `detail`
+ */
+function createModelError(response) {
+  const detail = response.error || 'Unknown error';
+  const action = ERROR_MESSAGES[response.errorCode];
+  const error = new Error(action ? `${action} (${detail})` : detail);
+  error.code = response.errorCode || 'unknown';
+  error.detail = detail;
+  return error;
+}
+
+/**
+ * Call the model
+ * @param {Object} params - The model call parameters (apiKey, model, prompt, ...)
+ * @param {Object} [options] - Call options
+ * @param {string} [options.scope] - Group name used to cancel related calls together
+ * @param {Function} [options.onDelta] - When set, the response is streamed and each text delta passed to it
+ * @returns {Promise<Object>} The model response
+ * @throws {Error} With `cancelled: true` if the call was cancelled, or with an
+ *   error `code` (auth, quota, rate_limit, context_length, network, ...) if it failed
+ */
+export async function callModel(params, { scope = 'default', onDelta = null } = {}) {
+  const requestId = createRequestId();
+  activeRequests.set(requestId, scope);
+
+  try {
+    const request = { ...params, requestId };
+    const response = onDelta
+      ? await window.electronAPI.settings.streamModel(request, onDelta)
+      : await window.electronAPI.settings.callModel(request);
+
+    if (response && response.cancelled) {
+      throw createCancelledError();
+    }
+    
+    if (response && response.success === false) {
+      throw createModelError(response);
+    }
+
+    return response;
+  } finally {
+    activeRequests.delete(requestId);
+  }
+}
+
+/**
+ * Cancel all in-flight model calls in a scope
+ * @param {string} scope - The scope the calls were started in
+ * @returns {Promise<number>} Number of calls cancelled
+ */
+export async function cancelModelCalls(scope) {
+  const requestIds = [...activeRequests.entries()]
+    .filter(([, requestScope]) => requestScope === scope)
+    .map(([requestId]) => requestId);
+
+  await Promise.all(requestIds.map(requestId =>
+    window.electronAPI.settings.cancelModel(requestId).catch(error => {
+      console.error(`Error cancelling request ${requestId}:`, error);
+    })
+  ));
+
+  return requestIds.length;
+}
+
+/**
+ * Check whether a scope has model calls in flight
+ * @param {string} scope - The scope to check
+ * @returns {boolean} True if any call in the scope is still running
+ */
+export function hasActiveModelCalls(scope) {
+  return [...activeRequests.values()].includes(scope);
+}
+
+/**
+ * Check whether an error came from a cancelled model call
+ * @param {Error} error - The error to check
+ * @returns {boolean} True if the call was cancelled
+ */
+export function isCancelledError(error) {
+  return Boolean(error && error.cancelled);
+}
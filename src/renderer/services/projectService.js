@@ -0,0 +1,253 @@
+/**
+ * Service for saving the pipeline state to a project on disk and reopening it
+ * The state itself stays in the other services; this gathers it on save and
+ * hands it back to them on open
+ */
+
+import { getClarificationState, restoreClarification } from './clarificationService.js';
+import {
+  getCurrentGlobalContext,
+  setGlobalContext,
+  getContextVersions,
+  restoreContextVersions
+} from './contextService.js';
+import { getCurrentTasksData, setTasksData, getUsageSummary, restoreUsage } from './taskService.js';
+import {
+  getTaskConversations,
+  getPendingChangeContents,
+  restoreTaskConversations,
+  refreshPendingChanges
+} from './todoService.js';
+import { isAutoApplyFileWrites, setAutoApplyFileWrites } from './fileWriterService.js';
+import fileService from './fileService.js';
+
+// Longest title taken from the first line of the task description
+const MAX_TITLE_LENGTH = 60;
+
+// The project the pipeline state belongs to, or null before one is started
+let currentProjectId = null;
+
+// Saves run one after another so an older save never overwrites a newer one
+let saveQueue = Promise.resolve();
+
+// IDs of the pending file changes whose content the project has saved, so the
+// content is only saved again when changes come and go; null until the first save
+let savedPendingChangeIds = null;
+
+/**
+ * Make a project title from a task description
+ * @param {string} taskDescription - The user's task description
+ * @returns {string} The title
+ */
+function createTitle(taskDescription) {
+  const firstLine = taskDescription.trim().split('\n')[0].trim();
+  return firstLine.length > MAX_TITLE_LENGTH
+    ? `${firstLine.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…`
+    : firstLine;
+}
+
+/**
+ * Start a new project for a task and clear the state of the previous one
+ * @param {string} taskDescription - The user's task description
+ * @returns {Promise<Object|null>} The new project's metadata, or null if it couldn't be created
+ */
+export async function startProject(taskDescription) {
+  currentProjectId = null;
+  savedPendingChangeIds = null;
+  setGlobalContext('');
+  restoreContextVersions([]);
+  setTasksData(null);
+  restoreTaskConversations({});
+  setAutoApplyFileWrites(false);
+
+  const result = await window.electronAPI.projects.create({
+    title: createTitle(taskDescription),
+    taskDescription
+  });
+
+  if (!result.success) {
+    // The pipeline still works without a project, it just isn't saved
+    console.error('Error creating project:', result.error);
+    return null;
+  }
+
+  currentProjectId = result.project.id;
+  return result.project;
+}
+
+/**
+ * Get the ID of the open project
+ * @returns {string|null} The project ID
+ */
+export function getCurrentProjectId() {
+  return currentProjectId;
+}
+
+/**
+ * Save the current pipeline state to the open project
+ * @param {string} [stage] - The stage the project should resume at; omit to keep the saved stage
+ * @returns {Promise<Object|null>} The updated metadata, or null if nothing was saved
+ */
+export function saveProjectState(stage = undefined) {
+  const projectId = currentProjectId;
+  if (!projectId) {
+    return Promise.resolve(null);
+  }
+
+  // Capture the state now, not when the queued save runs
+  const clarification = getClarificationState();
+  const tasksData = getCurrentTasksData();
+  const usage = getUsageSummary();
+  const taskConversations = getTaskConversations();
+  const metadata = {
+    projectFolder: fileService.getProjectFolder() || '',
+    specImported: clarification.specImported,
+    autoApplyFileWrites: isAutoApplyFileWrites(),
+    usage: { stages: usage.stages, tasks: usage.tasks }
+  };
+
+  if (stage) {
+    metadata.stage = stage;
+  }
+
+  const data = {
+    metadata,
+    globalContext: getCurrentGlobalContext() || '',
+    contextHistory: getContextVersions(),
+    todo: tasksData,
+    conversations: { clarification: clarification.conversation, tasks: taskConversations }
+  };
+
+  const pendingChangeContents = getPendingChangeContents();
+  const pendingChangeIds = Object.keys(pendingChangeContents).sort().join('\n');
+  if (pendingChangeIds !== savedPendingChangeIds) {
+    data.pendingChangeContents = pendingChangeContents;
+  }
+
+  const save = saveQueue.then(async () => {
+    const result = await window.electronAPI.projects.save(projectId, data);
+    if (!result.success) {
+      console.error('Error saving project:', result.error);
+      return null;
+    }
+
+    if (data.pendingChangeContents && projectId === currentProjectId) {
+      savedPendingChangeIds = pendingChangeIds;
+    }
+
+    document.dispatchEvent(new CustomEvent('projectSaved', { detail: { metadata: result.metadata } }));
+    return result.metadata;
+  });
+
+  saveQueue = save.catch(() => null);
+  return save;
+}
+
+/**
+ * Open a saved project, restoring its state into the services
+ * Dispatches a projectOpened event so each page can resume from the saved stage
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} The project's metadata
+ * @throws {Error} If the project couldn't be loaded
+ */
+export async function openProject(projectId) {
+  const result = await window.electronAPI.projects.load(projectId);
+  if (!result.success) {
+    throw new Error(result.error || 'Could not open the project');
+  }
+
+  const { metadata, todo, conversations, globalContext, contextHistory, pendingChangeContents } = result.project;
+
+  currentProjectId = metadata.id;
+  savedPendingChangeIds = null;
+  restoreClarification(metadata.taskDescription || '', conversations.clarification || [], Boolean(metadata.specImported));
+  setGlobalContext(globalContext || '');
+  restoreContextVersions(contextHistory || []);
+  setTasksData(todo);
+  restoreTaskConversations(conversations.tasks || {}, pendingChangeContents || {});
+  setAutoApplyFileWrites(Boolean(metadata.autoApplyFileWrites));
+  restoreUsage(metadata.usage);
+
+  // Reuse the linked folder if it is still there; otherwise the user picks it again
+  fileService.resetProjectFolder();
+  if (metadata.projectFolder) {
+    await fileService.useFolder(metadata.projectFolder);
+  }
+  await refreshPendingChanges();
+
+  document.dispatchEvent(new CustomEvent('projectOpened', { detail: { metadata } }));
+  return metadata;
+}
+
+/**
+ * List the saved projects, most recently modified first
+ * @returns {Promise<Array>} Array of project summaries from the index
+ */
+export async function listProjects() {
+  const result = await window.electronAPI.projects.list();
+  if (!result.success) {
+    console.error('Error listing projects:', result.error);
+  }
+  return result.projects || [];
+}
+
+/**
+ * Rename a saved project
+ * @param {string} projectId - The project ID
+ * @param {string} title - The new title
+ * @returns {Promise<Object>} The updated metadata
+ * @throws {Error} If the project couldn't be renamed
+ */
+export async function renameProject(projectId, title) {
+  return unwrapMetadata(await window.electronAPI.projects.rename(projectId, title));
+}
+
+/**
+ * Copy a saved project into a new one
+ * @param {string} projectId - The project ID
+ * @returns {Promise<Object>} The new project's metadata
+ * @throws {Error} If the project couldn't be copied
+ */
+export async function duplicateProject(projectId) {
+  return unwrapMetadata(await window.electronAPI.projects.duplicate(projectId));
+}
+
+/**
+ * Archive or restore a saved project
+ * @param {string} projectId - The project ID
+ * @param {boolean} archived - Whether the project should be archived
+ * @returns {Promise<Object>} The updated metadata
+ * @throws {Error} If the project couldn't be updated
+ */
+export async function archiveProject(projectId, archived) {
+  return unwrapMetadata(await window.electronAPI.projects.archive(projectId, archived));
+}
+
+/**
+ * Delete a saved project; the open project is closed first
+ * @param {string} projectId - The project ID
+ * @throws {Error} If the project couldn't be deleted
+ */
+export async function deleteProject(projectId) {
+  if (projectId === currentProjectId) {
+    currentProjectId = null;
+  }
+
+  const result = await window.electronAPI.projects.delete(projectId);
+  if (!result.success) {
+    throw new Error(result.error || 'Could not delete the project');
+  }
+}
+
+/**
+ * Get the metadata from a project IPC result
+ * @param {Object} result - The IPC result
+ * @returns {Object} The metadata
+ * @throws {Error} If the call failed
+ */
+function unwrapMetadata(result) {
+  if (!result.success) {
+    throw new Error(result.error || 'The project could not be updated');
+  }
+  return result.metadata;
+}
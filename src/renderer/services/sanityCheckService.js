@@ -0,0 +1,363 @@
+/**
+ * Service for the sanity check run after a task is completed
+ * The model reviews the finished work and proposes edits to the global context
+ * and the to-do list; this turns its file commands into updated copies of both
+ */
+
+import { sanityCheckSystemPrompt, sanityCheckUserPromptTemplate } from '../data/sanityCheckPrompt.js';
+import { getCurrentGlobalContext, setGlobalContext } from './contextService.js';
+import {
+  getCurrentTasksData,
+  setTasksData,
+  getTaskById,
+  callModelForStage,
+  extractJSON,
+  validateTasksData
+} from './taskService.js';
+import { getStageSettings } from './settingsService.js';
+import { getTaskConversation } from './todoService.js';
+import { isTestModeEnabled } from './testMode.js';
+import fileService from './fileService.js';
+
+// Longest conversation sent to the model; older messages are left out first
+const MAX_CONVERSATION_CHARS = 20000;
+
+// Longest excerpt of each modified file sent to the model
+const MAX_FILE_CHARS = 6000;
+
+// Task fields the user keeps changing while a check runs; the check never overrides them
+const LIVE_TASK_FIELDS = ['status', 'statusHistory', 'todoItems'];
+
+/**
+ * Run the sanity check for a completed task
+ * @param {string} taskId - The completed task's ID
+ * @returns {Promise<Object>} changes ('none', 'minor' or 'substantial'), explanation,
+ *   the proposed globalContext and tasksData, the to-do list commands that applied,
+ *   and any commands that couldn't be applied
+ */
+export async function runSanityCheck(taskId) {
+  const globalContext = getCurrentGlobalContext() || '';
+  const tasksData = getCurrentTasksData();
+
+  if (isTestModeEnabled() || !tasksData) {
+    return createNoChangesResult(globalContext, tasksData);
+  }
+
+  const task = getTaskById(taskId);
+  if (!task) {
+    throw new Error(`Task with ID ${taskId} not found`);
+  }
+
+  const todoJSON = JSON.stringify(tasksData, null, 2);
+  const conversation = getTaskConversation(taskId);
+  const modifiedFiles = await formatModifiedFiles(conversation.filesWritten);
+
+  // Replacer functions keep any "$" in the inserted text literal
+  const userPrompt = sanityCheckUserPromptTemplate
+    .replace('{globalContext}', () => globalContext || 'No global context available')
+    .replace('{todoList}', () => todoJSON)
+    .replace('{completedItem}', () => `${task.title} (${task.id}, section "${task.sectionTitle}")\n${task.description}`)
+    .replace('{conversationHistory}', () => formatConversation(conversation.messages))
+    .replace('{modifiedFiles}', () => modifiedFiles);
+
+  const messages = [
+    { role: 'system', content: sanityCheckSystemPrompt },
+    { role: 'user', content: userPrompt }
+  ];
+
+  const stageSettings = await getStageSettings('sanityCheck');
+
+  console.log('Running sanity check...');
+
+  const response = await callModelForStage('sanityCheck', {
+    ...stageSettings,
+    messages
+  }, { scope: 'conversation' }, taskId);
+
+  if (!response || !response.text) {
+    throw new Error(response?.error || 'Invalid response from model');
+  }
+
+  const result = extractJSON(response.text);
+  if (!result) {
+    throw new Error('Could not parse the sanity check response');
+  }
+
+  return applyCommands(result, globalContext, todoJSON, taskId);
+}
+
+/**
+ * Build the result for a check that found nothing to change
+ * @param {string} globalContext - The current global context
+ * @param {Object|null} tasksData - The current tasks data
+ * @returns {Object} The sanity check result
+ */
+function createNoChangesResult(globalContext, tasksData) {
+  return {
+    changes: 'none',
+    explanation: '',
+    globalContext,
+    tasksData,
+    contextChanged: false,
+    tasksChanged: false,
+    todoCommands: [],
+    failedCommands: []
+  };
+}
+
+/**
+ * Apply the model's file commands to copies of the context and the to-do list
+ * @param {Object} result - The parsed model response
+ * @param {string} globalContext - The current global context
+ * @param {string} todoJSON - The to-do list as sent to the model
+ * @param {string} taskId - The completed task's ID, which stays completed
+ * @returns {Object} The sanity check result
+ */
+function applyCommands(result, globalContext, todoJSON, taskId) {
+  const changes = ['minor', 'substantial'].includes(result.changes) ? result.changes : 'none';
+  const commands = (changes === 'substantial' ? result.proposedCommands : result.commands) || [];
+  const failedCommands = [];
+  const todoCommands = [];
+
+  let newContext = globalContext;
+  let newTodoJSON = todoJSON;
+
+  if (changes !== 'none') {
+    commands.forEach(command => {
+      try {
+        if (command.command !== 'Modify') {
+          throw new Error(`Unknown command "${command.command}"`);
+        }
+
+        if (command.fileName === 'globalContext.txt') {
+          newContext = replaceOnce(newContext, command.oldContent, command.newContent);
+        } else if (command.fileName === 'todo.json') {
+          newTodoJSON = replaceOnce(newTodoJSON, command.oldContent, command.newContent);
+          todoCommands.push(command);
+        } else {
+          throw new Error(`Unknown file "${command.fileName}"`);
+        }
+      } catch (error) {
+        failedCommands.push({ command, error: error.message });
+      }
+    });
+  }
+
+  let tasksData = JSON.parse(todoJSON);
+  let tasksChanged = false;
+
+  if (newTodoJSON !== todoJSON) {
+    try {
+      tasksData = JSON.parse(newTodoJSON);
+      validateTasksData(tasksData);
+      keepTaskCompleted(tasksData, taskId);
+      tasksChanged = JSON.stringify(tasksData, null, 2) !== todoJSON;
+    } catch (error) {
+      failedCommands.push({ command: { fileName: 'todo.json' }, error: `The updated to-do list is invalid: ${error.message}` });
+      tasksData = JSON.parse(todoJSON);
+    }
+  }
+
+  const contextChanged = newContext !== globalContext;
+
+  if (failedCommands.length > 0) {
+    console.warn('Sanity check commands that could not be applied:', failedCommands);
+  }
+
+  return {
+    changes: contextChanged || tasksChanged ? changes : 'none',
+    explanation: result.explanation || '',
+    globalContext: newContext,
+    tasksData,
+    contextChanged,
+    tasksChanged,
+    todoCommands: tasksChanged ? todoCommands : [],
+    failedCommands
+  };
+}
+
+/**
+ * Replace the single occurrence of a passage in a text
+ * Falls back to matching with any whitespace when the exact text isn't found
+ * @param {string} text - The text to change
+ * @param {string} oldContent - The passage to replace
+ * @param {string} newContent - The replacement
+ * @returns {string} The changed text
+ * @throws {Error} If the passage is missing or appears more than once
+ */
+function replaceOnce(text, oldContent, newContent) {
+  if (typeof oldContent !== 'string' || !oldContent.trim() || typeof newContent !== 'string') {
+    throw new Error('oldContent and newContent are required');
+  }
+
+  const exactCount = text.split(oldContent).length - 1;
+  if (exactCount === 1) {
+    return text.replace(oldContent, () => newContent);
+  }
+
+  if (exactCount === 0) {
+    const pattern = new RegExp(
+      oldContent.trim().split(/\s+/).map(escapeRegExp).join('\\s+'),
+      'g'
+    );
+    const matches = text.match(pattern) || [];
+    if (matches.length === 1) {
+      return text.replace(pattern, () => newContent);
+    }
+    if (matches.length === 0) {
+      throw new Error('oldContent was not found');
+    }
+  }
+
+  throw new Error('oldContent appears more than once');
+}
+
+/**
+ * Make sure the task that was just completed is still marked completed
+ * @param {Object} tasksData - The updated tasks data
+ * @param {string} taskId - The completed task's ID
+ */
+function keepTaskCompleted(tasksData, taskId) {
+  tasksData.sections.forEach(section => {
+    section.tasks.forEach(task => {
+      if (task.id === taskId) {
+        task.status = 'completed';
+      }
+    });
+  });
+}
+
+/**
+ * Format a task conversation for the prompt, keeping the most recent messages
+ * @param {Array<Object>} messages - Array of {role, content}
+ * @returns {string} The formatted conversation
+ */
+function formatConversation(messages) {
+  const formatted = [];
+  let length = 0;
+
+  for (let index = messages.length - 1; index >= 0; index--) {
+    const message = messages[index];
+    const entry = `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`;
+    if (length + entry.length > MAX_CONVERSATION_CHARS && formatted.length > 0) {
+      formatted.unshift('(Earlier messages left out)');
+      break;
+    }
+    formatted.unshift(entry);
+    length += entry.length;
+  }
+
+  return formatted.length > 0 ? formatted.join('\n\n') : 'No conversation for this task.';
+}
+
+/**
+ * Read the files written during a task for the prompt
+ * @param {string[]} filePaths - Paths relative to the project folder
+ * @returns {Promise<string>} The file paths and their current contents
+ */
+async function formatModifiedFiles(filePaths) {
+  if (filePaths.length === 0) {
+    return 'No files were modified.';
+  }
+
+  const sections = [];
+
+  for (const filePath of filePaths) {
+    try {
+      const content = await fileService.readFile(filePath);
+      const excerpt = content.length > MAX_FILE_CHARS
+        ? `${content.slice(0, MAX_FILE_CHARS)}\n... (truncated)`
+        : content;
+      sections.push(`### ${filePath}\n${excerpt}`);
+    } catch (error) {
+      sections.push(`### ${filePath}\n(Could not read the file: ${error.message})`);
+    }
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Apply the proposed context and to-do list from a sanity check result
+ * The to-do list commands are applied again to the current list, since the user may
+ * have started tasks, generated sub-steps or ticked items while the check ran
+ * @param {Object} result - The result from runSanityCheck
+ * @returns {Object} contextChanged and tasksChanged: what was applied; the to-do list
+ *   is left alone if its commands no longer apply
+ */
+export function applySanityCheckResult(result) {
+  if (result.contextChanged) {
+    setGlobalContext(result.globalContext, 'sanity', result.explanation);
+    document.dispatchEvent(new CustomEvent('contextUpdated'));
+  }
+
+  const tasksData = result.tasksChanged ? applyTodoCommandsToCurrent(result.todoCommands) : null;
+  if (tasksData) {
+    setTasksData(tasksData);
+  }
+
+  return { contextChanged: result.contextChanged, tasksChanged: Boolean(tasksData) };
+}
+
+/**
+ * Apply a check's to-do list commands to the current to-do list
+ * @param {Array<Object>} commands - The Modify commands for todo.json
+ * @returns {Object|null} The updated tasks data, or null if the commands no longer apply
+ */
+function applyTodoCommandsToCurrent(commands) {
+  const currentData = getCurrentTasksData();
+  if (!currentData) {
+    return null;
+  }
+
+  try {
+    let todoJSON = JSON.stringify(currentData, null, 2);
+    commands.forEach(command => {
+      todoJSON = replaceOnce(todoJSON, command.oldContent, command.newContent);
+    });
+
+    const tasksData = JSON.parse(todoJSON);
+    validateTasksData(tasksData);
+    keepLiveTaskFields(tasksData, currentData);
+    return tasksData;
+  } catch (error) {
+    console.warn('The sanity check changes no longer apply to the to-do list:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Give every task that is still in the list its current status, status history and sub-steps
+ * @param {Object} tasksData - The updated tasks data
+ * @param {Object} currentData - The current tasks data
+ */
+function keepLiveTaskFields(tasksData, currentData) {
+  const currentTasks = new Map();
+  currentData.sections.forEach(section => {
+    section.tasks.forEach(task => currentTasks.set(task.id, task));
+  });
+
+  tasksData.sections.forEach(section => {
+    section.tasks.forEach(task => {
+      const currentTask = currentTasks.get(task.id);
+      if (!currentTask) return;
+
+      LIVE_TASK_FIELDS.forEach(field => {
+        if (currentTask[field] === undefined) {
+          delete task[field];
+        } else {
+          task[field] = structuredClone(currentTask[field]);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Escape special characters in string for using in RegExp
+ * @param {string} string - String to escape
+ * @returns {string} - Escaped string
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
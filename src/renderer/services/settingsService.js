@@ -6,6 +6,35 @@
 // In-memory cache of settings
 let settingsCache = null;
 
+// Used when the settings can't be loaded; keep in step with DEFAULT_SETTINGS in main/settings.js
+const DEFAULT_SETTINGS = {
+  apiKey: '',
+  model: 'deepseek/deepseek-chat-v3-0324:free',
+  provider: 'auto',
+  customBaseURL: '',
+  providerApiKeys: {},
+  stageSettings: {},
+  maxConcurrentRequests: 2,
+  modelPrices: {},
+  budgetLimit: 0,
+  toolCalling: true,
+  mockFixturesPath: '',
+  responseCacheEnabled: false,
+  bypassResponseCache: false,
+  responseCacheTTLHours: 24,
+  responseCacheMaxSizeMB: 50
+};
+
+// Pipeline stages that can use their own model settings, with their defaults
+// cacheable stages may be answered from the response cache when it is enabled
+export const MODEL_STAGES = {
+  clarification: { label: 'Clarification Questions', temperature: 0.0, maxTokens: 2000, cacheable: true },
+  globalContext: { label: 'Global Context', temperature: 0.0, maxTokens: 2000, cacheable: true },
+  taskBreakdown: { label: 'Task Breakdown', temperature: 0.0, maxTokens: 3000, cacheable: true },
+  taskExecution: { label: 'Task Execution', temperature: 0.0, maxTokens: 2000, cacheable: false },
+  sanityCheck: { label: 'Sanity Check', temperature: 0.0, maxTokens: 3000, cacheable: false }
+};
+
 /**
  * Get all settings
  * @returns {Promise<Object>} The settings object
@@ -22,7 +51,7 @@ export async function getSettings() {
     return settingsCache;
   } catch (error) {
     console.error('Error getting settings:', error);
-    return { apiKey: '', model: 'deepseek/deepseek-chat-v3-0324:free' };
+    return { ...DEFAULT_SETTINGS };
   }
 }
 
@@ -86,6 +115,209 @@ export async function setSetting(key, value) {
   return updateSettings(update);
 }
 
+/**
+ * Get the model settings for a pipeline stage
+ * Empty stage values fall back to the default model and the stage defaults
+ * @param {string} stage - The stage key from MODEL_STAGES
+ * @returns {Promise<Object>} The apiKey, model, temperature and maxTokens to call the model with
+ */
+export async function getStageSettings(stage) {
+  const settings = await getSettings();
+  const defaults = MODEL_STAGES[stage] || MODEL_STAGES.taskExecution;
+  const overrides = (settings.stageSettings && settings.stageSettings[stage]) || {};
+  
+  return {
+    apiKey: settings.apiKey,
+    model: overrides.model || settings.model || 'deepseek/deepseek-chat-v3-0324:free',
+    temperature: overrides.temperature ?? defaults.temperature,
+    maxTokens: overrides.maxTokens ?? defaults.maxTokens
+  };
+}
+
+/**
+ * Populate the provider select and the per-provider API key inputs
+ * @param {string} providerElementId - ID of the provider select element
+ * @param {string} providerKeysContainerId - ID of the container for provider API key inputs
+ */
+export async function renderProviderFields(providerElementId = 'providerSelect', providerKeysContainerId = 'providerApiKeys') {
+  let providers = [];
+  
+  try {
+    providers = await window.electronAPI.settings.listProviders();
+  } catch (error) {
+    console.error('Error listing providers:', error);
+    return;
+  }
+  
+  const providerElement = document.getElementById(providerElementId);
+  const keysContainer = document.getElementById(providerKeysContainerId);
+  
+  if (providerElement) {
+    providers.forEach(provider => {
+      const option = document.createElement('option');
+      option.value = provider.id;
+      option.textContent = provider.name;
+      providerElement.appendChild(option);
+    });
+  }
+  
+  if (keysContainer) {
+    keysContainer.innerHTML = '';
+    
+    providers.filter(provider => provider.acceptsApiKey).forEach(provider => {
+      const group = document.createElement('div');
+      group.className = 'settings-group';
+      
+      const label = document.createElement('label');
+      label.htmlFor = `providerApiKey_${provider.id}`;
+      label.textContent = `${provider.name}:`;
+      
+      const input = document.createElement('input');
+      input.type = 'password';
+      input.id = `providerApiKey_${provider.id}`;
+      input.className = 'provider-api-key';
+      input.dataset.provider = provider.id;
+      input.placeholder = provider.usesDefaultApiKey ? 'Uses the default API key' : 'Not set';
+      
+      group.appendChild(label);
+      group.appendChild(input);
+      keysContainer.appendChild(group);
+    });
+  }
+}
+
+/**
+ * Build the model, temperature and max tokens inputs for each pipeline stage
+ * @param {string} containerId - ID of the container for the stage inputs
+ */
+export function renderStageFields(containerId = 'stageSettings') {
+  const container = document.getElementById(containerId);
+  if (!container) {
+    return;
+  }
+  
+  container.innerHTML = '';
+  
+  Object.entries(MODEL_STAGES).forEach(([stage, defaults]) => {
+    const group = document.createElement('div');
+    group.className = 'settings-group';
+    
+    const heading = document.createElement('label');
+    heading.htmlFor = `stageModel_${stage}`;
+    heading.textContent = `${defaults.label}:`;
+    
+    const row = document.createElement('div');
+    row.className = 'stage-settings-row';
+    
+    const fields = [
+      { field: 'model', type: 'text', placeholder: 'Default model', title: 'Model' },
+      { field: 'temperature', type: 'number', placeholder: `Temp ${defaults.temperature}`, title: 'Temperature', min: '0', max: '2', step: '0.1' },
+      { field: 'maxTokens', type: 'number', placeholder: `Max ${defaults.maxTokens}`, title: 'Max tokens', min: '1', step: '1' }
+    ];
+    
+    fields.forEach(({ field, type, placeholder, title, min, max, step }) => {
+      const input = document.createElement('input');
+      input.type = type;
+      input.id = field === 'model' ? `stageModel_${stage}` : `stage_${field}_${stage}`;
+      input.className = `stage-setting stage-setting-${field}`;
+      input.dataset.stage = stage;
+      input.dataset.field = field;
+      input.placeholder = placeholder;
+      input.title = title;
+      if (min !== undefined) input.min = min;
+      if (max !== undefined) input.max = max;
+      if (step !== undefined) input.step = step;
+      row.appendChild(input);
+    });
+    
+    group.appendChild(heading);
+    group.appendChild(row);
+    container.appendChild(group);
+  });
+}
+
+/**
+ * Read the per-stage overrides from their inputs, leaving out empty values
+ * @returns {Object} Map of stage to { model, temperature, maxTokens }
+ */
+function readStageSettingsFromForm() {
+  const stageSettings = {};
+  
+  document.querySelectorAll('.stage-setting').forEach(input => {
+    const { stage, field } = input.dataset;
+    const raw = input.value.trim();
+    if (!raw) {
+      return;
+    }
+    
+    let value = raw;
+    if (field === 'temperature') {
+      value = Number(raw);
+      if (!Number.isFinite(value)) return;
+    } else if (field === 'maxTokens') {
+      value = Math.floor(Number(raw));
+      if (!Number.isFinite(value) || value <= 0) return;
+    }
+    
+    stageSettings[stage] = { ...stageSettings[stage], [field]: value };
+  });
+  
+  return stageSettings;
+}
+
+/**
+ * Read a positive number from an input
+ * @param {HTMLInputElement} element - The number input
+ * @param {number} fallback - Value used when the input is empty or not positive
+ * @returns {number} The number
+ */
+function readPositiveNumber(element, fallback) {
+  const value = Number(element.value);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Parse the model price table from its textarea
+ * @param {HTMLTextAreaElement} element - The price table textarea
+ * @returns {Object|null} The price table, or null if the JSON is invalid
+ */
+function readModelPricesFromForm(element) {
+  const raw = element.value.trim();
+  if (!raw) {
+    return {};
+  }
+  
+  try {
+    const prices = JSON.parse(raw);
+    if (prices && typeof prices === 'object' && !Array.isArray(prices)) {
+      element.classList.remove('invalid');
+      return prices;
+    }
+  } catch (error) {
+    console.error('Invalid model price table:', error);
+  }
+  
+  element.classList.add('invalid');
+  return null;
+}
+
+/**
+ * Read the per-provider API keys from their inputs
+ * @returns {Object} Map of provider ID to API key
+ */
+function readProviderApiKeysFromForm() {
+  const providerApiKeys = {};
+  
+  document.querySelectorAll('.provider-api-key').forEach(input => {
+    const key = input.value.trim();
+    if (key) {
+      providerApiKeys[input.dataset.provider] = key;
+    }
+  });
+  
+  return providerApiKeys;
+}
+
 /**
  * Load settings into form elements
  * @param {string} apiKeyElementId - ID of API key input element
@@ -104,6 +336,66 @@ export async function loadSettingsIntoForm(apiKeyElementId = 'settingsApiKey', m
   if (modelElement && settings.model !== undefined) {
     modelElement.value = settings.model;
   }
+  
+  const providerElement = document.getElementById('providerSelect');
+  const customBaseURLElement = document.getElementById('customBaseURLInput');
+  
+  if (providerElement) {
+    providerElement.value = settings.provider || 'auto';
+  }
+  
+  if (customBaseURLElement) {
+    customBaseURLElement.value = settings.customBaseURL || '';
+  }
+  
+  const providerApiKeys = settings.providerApiKeys || {};
+  document.querySelectorAll('.provider-api-key').forEach(input => {
+    input.value = providerApiKeys[input.dataset.provider] || '';
+  });
+  
+  const stageSettings = settings.stageSettings || {};
+  document.querySelectorAll('.stage-setting').forEach(input => {
+    const value = stageSettings[input.dataset.stage]?.[input.dataset.field];
+    input.value = value ?? '';
+  });
+  
+  const toolCallingElement = document.getElementById('toolCallingToggle');
+  const budgetLimitElement = document.getElementById('budgetLimitInput');
+  const modelPricesElement = document.getElementById('modelPricesInput');
+  
+  if (toolCallingElement) {
+    toolCallingElement.checked = settings.toolCalling !== false;
+  }
+  
+  if (budgetLimitElement) {
+    budgetLimitElement.value = settings.budgetLimit > 0 ? settings.budgetLimit : '';
+  }
+  
+  if (modelPricesElement) {
+    const prices = settings.modelPrices || {};
+    modelPricesElement.value = Object.keys(prices).length > 0 ? JSON.stringify(prices, null, 2) : '';
+  }
+  
+  const responseCacheElement = document.getElementById('responseCacheToggle');
+  const bypassResponseCacheElement = document.getElementById('bypassResponseCacheToggle');
+  const responseCacheTTLElement = document.getElementById('responseCacheTTLInput');
+  const responseCacheSizeElement = document.getElementById('responseCacheSizeInput');
+  
+  if (responseCacheElement) {
+    responseCacheElement.checked = Boolean(settings.responseCacheEnabled);
+  }
+  
+  if (bypassResponseCacheElement) {
+    bypassResponseCacheElement.checked = Boolean(settings.bypassResponseCache);
+  }
+  
+  if (responseCacheTTLElement) {
+    responseCacheTTLElement.value = settings.responseCacheTTLHours || '';
+  }
+  
+  if (responseCacheSizeElement) {
+    responseCacheSizeElement.value = settings.responseCacheMaxSizeMB || '';
+  }
 }
 
 /**
@@ -125,6 +417,61 @@ export async function saveSettingsFromForm(apiKeyElementId = 'settingsApiKey', m
     updates.model = modelElement.value.trim() || 'deepseek/deepseek-chat-v3-0324:free';
   }
   
+  const providerElement = document.getElementById('providerSelect');
+  const customBaseURLElement = document.getElementById('customBaseURLInput');
+  
+  if (providerElement) {
+    updates.provider = providerElement.value || 'auto';
+  }
+  
+  if (customBaseURLElement) {
+    updates.customBaseURL = customBaseURLElement.value.trim();
+  }
+  
+  updates.providerApiKeys = readProviderApiKeysFromForm();
+  updates.stageSettings = readStageSettingsFromForm();
+  
+  const toolCallingElement = document.getElementById('toolCallingToggle');
+  const budgetLimitElement = document.getElementById('budgetLimitInput');
+  const modelPricesElement = document.getElementById('modelPricesInput');
+  
+  if (toolCallingElement) {
+    updates.toolCalling = toolCallingElement.checked;
+  }
+  
+  if (budgetLimitElement) {
+    updates.budgetLimit = Math.max(Number(budgetLimitElement.value) || 0, 0);
+  }
+  
+  if (modelPricesElement) {
+    // Keep the saved table when the edited JSON doesn't parse
+    const prices = readModelPricesFromForm(modelPricesElement);
+    if (prices) {
+      updates.modelPrices = prices;
+    }
+  }
+  
+  const responseCacheElement = document.getElementById('responseCacheToggle');
+  const bypassResponseCacheElement = document.getElementById('bypassResponseCacheToggle');
+  const responseCacheTTLElement = document.getElementById('responseCacheTTLInput');
+  const responseCacheSizeElement = document.getElementById('responseCacheSizeInput');
+  
+  if (responseCacheElement) {
+    updates.responseCacheEnabled = responseCacheElement.checked;
+  }
+  
+  if (bypassResponseCacheElement) {
+    updates.bypassResponseCache = bypassResponseCacheElement.checked;
+  }
+  
+  if (responseCacheTTLElement) {
+    updates.responseCacheTTLHours = readPositiveNumber(responseCacheTTLElement, 24);
+  }
+  
+  if (responseCacheSizeElement) {
+    updates.responseCacheMaxSizeMB = readPositiveNumber(responseCacheSizeElement, 50);
+  }
+  
   return updateSettings(updates);
 }
 
@@ -133,9 +480,13 @@ export async function saveSettingsFromForm(apiKeyElementId = 'settingsApiKey', m
  * @param {string} apiKeyElementId - ID of API key input element
  * @param {string} modelElementId - ID of model selection element
  */
-export function initSettingsForm(apiKeyElementId = 'settingsApiKey', modelElementId = 'modelInput') {
+export async function initSettingsForm(apiKeyElementId = 'settingsApiKey', modelElementId = 'modelInput') {
+  // Build the provider and stage fields before loading values into them
+  await renderProviderFields();
+  renderStageFields();
+  
   // Load initial values
-  loadSettingsIntoForm(apiKeyElementId, modelElementId);
+  await loadSettingsIntoForm(apiKeyElementId, modelElementId);
   
   // Set up autosave on blur
   const apiKeyElement = document.getElementById(apiKeyElementId);
@@ -152,4 +503,96 @@ export function initSettingsForm(apiKeyElementId = 'settingsApiKey', modelElemen
       setSetting('model', modelElement.value.trim() || 'deepseek/deepseek-chat-v3-0324:free');
     });
   }
-}
\ No newline at end of file
+  
+  const providerElement = document.getElementById('providerSelect');
+  const customBaseURLElement = document.getElementById('customBaseURLInput');
+  
+  if (providerElement) {
+    providerElement.addEventListener('change', () => {
+      setSetting('provider', providerElement.value || 'auto');
+    });
+  }
+  
+  if (customBaseURLElement) {
+    customBaseURLElement.addEventListener('blur', () => {
+      setSetting('customBaseURL', customBaseURLElement.value.trim());
+    });
+  }
+  
+  document.querySelectorAll('.provider-api-key').forEach(input => {
+    input.addEventListener('blur', () => {
+      setSetting('providerApiKeys', readProviderApiKeysFromForm());
+    });
+  });
+  
+  document.querySelectorAll('.stage-setting').forEach(input => {
+    input.addEventListener('blur', () => {
+      setSetting('stageSettings', readStageSettingsFromForm());
+    });
+  });
+  
+  const toolCallingElement = document.getElementById('toolCallingToggle');
+  const budgetLimitElement = document.getElementById('budgetLimitInput');
+  const modelPricesElement = document.getElementById('modelPricesInput');
+  
+  if (toolCallingElement) {
+    toolCallingElement.addEventListener('change', () => {
+      setSetting('toolCalling', toolCallingElement.checked);
+    });
+  }
+  
+  if (budgetLimitElement) {
+    budgetLimitElement.addEventListener('blur', () => {
+      setSetting('budgetLimit', Math.max(Number(budgetLimitElement.value) || 0, 0));
+    });
+  }
+  
+  if (modelPricesElement) {
+    modelPricesElement.addEventListener('blur', () => {
+      const prices = readModelPricesFromForm(modelPricesElement);
+      if (prices) {
+        setSetting('modelPrices', prices);
+      }
+    });
+  }
+  
+  const responseCacheElement = document.getElementById('responseCacheToggle');
+  const bypassResponseCacheElement = document.getElementById('bypassResponseCacheToggle');
+  const responseCacheTTLElement = document.getElementById('responseCacheTTLInput');
+  const responseCacheSizeElement = document.getElementById('responseCacheSizeInput');
+  const clearResponseCacheButton = document.getElementById('clearResponseCacheBtn');
+  
+  if (responseCacheElement) {
+    responseCacheElement.addEventListener('change', () => {
+      setSetting('responseCacheEnabled', responseCacheElement.checked);
+    });
+  }
+  
+  if (bypassResponseCacheElement) {
+    bypassResponseCacheElement.addEventListener('change', () => {
+      setSetting('bypassResponseCache', bypassResponseCacheElement.checked);
+    });
+  }
+  
+  if (responseCacheTTLElement) {
+    responseCacheTTLElement.addEventListener('blur', () => {
+      setSetting('responseCacheTTLHours', readPositiveNumber(responseCacheTTLElement, 24));
+    });
+  }
+  
+  if (responseCacheSizeElement) {
+    responseCacheSizeElement.addEventListener('blur', () => {
+      setSetting('responseCacheMaxSizeMB', readPositiveNumber(responseCacheSizeElement, 50));
+    });
+  }
+  
+  if (clearResponseCacheButton) {
+    clearResponseCacheButton.addEventListener('click', async () => {
+      const result = await window.electronAPI.settings.clearResponseCache();
+      clearResponseCacheButton.textContent = `Cleared ${result.cleared} responses`;
+      setTimeout(() => {
+        clearResponseCacheButton.textContent = 'Clear Cache';
+      }, 2000);
+    });
+  }
+}
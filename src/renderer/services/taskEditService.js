@@ -0,0 +1,373 @@
+/**
+ * Service for editing the task breakdown by hand
+ * Every edit is made on a copy that must pass validateTasksData before it replaces the current tasks
+ */
+
+import { sectionRegenerationSystemPrompt, sectionRegenerationUserPromptTemplate } from '../data/taskBreakdownPrompt.js';
+import { getCurrentGlobalContext } from './contextService.js';
+import {
+  getCurrentTasksData,
+  setTasksData,
+  callModelForStage,
+  extractJSON,
+  validateTasksData,
+  isDoneStatus
+} from './taskService.js';
+import { getStageSettings } from './settingsService.js';
+
+// Counter that keeps IDs made within the same millisecond apart
+let taskIdCounter = 0;
+
+/**
+ * Make a task ID that has never been used, so a new task never inherits the
+ * conversation or usage of a deleted one
+ * @returns {string} The new task ID
+ */
+function createTaskId() {
+  taskIdCounter++;
+  return `task_${Date.now().toString(36)}_${taskIdCounter}`;
+}
+
+/**
+ * Apply an edit to a copy of the tasks and keep it if it is valid
+ * @param {Function} edit - Called with the copy to change
+ * @returns {Object} The new tasks data
+ * @throws {Error} If there are no tasks or the edited tasks are invalid
+ */
+function applyEdit(edit) {
+  const tasksData = getCurrentTasksData();
+  if (!tasksData) {
+    throw new Error('No task breakdown to edit');
+  }
+
+  const editedTasks = structuredClone(tasksData);
+  edit(editedTasks);
+  removeMissingDependencies(editedTasks);
+  validateTasksData(editedTasks);
+
+  setTasksData(editedTasks);
+  return editedTasks;
+}
+
+/**
+ * Drop dependencies on tasks that no longer exist, e.g. after a delete
+ * @param {Object} tasksData - The tasks data to clean up
+ */
+function removeMissingDependencies(tasksData) {
+  const tasks = tasksData.sections.flatMap(section => section.tasks || []);
+  const taskIds = new Set(tasks.map(task => task.id));
+
+  tasks.forEach(task => {
+    if (Array.isArray(task.dependsOn)) {
+      task.dependsOn = task.dependsOn.filter(dependencyId => taskIds.has(dependencyId));
+    }
+  });
+}
+
+/**
+ * Check whether a task waits, directly or through other tasks, for another task
+ * @param {Map<string, Object>} tasksById - Every task by ID
+ * @param {string} taskId - The task to start from
+ * @param {string} targetId - The task that may be waited for
+ * @returns {boolean} True if taskId depends on targetId
+ */
+function dependsOnTask(tasksById, taskId, targetId) {
+  const seen = new Set();
+  const pending = [taskId];
+
+  while (pending.length > 0) {
+    const task = tasksById.get(pending.pop());
+    for (const dependencyId of task?.dependsOn || []) {
+      if (dependencyId === targetId) return true;
+      if (!seen.has(dependencyId)) {
+        seen.add(dependencyId);
+        pending.push(dependencyId);
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Point the dependencies on replaced tasks at the tasks that replaced them
+ * A task that waited for a replaced task now waits for each replacement that no
+ * other replacement depends on, i.e. for the end of the new plan; a link that
+ * would close a cycle is left out
+ * @param {Object} tasksData - The tasks data to change
+ * @param {Set<string>} replacedIds - IDs of the tasks that were replaced
+ * @param {Array<string>} replacementIds - IDs of the tasks that replaced them
+ */
+function redirectDependencies(tasksData, replacedIds, replacementIds) {
+  const tasks = tasksData.sections.flatMap(section => section.tasks || []);
+  const tasksById = new Map(tasks.map(task => [task.id, task]));
+  const replacements = new Set(replacementIds);
+  const lastReplacements = replacementIds.filter(replacementId =>
+    !replacementIds.some(otherId => tasksById.get(otherId)?.dependsOn.includes(replacementId)));
+
+  tasks
+    .filter(task => !replacements.has(task.id) && Array.isArray(task.dependsOn))
+    .filter(task => task.dependsOn.some(dependencyId => replacedIds.has(dependencyId)))
+    .forEach(task => {
+      const dependsOn = task.dependsOn.filter(dependencyId => !replacedIds.has(dependencyId));
+      lastReplacements
+        .filter(replacementId => !dependsOn.includes(replacementId) && !dependsOnTask(tasksById, replacementId, task.id))
+        .forEach(replacementId => dependsOn.push(replacementId));
+      task.dependsOn = dependsOn;
+    });
+}
+
+/**
+ * Find a task in the tasks data
+ * @param {Object} tasksData - The tasks data
+ * @param {string} taskId - The task ID
+ * @returns {Object} The section, the section index and the task index
+ * @throws {Error} If the task doesn't exist
+ */
+function findTask(tasksData, taskId) {
+  for (let sectionIndex = 0; sectionIndex < tasksData.sections.length; sectionIndex++) {
+    const section = tasksData.sections[sectionIndex];
+    const taskIndex = section.tasks.findIndex(task => task.id === taskId);
+    if (taskIndex !== -1) {
+      return { section, sectionIndex, taskIndex };
+    }
+  }
+
+  throw new Error(`Task with ID ${taskId} not found`);
+}
+
+/**
+ * Get a section by index
+ * @param {Object} tasksData - The tasks data
+ * @param {number} sectionIndex - The section index
+ * @returns {Object} The section
+ * @throws {Error} If the section doesn't exist
+ */
+function getSection(tasksData, sectionIndex) {
+  const section = tasksData.sections[sectionIndex];
+  if (!section) {
+    throw new Error(`Section ${sectionIndex + 1} not found`);
+  }
+  return section;
+}
+
+/**
+ * Add a section at the end of the breakdown
+ * @param {string} title - The section title
+ * @returns {Object} The new tasks data
+ */
+export function addSection(title) {
+  return applyEdit(tasksData => {
+    tasksData.sections.push({ title: title.trim(), tasks: [] });
+  });
+}
+
+/**
+ * Rename a section
+ * @param {number} sectionIndex - The section index
+ * @param {string} title - The new title
+ * @returns {Object} The new tasks data
+ */
+export function renameSection(sectionIndex, title) {
+  return applyEdit(tasksData => {
+    getSection(tasksData, sectionIndex).title = title.trim();
+  });
+}
+
+/**
+ * Delete a section and its tasks
+ * @param {number} sectionIndex - The section index
+ * @returns {Object} The new tasks data
+ */
+export function deleteSection(sectionIndex) {
+  return applyEdit(tasksData => {
+    getSection(tasksData, sectionIndex);
+    tasksData.sections.splice(sectionIndex, 1);
+  });
+}
+
+/**
+ * Move a section to another position
+ * @param {number} fromIndex - The section's current index
+ * @param {number} toIndex - The index it should end up at
+ * @returns {Object} The new tasks data
+ */
+export function moveSection(fromIndex, toIndex) {
+  return applyEdit(tasksData => {
+    const [section] = tasksData.sections.splice(fromIndex, 1);
+    if (!section) {
+      throw new Error(`Section ${fromIndex + 1} not found`);
+    }
+    tasksData.sections.splice(Math.min(Math.max(toIndex, 0), tasksData.sections.length), 0, section);
+  });
+}
+
+/**
+ * Add a task at the end of a section
+ * @param {number} sectionIndex - The section index
+ * @param {Object} task - title and description
+ * @returns {Object} The new tasks data
+ */
+export function addTask(sectionIndex, { title, description }) {
+  return applyEdit(tasksData => {
+    getSection(tasksData, sectionIndex).tasks.push({
+      id: createTaskId(),
+      title: (title || '').trim(),
+      description: (description || '').trim(),
+      status: 'pending',
+      dependsOn: []
+    });
+  });
+}
+
+/**
+ * Change a task's title, description or dependencies
+ * @param {string} taskId - The task ID
+ * @param {Object} updates - title, description and/or dependsOn
+ * @returns {Object} The new tasks data
+ */
+export function updateTask(taskId, updates) {
+  return applyEdit(tasksData => {
+    const { section, taskIndex } = findTask(tasksData, taskId);
+    const task = section.tasks[taskIndex];
+
+    if (updates.title !== undefined) task.title = updates.title.trim();
+    if (updates.description !== undefined) task.description = updates.description.trim();
+    if (updates.dependsOn !== undefined) task.dependsOn = [...updates.dependsOn];
+  });
+}
+
+/**
+ * Delete a task
+ * @param {string} taskId - The task ID
+ * @returns {Object} The new tasks data
+ */
+export function deleteTask(taskId) {
+  return applyEdit(tasksData => {
+    const { section, taskIndex } = findTask(tasksData, taskId);
+    section.tasks.splice(taskIndex, 1);
+  });
+}
+
+/**
+ * Move a task within its section or to another section
+ * @param {string} taskId - The task ID
+ * @param {number} sectionIndex - The section to move it to
+ * @param {number} position - The index in that section it should end up at
+ * @returns {Object} The new tasks data
+ */
+export function moveTask(taskId, sectionIndex, position) {
+  return applyEdit(tasksData => {
+    const { section, taskIndex } = findTask(tasksData, taskId);
+    const [task] = section.tasks.splice(taskIndex, 1);
+    const targetTasks = getSection(tasksData, sectionIndex).tasks;
+    targetTasks.splice(Math.min(Math.max(position, 0), targetTasks.length), 0, task);
+  });
+}
+
+/**
+ * Split a task in two; the second part is added after it for the user to edit
+ * and depends on the first. Tasks that waited for the task wait for both parts
+ * @param {string} taskId - The task ID
+ * @returns {Object} The new tasks data and the ID of the new task
+ */
+export function splitTask(taskId) {
+  const newTaskId = createTaskId();
+
+  const tasksData = applyEdit(editedTasks => {
+    const { section, taskIndex } = findTask(editedTasks, taskId);
+    const task = section.tasks[taskIndex];
+
+    section.tasks.splice(taskIndex + 1, 0, {
+      id: newTaskId,
+      title: `${task.title} (part 2)`,
+      description: task.description,
+      status: 'pending',
+      dependsOn: [taskId]
+    });
+    task.title = `${task.title} (part 1)`;
+
+    editedTasks.sections
+      .flatMap(candidate => candidate.tasks)
+      .filter(candidate => candidate.id !== newTaskId && candidate.dependsOn?.includes(taskId))
+      .forEach(candidate => candidate.dependsOn.push(newTaskId));
+  });
+
+  return { tasksData, newTaskId };
+}
+
+/**
+ * Ask the model to re-plan one section given the rest of the breakdown
+ * Completed and skipped tasks are kept; the other tasks are replaced by the new plan.
+ * The new tasks' dependencies come from the model, and tasks elsewhere that waited
+ * for a replaced task wait for the new plan instead
+ * @param {number} sectionIndex - The section index
+ * @returns {Promise<Object>} The new tasks data
+ */
+export async function regenerateSection(sectionIndex) {
+  const tasksData = getCurrentTasksData();
+  if (!tasksData) {
+    throw new Error('No task breakdown to edit');
+  }
+
+  const section = getSection(tasksData, sectionIndex);
+  const userPrompt = sectionRegenerationUserPromptTemplate
+    .replace('{globalContext}', () => getCurrentGlobalContext() || 'No global context available')
+    .replace('{tasksData}', () => JSON.stringify(tasksData, null, 2))
+    .replace('{sectionTitle}', () => section.title);
+
+  const stageSettings = await getStageSettings('taskBreakdown');
+
+  console.log(`Regenerating section "${section.title}"...`);
+
+  // A regenerate should give a fresh plan, never a cached one
+  const response = await callModelForStage('taskBreakdown', {
+    ...stageSettings,
+    cacheable: false,
+    messages: [
+      { role: 'system', content: sectionRegenerationSystemPrompt },
+      { role: 'user', content: userPrompt }
+    ]
+  }, { scope: 'clarification' });
+
+  if (!response || !response.text) {
+    throw new Error(response?.error || 'Invalid response from model');
+  }
+
+  const newSection = extractJSON(response.text);
+  if (!newSection || !Array.isArray(newSection.tasks)) {
+    throw new Error('Could not parse the section from the response');
+  }
+
+  return applyEdit(editedTasks => {
+    // The breakdown may have been edited while the model was working
+    const target = editedTasks.sections.find(candidate => candidate.title === section.title)
+      || getSection(editedTasks, sectionIndex);
+    const finishedTasks = target.tasks.filter(task => isDoneStatus(task.status));
+    const replacedIds = new Set(target.tasks.filter(task => !isDoneStatus(task.status)).map(task => task.id));
+
+    // The model gives the new tasks temporary IDs, which their dependencies use
+    const createdIds = new Map();
+    const newTasks = newSection.tasks.map((task, index) => {
+      const id = createTaskId();
+      createdIds.set(String(task.id ?? `new${index + 1}`), id);
+      return { id, task };
+    });
+
+    target.title = (newSection.title || target.title).trim();
+    target.tasks = [
+      ...finishedTasks,
+      ...newTasks.map(({ id, task }) => ({
+        id,
+        title: (task.title || '').trim(),
+        description: (task.description || '').trim(),
+        status: 'pending',
+        dependsOn: (Array.isArray(task.dependsOn) ? task.dependsOn : [])
+          .map(dependencyId => createdIds.get(String(dependencyId)) || dependencyId)
+          .filter(dependencyId => dependencyId !== id && !replacedIds.has(dependencyId))
+      }))
+    ];
+
+    redirectDependencies(editedTasks, replacedIds, newTasks.map(({ id }) => id));
+  });
+}
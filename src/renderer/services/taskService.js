@@ -2,14 +2,32 @@
  * Service for generating and managing tasks
  */
 
-import { taskBreakdownPromptTemplate } from '../data/taskBreakdownPrompt.js';
+import { taskBreakdownSystemPrompt, taskBreakdownUserPromptTemplate } from '../data/taskBreakdownPrompt.js';
 import { getCurrentGlobalContext } from './contextService.js';
-import { getSetting } from './settingsService.js';
+import { getSettings, getStageSettings, MODEL_STAGES } from './settingsService.js';
+import { callModel } from './modelService.js';
 import { isTestModeEnabled, getSimulatedTaskBreakdown } from './testMode.js';
+import { defaultModelPrices } from '../data/modelPrices.js';
+
+// Task statuses and their display labels
+export const TASK_STATUSES = {
+  pending: 'Pending',
+  'in-progress': 'In progress',
+  blocked: 'Blocked',
+  'needs-review': 'Needs review',
+  skipped: 'Skipped',
+  completed: 'Completed'
+};
+
+// Statuses that count as finished for the tasks that depend on them
+const DONE_STATUSES = ['completed', 'skipped'];
 
 // Cache for current tasks data
 let currentTasksData = null;
 
+// Token usage and cost for the current project, by pipeline stage and by task
+let usageData = { stages: {}, tasks: {} };
+
 /**
  * Generate task breakdown from global context
  * @returns {Promise<Object>} The generated tasks object
@@ -30,30 +48,24 @@ export async function generateTaskBreakdown() {
     }
     
     // Replace placeholders in template
-    const prompt = taskBreakdownPromptTemplate
-      .replace('{globalContext}', globalContext);
+    const messages = [
+      { role: 'system', content: taskBreakdownSystemPrompt },
+      { role: 'user', content: taskBreakdownUserPromptTemplate.replace('{globalContext}', globalContext) }
+    ];
     
     // Get API settings
-    const apiKey = await getSetting('apiKey');
-    const model = await getSetting('model', 'deepseek/deepseek-chat-v3-0324:free');
-    
-    if (!apiKey) {
-      throw new Error('API key not set. Please configure it in Settings.');
-    }
+    const stageSettings = await getStageSettings('taskBreakdown');
     
     console.log('Generating task breakdown...');
     
     // Call the API
-    const response = await window.electronAPI.settings.callModel({
-      apiKey,
-      model,
-      prompt,
-      temperature: 0.0,
-      maxTokens: 3000 // Increased token limit for larger task lists
-    });
+    const response = await callModelForStage('taskBreakdown', {
+      ...stageSettings,
+      messages
+    }, { scope: 'clarification' });
     
     if (!response || !response.text) {
-      throw new Error('Invalid response from model');
+      throw new Error(response?.error || 'Invalid response from model');
     }
     
     // Extract JSON from the response
@@ -80,7 +92,7 @@ export async function generateTaskBreakdown() {
  * @param {string} response - The full model response
  * @returns {Object|null} Parsed JSON or null if invalid
  */
-function extractJSON(response) {
+export function extractJSON(response) {
   try {
     // Strip any markdown code block markers if they exist
     let cleanResponse = response;
@@ -117,10 +129,11 @@ function extractJSON(response) {
 
 /**
  * Validate the tasks data structure
+ * Fills in missing IDs, statuses and dependency lists
  * @param {Object} tasksData - The tasks data to validate
  * @throws {Error} If validation fails
  */
-function validateTasksData(tasksData) {
+export function validateTasksData(tasksData) {
   if (!tasksData.title) {
     throw new Error('Tasks data missing title');
   }
@@ -129,6 +142,8 @@ function validateTasksData(tasksData) {
     throw new Error('Tasks data missing sections array');
   }
   
+  const taskIds = new Set();
+  
   tasksData.sections.forEach((section, sectionIndex) => {
     if (!section.title) {
       throw new Error(`Section ${sectionIndex + 1} missing title`);
@@ -143,6 +158,11 @@ function validateTasksData(tasksData) {
         task.id = `task${sectionIndex + 1}_${taskIndex + 1}`;
       }
       
+      if (taskIds.has(task.id)) {
+        throw new Error(`Task ID ${task.id} is used more than once`);
+      }
+      taskIds.add(task.id);
+      
       if (!task.title) {
         throw new Error(`Task ${task.id} missing title`);
       }
@@ -154,8 +174,62 @@ function validateTasksData(tasksData) {
       if (!task.status) {
         task.status = 'pending';
       }
+      
+      if (!TASK_STATUSES[task.status]) {
+        throw new Error(`Task ${task.id} has unknown status "${task.status}"`);
+      }
+      
+      if (task.dependsOn === undefined) {
+        task.dependsOn = [];
+      }
+      
+      if (!Array.isArray(task.dependsOn)) {
+        throw new Error(`Task ${task.id} dependsOn must be an array of task IDs`);
+      }
+    });
+  });
+  
+  validateDependencies(tasksData, taskIds);
+}
+
+/**
+ * Check that dependencies point at existing tasks and contain no cycles
+ * @param {Object} tasksData - The tasks data to validate
+ * @param {Set<string>} taskIds - The IDs of all tasks
+ * @throws {Error} If a dependency is unknown or the dependencies form a cycle
+ */
+function validateDependencies(tasksData, taskIds) {
+  const dependencies = {};
+  
+  tasksData.sections.forEach(section => {
+    section.tasks.forEach(task => {
+      task.dependsOn.forEach(dependencyId => {
+        if (!taskIds.has(dependencyId)) {
+          throw new Error(`Task ${task.id} depends on unknown task ${dependencyId}`);
+        }
+      });
+      dependencies[task.id] = task.dependsOn;
     });
   });
+  
+  // Depth-first search; reaching a task that is still on the path means a cycle
+  const visited = new Set();
+  const path = [];
+  
+  const visit = (taskId) => {
+    const pathIndex = path.indexOf(taskId);
+    if (pathIndex !== -1) {
+      throw new Error(`Tasks depend on each other in a cycle: ${[...path.slice(pathIndex), taskId].join(' → ')}`);
+    }
+    if (visited.has(taskId)) return;
+    
+    path.push(taskId);
+    dependencies[taskId].forEach(visit);
+    path.pop();
+    visited.add(taskId);
+  };
+  
+  Object.keys(dependencies).forEach(visit);
 }
 
 /**
@@ -167,20 +241,87 @@ export function getCurrentTasksData() {
 }
 
 /**
- * Update the status of a specific task
+ * Replace the current tasks data, e.g. when a saved project is reopened
+ * @param {Object|null} tasksData - The tasks data
+ */
+export function setTasksData(tasksData) {
+  currentTasksData = tasksData;
+}
+
+/**
+ * Check whether a status counts as finished for dependent tasks
+ * @param {string} status - The task status
+ * @returns {boolean} True for completed and skipped tasks
+ */
+export function isDoneStatus(status) {
+  return DONE_STATUSES.includes(status);
+}
+
+/**
+ * Update the status of a specific task and record the change in its status history
  * @param {string} taskId - The ID of the task to update
- * @param {string} status - The new status (pending, in-progress, completed)
+ * @param {string} status - The new status, one of TASK_STATUSES
+ * @param {string} [reason] - Why the task is blocked; required for blocked
  * @returns {boolean} Success status
  */
-export function updateTaskStatus(taskId, status) {
+export function updateTaskStatus(taskId, status, reason = '') {
   if (!currentTasksData) {
     return false;
   }
   
+  if (!TASK_STATUSES[status]) {
+    console.error(`Unknown task status: ${status}`);
+    return false;
+  }
+  
+  reason = reason.trim();
+  if (status === 'blocked' && !reason) {
+    console.error('A blocked task needs a reason');
+    return false;
+  }
+  
   for (const section of currentTasksData.sections) {
     for (const task of section.tasks) {
       if (task.id === taskId) {
+        if (task.status === status && (task.blockedReason || '') === reason) {
+          return true;
+        }
+        
         task.status = status;
+        if (status === 'blocked') {
+          task.blockedReason = reason;
+        } else {
+          delete task.blockedReason;
+        }
+        
+        const entry = { status, timestamp: new Date().toISOString() };
+        if (reason) {
+          entry.reason = reason;
+        }
+        task.statusHistory = [...(task.statusHistory || []), entry];
+        return true;
+      }
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Replace the sub-step to-do items of a task
+ * @param {string} taskId - The ID of the task to update
+ * @param {Array<Object>} todoItems - The sub-steps, as {id, title, description, completed}
+ * @returns {boolean} Success status
+ */
+export function setTaskTodoItems(taskId, todoItems) {
+  if (!currentTasksData) {
+    return false;
+  }
+  
+  for (const section of currentTasksData.sections) {
+    for (const task of section.tasks) {
+      if (task.id === taskId) {
+        task.todoItems = todoItems;
         return true;
       }
     }
@@ -208,4 +349,210 @@ export function getTaskById(taskId) {
   }
   
   return null;
-}
\ No newline at end of file
+}
+
+/**
+ * Get the dependencies of a task that are not completed or skipped yet
+ * @param {string} taskId - The ID of the task to check
+ * @returns {Array<Object>} The unfinished tasks it depends on
+ */
+export function getUnmetDependencies(taskId) {
+  const task = getTaskById(taskId);
+  if (!task || !Array.isArray(task.dependsOn)) {
+    return [];
+  }
+  
+  return task.dependsOn
+    .map(dependencyId => getTaskById(dependencyId))
+    .filter(dependency => dependency && !isDoneStatus(dependency.status));
+}
+
+/**
+ * Check whether a task can be worked on: it is not finished or blocked and its dependencies are finished
+ * @param {string} taskId - The ID of the task to check
+ * @returns {boolean} True if the task is ready
+ */
+export function isTaskReady(taskId) {
+  const task = getTaskById(taskId);
+  return Boolean(task)
+    && !isDoneStatus(task.status)
+    && task.status !== 'blocked'
+    && getUnmetDependencies(taskId).length === 0;
+}
+
+/**
+ * Create an empty usage total
+ * @returns {Object} Zeroed token counts, cost and call counts
+ */
+function createUsageTotals() {
+  return {
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+    // Calls for models missing from the price table
+    unpricedCalls: 0
+  };
+}
+
+/**
+ * Add one call's usage to a total
+ * @param {Object} totals - The total to add to
+ * @param {Object} usage - Token counts from the model response
+ * @param {number|null} cost - Cost of the call, or null if the model has no price
+ */
+function addUsage(totals, usage, cost) {
+  totals.calls += 1;
+  totals.promptTokens += usage.promptTokens || 0;
+  totals.completionTokens += usage.completionTokens || 0;
+  totals.totalTokens += usage.totalTokens || 0;
+  
+  if (cost === null) {
+    totals.unpricedCalls += 1;
+  } else {
+    totals.cost += cost;
+  }
+}
+
+/**
+ * Find the price entry for a model
+ * @param {string} model - The model name as configured in settings
+ * @param {Object} prices - Price table keyed by model name
+ * @returns {Object|null} Price per million tokens ({ input, output }) or null if unknown
+ */
+function findModelPrice(model, prices) {
+  if (!model) return null;
+  if (prices[model]) return prices[model];
+  
+  // OpenRouter's free variants cost nothing
+  if (/:free$/i.test(model)) {
+    return { input: 0, output: 0 };
+  }
+  
+  const baseModel = model.replace(/:[a-z]+$/i, '');
+  if (prices[baseModel]) return prices[baseModel];
+  
+  // Match a model without a provider prefix against "provider/model" entries
+  const modelName = baseModel.split('/').pop();
+  const key = Object.keys(prices).find(priceKey => priceKey.split('/').pop() === modelName);
+  return key ? prices[key] : null;
+}
+
+/**
+ * Record the token usage of a model call
+ * @param {string} stage - The pipeline stage the call was made for
+ * @param {string} model - The model that was called
+ * @param {Object|null} usage - Token counts from the model response
+ * @param {string|null} [taskId] - The task the call was made for, if any
+ */
+export async function recordUsage(stage, model, usage, taskId = null) {
+  if (!usage) {
+    return;
+  }
+  
+  const settings = await getSettings();
+  const prices = { ...defaultModelPrices, ...(settings.modelPrices || {}) };
+  const price = findModelPrice(model, prices);
+  const cost = price
+    ? ((usage.promptTokens || 0) * (price.input || 0) + (usage.completionTokens || 0) * (price.output || 0)) / 1000000
+    : null;
+  
+  usageData.stages[stage] = usageData.stages[stage] || createUsageTotals();
+  addUsage(usageData.stages[stage], usage, cost);
+  
+  if (taskId) {
+    usageData.tasks[taskId] = usageData.tasks[taskId] || createUsageTotals();
+    addUsage(usageData.tasks[taskId], usage, cost);
+  }
+  
+  document.dispatchEvent(new CustomEvent('usageUpdated', { detail: getUsageSummary() }));
+}
+
+/**
+ * Get the usage for the current project
+ * @returns {Object} The project total plus totals by stage and by task
+ */
+export function getUsageSummary() {
+  const total = createUsageTotals();
+  
+  Object.values(usageData.stages).forEach(stageTotals => {
+    total.calls += stageTotals.calls;
+    total.promptTokens += stageTotals.promptTokens;
+    total.completionTokens += stageTotals.completionTokens;
+    total.totalTokens += stageTotals.totalTokens;
+    total.cost += stageTotals.cost;
+    total.unpricedCalls += stageTotals.unpricedCalls;
+  });
+  
+  return {
+    total,
+    stages: { ...usageData.stages },
+    tasks: { ...usageData.tasks }
+  };
+}
+
+/**
+ * Get the usage for a single task
+ * @param {string} taskId - The task ID
+ * @returns {Object|null} The task's usage totals, or null if it has made no calls
+ */
+export function getTaskUsage(taskId) {
+  return usageData.tasks[taskId] || null;
+}
+
+/**
+ * Clear the usage for the current project
+ */
+export function resetUsage() {
+  usageData = { stages: {}, tasks: {} };
+  document.dispatchEvent(new CustomEvent('usageUpdated', { detail: getUsageSummary() }));
+}
+
+/**
+ * Restore the usage saved with a project
+ * @param {Object} [savedUsage] - Totals by stage and by task, as in getUsageSummary
+ */
+export function restoreUsage(savedUsage = {}) {
+  usageData = { stages: { ...(savedUsage.stages || {}) }, tasks: { ...(savedUsage.tasks || {}) } };
+  document.dispatchEvent(new CustomEvent('usageUpdated', { detail: getUsageSummary() }));
+}
+
+/**
+ * Check the project's spending against the budget cap in settings
+ * @throws {Error} With `code: 'budget'` if the budget has been used up
+ */
+export async function checkBudget() {
+  const settings = await getSettings();
+  const budgetLimit = Number(settings.budgetLimit) || 0;
+  
+  if (budgetLimit <= 0) {
+    return;
+  }
+  
+  const spent = getUsageSummary().total.cost;
+  if (spent >= budgetLimit) {
+    const error = new Error(`The budget of $${budgetLimit.toFixed(2)} has been used up ($${spent.toFixed(4)} spent). Raise or remove the budget cap in Settings to continue.`);
+    error.code = 'budget';
+    throw error;
+  }
+}
+
+/**
+ * Call the model for a pipeline stage, enforcing the budget and recording usage
+ * Responses for cacheable stages may come from the response cache, which records no usage
+ * @param {string} stage - The pipeline stage making the call
+ * @param {Object} params - The model call parameters
+ * @param {Object} [options] - Options passed to callModel (scope, onDelta)
+ * @param {string|null} [taskId] - The task the call is made for, if any
+ * @returns {Promise<Object>} The model response
+ */
+export async function callModelForStage(stage, params, options = {}, taskId = null) {
+  await checkBudget();
+  
+  const cacheable = Boolean(MODEL_STAGES[stage]?.cacheable);
+  const response = await callModel({ cacheable, ...params }, options);
+  await recordUsage(stage, params.model, response?.usage, taskId);
+  
+  return response;
+}
@@ -2,19 +2,55 @@
  * Service for handling to-do items and task management
  */
 
-import { getTaskById, getCurrentTasksData } from './taskService.js';
-import { getSetting } from './settingsService.js';
+import { getTaskById, getCurrentTasksData, setTaskTodoItems, callModelForStage, extractJSON, isDoneStatus } from './taskService.js';
+import { getSetting, getStageSettings } from './settingsService.js';
 import fileService from './fileService.js';
-import { fileOperationsPrompt } from '../data/fileOperationsPrompt.js';
+import { cancelModelCalls, isCancelledError } from './modelService.js';
+import { isTestModeEnabled } from './testMode.js';
+import { fileOperationsPrompt, continueResponsePrompt } from '../data/fileOperationsPrompt.js';
+import { toolOperationsPrompt } from '../data/toolOperationsPrompt.js';
+import { todoItemsSystemPrompt, todoItemsUserPromptTemplate } from '../data/todoItemsPrompt.js';
 
-// Cache for current todo items
-let currentTodoItems = [];
+// Marker the assistant writes when it finishes a sub-step, e.g. <step-done id="todo_task1_1"/>
+const STEP_DONE_REGEX = /<step-done id="([^"]+)"\s*\/?>/g;
 
-// Conversation history for the current task
-let conversationHistory = [];
+// Conversations kept per task ID so switching tasks doesn't lose them
+let taskConversations = {};
 
-// File content cache to avoid repeated requests
-let fileContentCache = {};
+// The conversation for the selected task
+let currentConversation = createConversation();
+
+// The task the current conversation is about, used to attribute token usage
+let currentTaskId = null;
+
+// Models that rejected native tool calls; these use the text protocol instead
+const modelsWithoutTools = new Set();
+
+// Times a response cut off at the token limit is continued before giving up on it
+const MAX_CONTINUATIONS = 3;
+
+// Times the model is asked to correct edits that don't apply before they are left to the user
+const MAX_EDIT_RETRIES = 2;
+
+// Stands in for file contents left out of a saved conversation until they are read again
+const LEFT_OUT_FILE_CONTENT = '[Left out of the saved project; read again when the conversation continues]';
+
+// A file in a "Here are the requested files" turn, as written by formatFileContents
+const FILE_DATA_ENTRY_REGEX = /(<FILE_PATH>([^<]*)<\/FILE_PATH>\n\n<FILE_CONTENT>\n)([\s\S]*?)(\n<\/FILE_CONTENT>)/g;
+
+/**
+ * Create an empty task conversation
+ * @returns {Object} - messages, filesRead (path to content, also used as a cache), filesWritten (paths)
+ *   and pendingChanges (proposed file writes waiting for review)
+ */
+function createConversation() {
+  return {
+    messages: [],
+    filesRead: {},
+    filesWritten: [],
+    pendingChanges: []
+  };
+}
 
 /**
  * Process an AI response to detect file requests or file writing tags
@@ -65,16 +101,17 @@ function processAIResponse(responseText) {
 /**
  * Process the files requested by the AI
  * @param {string[]} filePaths - Array of file paths requested
+ * @param {Object} [filesRead] - The conversation's files read so far, used as a cache
  * @returns {Promise<Object>} - Object with file paths and contents
  */
-async function processFileRequest(filePaths) {
+async function processFileRequest(filePaths, filesRead = {}) {
   const fileContents = {};
   
   for (const filePath of filePaths) {
     // Check cache first to avoid rereading files
-    if (fileContentCache[filePath]) {
+    if (filesRead[filePath]) {
       console.log(`Using cached content for ${filePath}`);
-      fileContents[filePath] = fileContentCache[filePath];
+      fileContents[filePath] = filesRead[filePath];
       continue;
     }
     
@@ -83,7 +120,7 @@ async function processFileRequest(filePaths) {
       fileContents[filePath] = content;
       
       // Store in cache for future use
-      fileContentCache[filePath] = content;
+      filesRead[filePath] = content;
     } catch (error) {
       console.error(`Error reading file ${filePath}:`, error);
       fileContents[filePath] = `Error: ${error.message}`;
@@ -124,64 +161,236 @@ function formatFileContents(fileContents) {
 }
 
 /**
- * Get all to-do items for a task
+ * Get the sub-step to-do items for a task, generating them with the model the first time
  * @param {string} taskId - The task ID
  * @returns {Promise<Array>} - Array of to-do items
+ * @throws {Error} With `cancelled: true` if the generation was stopped
  */
 export async function getTodoItems(taskId) {
   try {
-    // For now, use cached items if available
-    if (currentTodoItems.length > 0) {
-      return currentTodoItems;
-    }
-    
     // Get the task details
     const task = getTaskById(taskId);
     if (!task) {
       throw new Error(`Task with ID ${taskId} not found`);
     }
     
-    // Generate default to-do items based on task
-    currentTodoItems = [
-      {
-        id: 'todo_' + taskId + '_1',
-        title: 'Understand the requirements',
-        description: 'Review the task description and clarify any questions',
-        completed: false
-      },
-      {
-        id: 'todo_' + taskId + '_2',
-        title: 'Implement the solution',
-        description: 'Complete the implementation according to the requirements',
-        completed: false
-      },
-      {
-        id: 'todo_' + taskId + '_3',
-        title: 'Test and verify',
-        description: 'Verify that the implementation meets the requirements',
-        completed: false
-      }
-    ];
+    if (Array.isArray(task.todoItems) && task.todoItems.length > 0) {
+      return task.todoItems.map(item => ({ ...item }));
+    }
+    
+    const generatedItems = isTestModeEnabled()
+      ? createPlaceholderTodoItems()
+      : await generateTodoItems(task);
+    
+    const todoItems = generatedItems.map((item, index) => ({
+      id: 'todo_' + taskId + '_' + (index + 1),
+      ...item,
+      completed: false
+    }));
+    setTaskTodoItems(taskId, todoItems);
+    dispatchTodoItemsUpdated(taskId);
     
-    return currentTodoItems;
+    return todoItems.map(item => ({ ...item }));
     
   } catch (error) {
-    console.error('Error getting todo items:', error);
+    if (!isCancelledError(error)) {
+      console.error('Error getting todo items:', error);
+    }
     throw error;
   }
 }
 
 /**
- * Start a new conversation for a task
+ * Generic sub-steps used in test mode
+ * @returns {Array<Object>} - Array of {title, description}
+ */
+function createPlaceholderTodoItems() {
+  return [
+    {
+      title: 'Understand the requirements',
+      description: 'Review the task description and clarify any questions'
+    },
+    {
+      title: 'Implement the solution',
+      description: 'Complete the implementation according to the requirements'
+    },
+    {
+      title: 'Test and verify',
+      description: 'Verify that the implementation meets the requirements'
+    }
+  ];
+}
+
+/**
+ * Ask the model to break a task into sub-steps
+ * @param {Object} task - The task, as returned by getTaskById
+ * @returns {Promise<Array<Object>>} - Array of {title, description}
+ */
+async function generateTodoItems(task) {
+  const { getCurrentGlobalContext } = await import('./contextService.js');
+  const globalContext = getCurrentGlobalContext() || 'No global context available';
+  
+  const progress = (getCurrentTasksData()?.sections || [])
+    .map(section => `${section.title}\n${section.tasks.map(sectionTask =>
+      `- [${isDoneStatus(sectionTask.status) ? 'x' : ' '}] ${sectionTask.title}${sectionTask.id === task.id ? ' (current)' : ''}`
+    ).join('\n')}`)
+    .join('\n\n');
+  
+  let availableFiles = 'No project folder selected.';
+  if (fileService.getProjectFolder()) {
+    try {
+      const files = await fileService.listAllFiles();
+      availableFiles = files.length > 0 ? files.map(file => `- ${file}`).join('\n') : 'The project folder is empty.';
+    } catch (error) {
+      console.error('Error listing files:', error);
+      availableFiles = 'Could not list the project files.';
+    }
+  }
+  
+  const userPrompt = todoItemsUserPromptTemplate
+    .replace('{globalContext}', () => globalContext)
+    .replace('{currentItem}', () => `${task.title} (section "${task.sectionTitle}")\n${task.description}`)
+    .replace('{todoListProgress}', () => progress)
+    .replace('{availableFiles}', () => availableFiles);
+  
+  const stageSettings = await getStageSettings('taskBreakdown');
+  
+  console.log(`Generating sub-steps for task ${task.id}...`);
+  
+  const response = await callModelForStage('taskBreakdown', {
+    ...stageSettings,
+    messages: [
+      { role: 'system', content: todoItemsSystemPrompt },
+      { role: 'user', content: userPrompt }
+    ]
+  }, { scope: 'conversation' }, task.id);
+  
+  if (!response || !response.text) {
+    throw new Error(response?.error || 'Invalid response from model');
+  }
+  
+  const parsed = extractJSON(response.text);
+  const items = Array.isArray(parsed?.items) ? parsed.items : [];
+  const validItems = items
+    .filter(item => item && typeof item.title === 'string' && item.title.trim())
+    .map(item => ({ title: item.title.trim(), description: (item.description || '').trim() }));
+  
+  if (validItems.length === 0) {
+    throw new Error('Could not parse sub-steps from response');
+  }
+  
+  return validItems;
+}
+
+/**
+ * Format a task's sub-steps for the initial task prompt
+ * @param {Array<Object>} todoItems - The task's sub-steps
+ * @returns {string} - The sub-steps section, or an empty string if there are none
+ */
+function formatTodoItemsForPrompt(todoItems) {
+  if (!Array.isArray(todoItems) || todoItems.length === 0) {
+    return '';
+  }
+  
+  const steps = todoItems
+    .map(item => `- [${item.completed ? 'x' : ' '}] ${item.id}: ${item.title}${item.description ? ` - ${item.description}` : ''}`)
+    .join('\n');
+  
+  return `
+
+Work through these sub-steps in order:
+${steps}
+
+When you have completed a sub-step, write <step-done id="STEP_ID"/> on its own line with that step's id, e.g. <step-done id="${todoItems[0].id}"/>. Only mark a step done once its work is actually finished.`;
+}
+
+/**
+ * Tick off the sub-steps the assistant marked done and replace the markers with a note
+ * @param {Object} response - The assistant's response message object
+ * @param {string} taskId - The task the response belongs to
+ */
+function applyStepMarkers(response, taskId) {
+  const todoItems = getTaskById(taskId)?.todoItems || [];
+  let completedCount = 0;
+  
+  response.content = response.content.replace(STEP_DONE_REGEX, (marker, todoId) => {
+    const item = todoItems.find(todoItem => todoItem.id === todoId);
+    if (!item) {
+      return '';
+    }
+    
+    if (!item.completed) {
+      updateTodoItem(todoId, { completed: true });
+      completedCount++;
+    }
+    return `☑ Completed step: ${item.title}`;
+  });
+  
+  if (completedCount > 0) {
+    console.log(`Assistant completed ${completedCount} sub-steps of task ${taskId}`);
+  }
+}
+
+/**
+ * Get the messages of a conversation that are shown in the chat
+ * The initial prompt, file request turns and tool turns are left out
+ * @param {Object} conversation - The task conversation
+ * @returns {Array<Object>} - Array of {role, content}
+ */
+function getDisplayMessages(conversation) {
+  return conversation.messages
+    .filter(message => message.display)
+    .map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Check whether a task already has a conversation that can be resumed
+ * @param {string} taskId - The task ID
+ * @returns {boolean} - True if the task has at least one message to show
+ */
+export function hasTaskConversation(taskId) {
+  const conversation = taskConversations[taskId];
+  return Boolean(conversation) && getDisplayMessages(conversation).length > 0;
+}
+
+/**
+ * Switch back to a task's existing conversation
+ * @param {string} taskId - The task ID
+ * @returns {Array<Object>} - The messages to show, as {role, content}
+ */
+export function resumeTaskConversation(taskId) {
+  currentConversation = taskConversations[taskId] || createConversation();
+  taskConversations[taskId] = currentConversation;
+  currentTaskId = taskId;
+  
+  return getDisplayMessages(currentConversation);
+}
+
+/**
+ * Get the shown messages and written files of a task's conversation
+ * @param {string} taskId - The task ID
+ * @returns {Object} - messages as {role, content} and filesWritten as paths
+ */
+export function getTaskConversation(taskId) {
+  const conversation = taskConversations[taskId] || createConversation();
+  return {
+    messages: getDisplayMessages(conversation),
+    filesWritten: [...conversation.filesWritten]
+  };
+}
+
+/**
+ * Start a new conversation for a task, replacing any earlier one
  * @param {string} taskId - The ID of the task to start a conversation for
+ * @param {Function} [onUpdate] - Called with the partial response text while it streams
  * @returns {Promise<string>} - The initial assistant message
+ * @throws {Error} With `cancelled: true` if the response was stopped
  */
-export async function startTaskConversation(taskId) {
+export async function startTaskConversation(taskId, onUpdate = null) {
   try {
-    // Reset conversation history
-    conversationHistory = [];
-    // Reset file cache when starting a new task conversation
-    fileContentCache = {};
+    currentConversation = createConversation();
+    taskConversations[taskId] = currentConversation;
+    currentTaskId = taskId;
     
     // Get the task details
     const task = getTaskById(taskId);
@@ -217,6 +426,7 @@ ${globalContext}
 
 Here is the full task breakdown for the project:
 ${JSON.stringify(tasksData, null, 2)}
+${formatTodoItemsForPrompt(task.todoItems)}
 
 Please help me complete this specific task. Provide a comprehensive and clear solution based on the information available. 
 Assume your initial solution might need refinement, and encourage me to test your code or proofread your suggestions.
@@ -224,78 +434,640 @@ Ask for my feedback after providing your solution.`
     };
     
     // Add to conversation history
-    conversationHistory.push(initialPrompt);
+    currentConversation.messages.push(initialPrompt);
     
     // Get the AI response
-    const response = await getAssistantResponse();
+    const conversation = currentConversation;
+    const response = await getAssistantResponse(onUpdate);
     
-    // Process any file write operations in the response
-    const writtenFiles = await writeFilesFromResponse(response.content);
+    // Process any file write operations and step markers in the response
+    return await applyResponseFileWrites(response, conversation, taskId, onUpdate);
     
-    // If files were written, replace the file tags with UI elements
-    if (writtenFiles.length > 0) {
-      response.content = createUIForWrittenFiles(response.content, writtenFiles);
-      console.log(`Processed ${writtenFiles.length} file writes in response`);
+  } catch (error) {
+    // The initial prompt stays in the history so the user can carry on from it
+    if (isCancelledError(error)) {
+      throw error;
     }
     
-    // Return just the message content
-    return response.content;
-    
-  } catch (error) {
     console.error('Error starting task conversation:', error);
     return `I'm sorry, I encountered an error starting our conversation: ${error.message}`;
   }
 }
 
-import { writeFilesFromResponse, createUIForWrittenFiles } from './fileWriterService.js';
+import {
+  resolveFileOperations,
+  createUIForFailedEdits,
+  writeFiles,
+  createUIForWrittenFiles,
+  isAutoApplyFileWrites,
+  proposeFileWrites,
+  createUIForPendingChanges,
+  createPendingChangeCard,
+  createWrittenFileCard,
+  createRejectedChangeCard,
+  markTurnUndone,
+  hasUnterminatedFileBlock,
+  stitchContinuation,
+  createUIForTruncatedFile,
+  extractPathOperations,
+  proposePathOperations,
+  isPathOperation,
+  runPathOperation,
+  createPathOperationCard,
+  refreshOriginalContents
+} from './fileWriterService.js';
+
+// Counter that keeps turn IDs made within the same millisecond apart
+let turnIdCounter = 0;
+
+/**
+ * Make an ID for an assistant turn; the file writes of a turn are undone together
+ * @returns {string} - The turn ID
+ */
+function createTurnId() {
+  turnIdCounter++;
+  return `turn_${Date.now().toString(36)}_${turnIdCounter}`;
+}
+
+/**
+ * Handle the files from an assistant response and replace them with UI elements
+ * Writes come from the write_file tool when tools were used, otherwise from file tags
+ * and edit blocks; edits that don't apply, and a file block the response was cut off in,
+ * are reported in place of their blocks.
+ * Trusted projects write them straight away; otherwise they wait for the user's review.
+ * Delete, move and create-folder operations always wait for the user's confirmation
+ * @param {Object} response - The assistant's response message object
+ * @param {Object} conversation - The conversation the response belongs to
+ * @param {string|null} taskId - The task the conversation belongs to
+ * @returns {Promise<Array>} - The files whose edits could not be applied, as {path, errors}
+ */
+async function applyFileWrites(response, conversation, taskId) {
+  // Snapshots of the files this turn overwrites are grouped by turn and task
+  const turnId = createTurnId();
+  
+  // A file the model never finished, even after being asked to continue, is not written
+  if (hasUnterminatedFileBlock(response.content)) {
+    response.content = createUIForTruncatedFile(response.content);
+    console.warn('The response was cut off in the middle of a file');
+  }
+  
+  // Deletes, moves and new folders always wait for the user to confirm them
+  const pathChanges = proposePathOperations(extractPathOperations(response.content))
+    .map(change => ({ ...change, turnId, taskId }));
+  if (pathChanges.length > 0) {
+    conversation.pendingChanges.push(...pathChanges);
+    response.content = createUIForPendingChanges(response.content, pathChanges);
+    console.log(`Proposed ${pathChanges.length} file operations for confirmation`);
+  }
+  
+  let fileWrites = response.fileWrites || [];
+  let failures = [];
+  if (fileWrites.length === 0) {
+    const resolved = await resolveFileOperations(response.content);
+    fileWrites = resolved.fileWrites;
+    failures = resolved.failures;
+    
+    if (failures.length > 0) {
+      response.content = createUIForFailedEdits(response.content, failures);
+      console.warn(`Edits to ${failures.length} files could not be applied`);
+    }
+  }
+  
+  if (fileWrites.length === 0) {
+    return failures;
+  }
+  
+  if (!isAutoApplyFileWrites()) {
+    const changes = (await proposeFileWrites(fileWrites)).map(change => ({ ...change, turnId, taskId }));
+    conversation.pendingChanges.push(...changes);
+    response.content = createUIForPendingChanges(response.content, changes);
+    console.log(`Proposed ${changes.length} file changes for review`);
+    return failures;
+  }
+  
+  const writtenFiles = await writeFiles(fileWrites, { turnId, taskId });
+  recordWrittenFiles(conversation, writtenFiles);
+  
+  // Replace the file tags with UI elements
+  response.content = createUIForWrittenFiles(response.content, writtenFiles, turnId);
+  console.log(`Processed ${writtenFiles.length} file writes in response`);
+  return failures;
+}
+
+/**
+ * Apply the file writes and step markers of a response; when edits don't apply, report the failed
+ * hunks back to the model as a user turn and apply its corrected response, as file requests are answered
+ * @param {Object} response - The assistant's response message object
+ * @param {Object} conversation - The conversation the response belongs to
+ * @param {string|null} taskId - The task the conversation belongs to
+ * @param {Function} [onUpdate] - Called with the shown text while a corrected response streams
+ * @returns {Promise<string>} - The content to show: the response, followed by any corrections
+ */
+async function applyResponseFileWrites(response, conversation, taskId, onUpdate = null) {
+  let failures = await applyFileWrites(response, conversation, taskId);
+  if (taskId) {
+    applyStepMarkers(response, taskId);
+  }
+  let content = response.content;
+  
+  for (let attempt = 1; failures.length > 0 && attempt <= MAX_EDIT_RETRIES; attempt++) {
+    const report = { role: 'user', content: formatEditFailures(failures) };
+    conversation.messages.push(report);
+    
+    const shownSoFar = content;
+    let corrected;
+    try {
+      corrected = await getAssistantResponse(onUpdate && (partial => onUpdate(`${shownSoFar}\n\n${partial}`)));
+    } catch (error) {
+      // The first response stands; the user can ask for the fix themselves
+      conversation.messages.splice(conversation.messages.indexOf(report), 1);
+      if (!isCancelledError(error)) {
+        console.error('Error getting corrected edits:', error);
+      }
+      break;
+    }
+    
+    failures = await applyFileWrites(corrected, conversation, taskId);
+    if (taskId) {
+      applyStepMarkers(corrected, taskId);
+    }
+    content = `${content}\n\n${corrected.content}`;
+  }
+  
+  return content;
+}
+
+/**
+ * Describe edits that could not be applied, for the model to correct them
+ * @param {Array} failures - Array of {path, errors} objects
+ * @returns {string} - The report
+ */
+function formatEditFailures(failures) {
+  const files = failures
+    .map(({ path, errors }) => `${path}\n${errors.map(error => `- ${error}`).join('\n')}`)
+    .join('\n\n');
+  
+  return `Some of your edits could not be applied, so these files were not changed:\n\n${files}\n\n` +
+    'The other files in your response were handled as usual. Send corrected <edit> or <patch> blocks for these files only, ' +
+    'copying the SEARCH text or context lines exactly from the current file, or send the whole file in a <file> block.';
+}
+
+/**
+ * Add successfully written files to a conversation's written files
+ * @param {Object} conversation - The task conversation
+ * @param {Array} writtenFiles - Results from writeFiles
+ */
+function recordWrittenFiles(conversation, writtenFiles) {
+  writtenFiles
+    .filter(file => file.success && !conversation.filesWritten.includes(file.path))
+    .forEach(file => conversation.filesWritten.push(file.path));
+}
+
+/**
+ * Get a proposed file write or file operation of the current conversation that is waiting for review
+ * @param {string} changeId - The change ID
+ * @returns {Object|null} - The change, or null if it was already applied or rejected
+ */
+export function getPendingChange(changeId) {
+  return currentConversation.pendingChanges.find(change => change.id === changeId) || null;
+}
+
+/**
+ * Replace a pending change's card in the conversation with its outcome and drop the change
+ * The new card stays in the assistant message, so later turns tell the model what happened
+ * @param {Object} conversation - The conversation the change belongs to
+ * @param {Object} change - The pending change
+ * @param {string} card - The card HTML for the outcome
+ */
+function resolvePendingChange(conversation, change, card) {
+  const pendingCard = createPendingChangeCard(change);
+  const message = conversation.messages.find(candidate =>
+    typeof candidate.content === 'string' && candidate.content.includes(pendingCard));
+  
+  if (message) {
+    message.content = message.content.replace(pendingCard, () => card);
+  }
+  
+  conversation.pendingChanges = conversation.pendingChanges.filter(candidate => candidate !== change);
+}
+
+/**
+ * Write a pending change to disk, or run a confirmed delete, move or create-folder operation
+ * @param {string} changeId - The change ID
+ * @param {string|null} [editedContent] - The content as edited by the user; null writes the proposed content
+ * @returns {Promise<string>} - The card HTML that replaces the change
+ * @throws {Error} If the change doesn't exist or the file couldn't be written; the change stays pending
+ */
+export async function applyPendingChange(changeId, editedContent = null) {
+  const conversation = currentConversation;
+  const change = getPendingChange(changeId);
+  if (!change) {
+    throw new Error('This change was already applied or rejected');
+  }
+  
+  const snapshotDetails = { turnId: change.turnId, taskId: change.taskId };
+  
+  if (isPathOperation(change)) {
+    await runPathOperation(change, snapshotDetails);
+    recordPathOperation(conversation, change);
+    const card = createPathOperationCard(change, { success: true }, change.turnId);
+    resolvePendingChange(conversation, change, card);
+    return card;
+  }
+  
+  const edited = editedContent !== null && editedContent !== change.content;
+  const [written] = await writeFiles(
+    [{ path: change.path, content: edited ? editedContent : change.content }],
+    snapshotDetails
+  );
+  if (!written.success) {
+    throw new Error(written.error);
+  }
+  
+  recordWrittenFiles(conversation, [written]);
+  const card = createWrittenFileCard({ ...written, edited }, change.turnId);
+  resolvePendingChange(conversation, change, card);
+  return card;
+}
+
+/**
+ * Keep a conversation's written files current after a delete or move
+ * @param {Object} conversation - The task conversation
+ * @param {Object} change - The delete, move or create-folder change that was run
+ */
+function recordPathOperation(conversation, change) {
+  if (change.type === 'delete') {
+    conversation.filesWritten = conversation.filesWritten.filter(path => path !== change.path);
+  } else if (change.type === 'move') {
+    conversation.filesWritten = conversation.filesWritten.map(path => path === change.path ? change.to : path);
+  }
+}
+
+/**
+ * Reject a pending change without writing it
+ * @param {string} changeId - The change ID
+ * @returns {string} - The card HTML that replaces the change
+ * @throws {Error} If the change doesn't exist
+ */
+export function rejectPendingChange(changeId) {
+  const change = getPendingChange(changeId);
+  if (!change) {
+    throw new Error('This change was already applied or rejected');
+  }
+  
+  const card = createRejectedChangeCard(change);
+  resolvePendingChange(currentConversation, change, card);
+  return card;
+}
+
+/**
+ * Undo every file write of an assistant turn in the current conversation
+ * The turn's cards are marked as undone, so later turns tell the model the files were put back
+ * @param {string} turnId - The turn ID
+ * @returns {Promise<string[]>} - The restored paths, relative to the project folder
+ */
+export async function undoFileWriteTurn(turnId) {
+  const conversation = currentConversation;
+  const restoredPaths = await fileService.undoTurn(turnId);
+  
+  conversation.messages
+    .filter(message => typeof message.content === 'string')
+    .forEach(message => {
+      message.content = markTurnUndone(message.content, turnId);
+    });
+  
+  return restoredPaths;
+}
 
 /**
  * Send a user message and get a response
  * @param {string} message - The user's message
+ * @param {Function} [onUpdate] - Called with the partial response text while it streams
  * @returns {Promise<string>} - The assistant's response
+ * @throws {Error} With `cancelled: true` if the response was stopped
  */
-export async function sendMessageService(message) {
+export async function sendMessageService(message, onUpdate = null) {
+  const userMessage = {
+    role: "user",
+    content: message,
+    display: true
+  };
+  
+  // The user may switch tasks while we wait, so keep this task's conversation
+  const conversation = currentConversation;
+  const taskId = currentTaskId;
+  
   try {
     // Add user message to history
-    conversationHistory.push({
-      role: "user",
-      content: message
-    });
+    conversation.messages.push(userMessage);
     
     // Get the AI response
-    const response = await getAssistantResponse();
+    const response = await getAssistantResponse(onUpdate);
     
-    // Process any file write operations in the response
-    const writtenFiles = await writeFilesFromResponse(response.content);
+    // Process any file write operations and step markers in the response
+    return await applyResponseFileWrites(response, conversation, taskId, onUpdate);
     
-    // If files were written, replace the file tags with UI elements
-    if (writtenFiles.length > 0) {
-      response.content = createUIForWrittenFiles(response.content, writtenFiles);
-      console.log(`Processed ${writtenFiles.length} file writes in response`);
+  } catch (error) {
+    if (isCancelledError(error)) {
+      // Roll back to before this message
+      const index = conversation.messages.indexOf(userMessage);
+      if (index !== -1) {
+        conversation.messages.splice(index);
+      }
+      throw error;
     }
     
-    // Return just the message content
-    return response.content;
-    
-  } catch (error) {
     console.error('Error sending message:', error);
     return `I'm sorry, I encountered an error processing your message: ${error.message}`;
   }
 }
 
+/**
+ * Call the model, streaming the response text to onUpdate when it is provided
+ * @param {Object} params - The model call parameters
+ * @param {string|null} taskId - The task the call is made for
+ * @param {Function} [onUpdate] - Called with the accumulated response text after each delta
+ * @returns {Promise<Object>} - The model response
+ */
+async function requestModelResponse(params, taskId, onUpdate = null) {
+  if (!onUpdate) {
+    return callModelForStage('taskExecution', params, { scope: 'conversation' }, taskId);
+  }
+  
+  // Each call starts a fresh message, so earlier file request turns are cleared
+  let streamedText = '';
+  onUpdate(streamedText);
+  
+  return callModelForStage('taskExecution', params, {
+    scope: 'conversation',
+    onDelta: (delta) => {
+      streamedText += delta;
+      onUpdate(streamedText);
+    }
+  }, taskId);
+}
+
+/**
+ * Request a model response, asking the model to carry on while the response stops at
+ * the token limit or leaves a file block open, and joining the parts into one response
+ * With the file tools, the tool turns of every part are kept, and each part's tools start
+ * from the files written by the parts before it, so one write per path comes back
+ * @param {Object} params - The model call parameters
+ * @param {string|null} taskId - The task the call is made for
+ * @param {Function} [onUpdate] - Called with the joined response text while it streams
+ * @returns {Promise<Object>} - The last model response, with the text, tool turns and file writes of all the parts
+ */
+async function requestCompleteResponse(params, taskId, onUpdate = null) {
+  let response = await requestModelResponse(params, taskId, onUpdate);
+  let text = response?.text || '';
+  const toolTurns = [...(response?.toolTurns || [])];
+  // Latest content by path, in the order the files were first written
+  const fileWrites = new Map();
+  const recordFileWrites = (writes = []) => writes.forEach(({ path, content }) => fileWrites.set(path, content));
+  recordFileWrites(response?.fileWrites);
+  
+  for (let continuation = 1; response && isCutOff(response, text); continuation++) {
+    if (continuation > MAX_CONTINUATIONS) {
+      console.warn(`Response still cut off after ${MAX_CONTINUATIONS} continuations`);
+      break;
+    }
+    
+    console.log(`Response was cut off, asking the model to continue (${continuation}/${MAX_CONTINUATIONS})`);
+    const textSoFar = text;
+    response = await requestModelResponse({
+      ...params,
+      messages: [
+        ...params.messages,
+        ...toolTurns,
+        { role: 'assistant', content: textSoFar },
+        { role: 'user', content: continueResponsePrompt }
+      ],
+      // The continuation's tools read and append to the files written so far, not the ones on disk
+      fileWrites: [...fileWrites].map(([path, content]) => ({ path, content }))
+    }, taskId, onUpdate && (partial => onUpdate(stitchContinuation(textSoFar, partial))));
+    text = stitchContinuation(textSoFar, response?.text || '');
+    toolTurns.push(...(response?.toolTurns || []));
+    recordFileWrites(response?.fileWrites);
+  }
+  
+  return {
+    ...response,
+    text,
+    toolTurns,
+    fileWrites: [...fileWrites].map(([path, content]) => ({ path, content }))
+  };
+}
+
+/**
+ * Check whether a response was cut off before the model finished it
+ * @param {Object} response - The model response
+ * @param {string} text - The response text so far
+ * @returns {boolean} - True if it stopped at the token limit or in the middle of a file block
+ */
+function isCutOff(response, text) {
+  return response?.finishReason === 'length' || hasUnterminatedFileBlock(text);
+}
+
+/**
+ * Stop the assistant response that is currently being generated
+ * @returns {Promise<boolean>} True if a response was in progress
+ */
+export async function stopAssistantResponse() {
+  const cancelledCount = await cancelModelCalls('conversation');
+  return cancelledCount > 0;
+}
+
+/**
+ * Build the system prompt with file operation instructions and the project file listing
+ * @param {string|null} projectFolder - The selected project folder
+ * @param {Object} filesRead - The conversation's files read so far
+ * @returns {Promise<string>} - The system prompt
+ */
+async function buildSystemPrompt(projectFolder, filesRead) {
+  let systemPrompt = `${fileOperationsPrompt}\n\n`;
+  
+  // Add file listing if project folder is set
+  if (projectFolder) {
+    try {
+      // Get list of all files in the project folder
+      const files = await fileService.listAllFiles();
+      
+      // Add the file listing to the prompt
+      systemPrompt += "Here are the files available in the project folder:\n\n";
+      
+      if (files.length === 0) {
+        systemPrompt += "No files found in the project folder.\n\n";
+      } else {
+        // Group files by directory for better organization
+        const filesByDirectory = {};
+        
+        files.forEach(file => {
+          const dir = file.split('/').slice(0, -1).join('/');
+          const dirKey = dir || '(root)';
+          
+          if (!filesByDirectory[dirKey]) {
+            filesByDirectory[dirKey] = [];
+          }
+          
+          filesByDirectory[dirKey].push(file);
+        });
+        
+        // Add organized file listing
+        for (const [dir, dirFiles] of Object.entries(filesByDirectory)) {
+          systemPrompt += `${dir}/\n`;
+          dirFiles.forEach(file => {
+            systemPrompt += `  - ${file.split('/').pop()}\n`;
+          });
+          systemPrompt += '\n';
+        }
+      }
+    } catch (error) {
+      console.error('Error listing files:', error);
+      systemPrompt += "Could not list files in project folder due to an error.\n\n";
+    }
+    
+    // Add information about previously accessed files
+    if (Object.keys(filesRead).length > 0) {
+      systemPrompt += "The following files have been accessed in this conversation and their contents are available earlier in the conversation:\n";
+      Object.keys(filesRead).forEach(filePath => {
+        systemPrompt += `- ${filePath}\n`;
+      });
+    }
+  } else {
+    systemPrompt += "No project folder selected. Please select a project folder to enable file operations.\n";
+  }
+  
+  return systemPrompt.trim();
+}
+
+/**
+ * Build the chat messages sent to the model from the conversation history
+ * @param {string} systemPrompt - The system prompt
+ * @param {Array} history - The conversation history
+ * @param {boolean} [useTools] - Whether the call uses native tools; otherwise tool turns are sent as text
+ * @returns {Array<Object>} - The messages array
+ */
+function buildMessages(systemPrompt, history, useTools = false) {
+  const messages = [{ role: 'system', content: systemPrompt }];
+  
+  history.forEach(message => {
+    if (useTools) {
+      const { role, content, tool_calls, tool_call_id } = message;
+      messages.push({ role, content, ...(tool_calls && { tool_calls }), ...(tool_call_id && { tool_call_id }) });
+    } else if (message.role === 'tool') {
+      // The text protocol has no tool turns, so earlier tool use is replayed as plain text
+      messages.push({ role: 'user', content: `Tool result:\n${message.content}` });
+    } else if (message.tool_calls) {
+      const calls = message.tool_calls.map(toolCall => `[Called ${toolCall.function.name} with ${toolCall.function.arguments}]`);
+      messages.push({ role: 'assistant', content: [message.content, ...calls].filter(Boolean).join('\n') });
+    } else {
+      messages.push({ role: message.role, content: message.content });
+    }
+  });
+  
+  return messages;
+}
+
+/**
+ * Check whether a conversation call should use native tool calling
+ * @param {string} model - The model the call will use
+ * @param {string|null} projectFolder - The selected project folder
+ * @returns {Promise<boolean>} - True if the file tools should be offered
+ */
+async function shouldUseTools(model, projectFolder) {
+  if (!projectFolder || modelsWithoutTools.has(model)) {
+    return false;
+  }
+  
+  return (await getSetting('toolCalling', true)) !== false;
+}
+
+/**
+ * Record the files read through the read_file tool in a conversation
+ * @param {Object} conversation - The task conversation
+ * @param {Array} toolTurns - The assistant and tool turns of a tool call loop
+ */
+function recordToolReads(conversation, toolTurns) {
+  const results = {};
+  toolTurns
+    .filter(turn => turn.role === 'tool')
+    .forEach(turn => { results[turn.tool_call_id] = turn.content; });
+  
+  toolTurns
+    .flatMap(turn => turn.tool_calls || [])
+    .filter(toolCall => toolCall.function?.name === 'read_file')
+    .forEach(toolCall => {
+      const content = results[toolCall.id];
+      if (typeof content !== 'string' || content.startsWith('Error:')) return;
+      
+      try {
+        const { path } = JSON.parse(toolCall.function.arguments || '{}');
+        if (path) {
+          conversation.filesRead[path] = content;
+        }
+      } catch (error) {
+        // Arguments the tool couldn't parse were never read
+      }
+    });
+}
+
+/**
+ * Get a response using the native file tools; the main process runs the tool loop
+ * @param {Object} conversation - The task conversation; tool turns are appended to its messages
+ * @param {Object} stageSettings - Model settings for the call
+ * @param {string} projectFolder - The selected project folder
+ * @param {string|null} taskId - The task the call is made for
+ * @param {Function} [onUpdate] - Called with the partial response text while it streams
+ * @returns {Promise<Object>} - The assistant's response message object, with any file writes
+ * @throws {Error} With `code: 'tools_unsupported'` if the model rejected the tools
+ */
+async function getToolAssistantResponse(conversation, stageSettings, projectFolder, taskId, onUpdate = null) {
+  const response = await requestCompleteResponse({
+    ...stageSettings,
+    messages: buildMessages(toolOperationsPrompt.trim(), conversation.messages, true),
+    useTools: true,
+    projectFolder
+  }, taskId, onUpdate);
+  
+  const fileWrites = response?.fileWrites || [];
+  if (!response || (!response.text && fileWrites.length === 0)) {
+    throw new Error(response?.error || 'Invalid response from model');
+  }
+  
+  // Keep the tool calls so later turns know what was already read
+  const toolTurns = response.toolTurns || [];
+  conversation.messages.push(...toolTurns);
+  recordToolReads(conversation, toolTurns);
+  
+  return {
+    role: "assistant",
+    content: (response.text || '').trim(),
+    fileWrites,
+    display: true
+  };
+}
+
 /**
  * Get a response from the AI assistant based on conversation history
+ * Uses the native file tools when the model supports them, otherwise the
+ * text protocol. File requests and their results are kept in the history as separate
+ * assistant and user turns, so later calls see what was already read
+ * @param {Function} [onUpdate] - Called with the partial response text while it streams
  * @returns {Promise<Object>} - The assistant's response message object
  */
-async function getAssistantResponse() {
+async function getAssistantResponse(onUpdate = null) {
+  // Keep a reference to this conversation; the user may switch tasks while we wait
+  const conversation = currentConversation;
+  const history = conversation.messages;
+  const historyLength = history.length;
+  const taskId = currentTaskId;
+  
   try {
-    // Get API settings
-    const apiKey = await getSetting('apiKey');
-    const model = await getSetting('model', 'deepseek/deepseek-chat-v3-0324:free');
+    // A conversation reopened from a saved project gets its file contents back first
+    await readLeftOutFileContents(conversation);
     
-    if (!apiKey) {
-      throw new Error('API key not set. Please configure it in Settings.');
-    }
+    // Get API settings
+    const stageSettings = await getStageSettings('taskExecution');
     
     // Get project folder path - important for file operations
     const projectFolder = fileService.getProjectFolder();
@@ -305,73 +1077,22 @@ async function getAssistantResponse() {
       console.warn('Project folder not set, file operations will not work');
     }
     
-    // Start building the prompt
-    let prompt = `SYSTEM: ${fileOperationsPrompt}\n\n`;
-    
-    // Add file listing if project folder is set
-    if (projectFolder) {
+    // Models with native tool calling use the file tools instead of the text protocol
+    if (await shouldUseTools(stageSettings.model, projectFolder)) {
       try {
-        // Get list of all files in the project folder
-        const files = await fileService.listAllFiles();
-        
-        // Add the file listing to the prompt
-        prompt += "SYSTEM: Here are the files available in the project folder:\n\n";
-        
-        if (files.length === 0) {
-          prompt += "No files found in the project folder.\n\n";
-        } else {
-          // Group files by directory for better organization
-          const filesByDirectory = {};
-          
-          files.forEach(file => {
-            const dir = file.split('/').slice(0, -1).join('/');
-            const dirKey = dir || '(root)';
-            
-            if (!filesByDirectory[dirKey]) {
-              filesByDirectory[dirKey] = [];
-            }
-            
-            filesByDirectory[dirKey].push(file);
-          });
-          
-          // Add organized file listing
-          for (const [dir, dirFiles] of Object.entries(filesByDirectory)) {
-            prompt += `${dir}/\n`;
-            dirFiles.forEach(file => {
-              prompt += `  - ${file.split('/').pop()}\n`;
-            });
-            prompt += '\n';
-          }
-        }
-        
-        prompt += "\n";
+        const toolResponse = await getToolAssistantResponse(conversation, stageSettings, projectFolder, taskId, onUpdate);
+        history.push(toolResponse);
+        return toolResponse;
       } catch (error) {
-        console.error('Error listing files:', error);
-        prompt += "SYSTEM: Could not list files in project folder due to an error.\n\n";
-      }
-      
-      // Add information about previously accessed files
-      if (Object.keys(fileContentCache).length > 0) {
-        prompt += "SYSTEM: The following files have been accessed in this conversation and their contents are available:\n";
-        Object.keys(fileContentCache).forEach(filePath => {
-          prompt += `- ${filePath}\n`;
-        });
-        prompt += "\n";
+        if (error.code !== 'tools_unsupported') {
+          throw error;
+        }
+        console.warn(`${stageSettings.model} does not support tool calling, using the text protocol`);
+        modelsWithoutTools.add(stageSettings.model);
       }
-    } else {
-      prompt += "SYSTEM: No project folder selected. Please select a project folder to enable file operations.\n\n";
     }
     
-    // Add conversation history
-    conversationHistory.forEach(message => {
-      prompt += `${message.role.toUpperCase()}: ${message.content}\n\n`;
-    });
-    
-    // Add the assistant prefix for the response
-    prompt += 'ASSISTANT: ';
-    
     let finalResponse = null;
-    let currentPrompt = prompt;
     let requestedFilesSoFar = new Set();
     let iterationCount = 0;
     const MAX_ITERATIONS = 3; // Prevent infinite loops
@@ -379,18 +1100,17 @@ async function getAssistantResponse() {
     while (iterationCount < MAX_ITERATIONS) {
       iterationCount++;
       
+      // Rebuilt each iteration so the accessed files list stays current
+      const systemPrompt = await buildSystemPrompt(projectFolder, conversation.filesRead);
+      
       // Call the API
-      const response = await window.electronAPI.settings.callModel({
-        apiKey,
-        model,
-        prompt: currentPrompt,
-        temperature: 0.0,
-        maxTokens: 2000,
-        projectFolder // Pass the project folder path for security checks
-      });
+      const response = await requestCompleteResponse({
+        ...stageSettings,
+        messages: buildMessages(systemPrompt, history)
+      }, taskId, onUpdate);
       
       if (!response || !response.text) {
-        throw new Error('Invalid response from model');
+        throw new Error(response?.error || 'Invalid response from model');
       }
       
       // Process the response
@@ -422,18 +1142,17 @@ async function getAssistantResponse() {
         newFilesToProcess.forEach(file => requestedFilesSoFar.add(file));
         
         // Get the contents of the requested files
-        const fileContents = await processFileRequest(newFilesToProcess);
-        
-        // Format file contents for the prompt
-        const formattedFileContents = formatFileContents(fileContents);
+        const fileContents = await processFileRequest(newFilesToProcess, conversation.filesRead);
         
-        // Build a new prompt that includes the file contents
-        // We keep the original prompt, add the AI's file request response, 
-        // then add a user message with the file contents
-        currentPrompt = currentPrompt + response.text.trim() + '\n\n';
-        currentPrompt += 'USER: Here are the requested files:\n\n';
-        currentPrompt += formattedFileContents + '\n\n';
-        currentPrompt += 'ASSISTANT: ';
+        // Record the file request and its result as their own turns
+        history.push({
+          role: "assistant",
+          content: response.text.trim()
+        });
+        history.push({
+          role: "user",
+          content: 'Here are the requested files:' + formatFileContents(fileContents).trimEnd()
+        });
         
         // Don't set finalResponse yet - we'll continue the loop
       } else {
@@ -449,14 +1168,11 @@ async function getAssistantResponse() {
     // If we exceeded max iterations, use the last response
     if (!finalResponse && iterationCount >= MAX_ITERATIONS) {
       console.warn(`Exceeded maximum file request iterations (${MAX_ITERATIONS})`);
-      const lastResponse = await window.electronAPI.settings.callModel({
-        apiKey,
-        model,
-        prompt: currentPrompt,
-        temperature: 0.0,
-        maxTokens: 2000,
-        projectFolder
-      });
+      const systemPrompt = await buildSystemPrompt(projectFolder, conversation.filesRead);
+      const lastResponse = await requestCompleteResponse({
+        ...stageSettings,
+        messages: buildMessages(systemPrompt, history)
+      }, taskId, onUpdate);
       
       if (lastResponse && lastResponse.text) {
         finalResponse = {
@@ -468,15 +1184,18 @@ async function getAssistantResponse() {
       }
     }
     
-    // REMOVED: The duplicate file processing section
-    // File operations are now handled by writeFilesFromResponse in the calling functions
-    
-    // Add the final response to conversation history
-    conversationHistory.push(finalResponse);
+    // Add the final response to conversation history; it is the one shown in the chat
+    finalResponse.display = true;
+    history.push(finalResponse);
     
     return finalResponse;
   } catch (error) {
-    console.error('Error getting assistant response:', error);
+    // Drop any file request turns added for a response that never arrived
+    history.splice(historyLength);
+    
+    if (!isCancelledError(error)) {
+      console.error('Error getting assistant response:', error);
+    }
     throw error;
   }
 }
@@ -501,33 +1220,22 @@ export async function processTaskWithAI(taskId, userInput) {
       throw new Error('Project folder not set. Please select a project folder first.');
     }
     
-    // Prepare the prompt
-    const prompt = `
-${fileOperationsPrompt}
-
-Task Description: ${task.description}
-
-User Input: ${userInput}
-`;
+    // Prepare the messages
+    const messages = [
+      { role: 'system', content: fileOperationsPrompt },
+      { role: 'user', content: `Task Description: ${task.description}\n\nUser Input: ${userInput}` }
+    ];
     
     // Get API settings
-    const apiKey = await getSetting('apiKey');
-    const model = await getSetting('model');
-    
-    if (!apiKey) {
-      throw new Error('API key not set. Please configure it in Settings.');
-    }
+    const stageSettings = await getStageSettings('taskExecution');
     
     console.log('Calling AI model for task processing...');
     
     // Call the model API
-    const response = await window.electronAPI.settings.callModel({
-      apiKey,
-      model,
-      prompt,
-      temperature: 0.0,
-      maxTokens: 4000
-    });
+    const response = await callModelForStage('taskExecution', {
+      ...stageSettings,
+      messages
+    }, { scope: 'conversation' }, taskId);
     
     if (!response || !response.success) {
       throw new Error(response?.error || 'Failed to get AI response');
@@ -546,29 +1254,21 @@ User Input: ${userInput}
       // Format file contents for the prompt
       const formattedFileContents = formatFileContents(fileContents);
       
-      // Create a follow-up prompt with the file contents
-      const followUpPrompt = `
-${fileOperationsPrompt}
-
-Task Description: ${task.description}
-
-User Input: ${userInput}
-
-You requested these files: ${JSON.stringify(processedResponse.requestedFiles)}
-
-${formattedFileContents}
-
-Based on these file contents, please proceed with the task.
-`;
+      // Continue the conversation with the file contents as a new user turn
+      const followUpMessages = [
+        ...messages,
+        { role: 'assistant', content: response.text.trim() },
+        {
+          role: 'user',
+          content: `Here are the requested files:${formattedFileContents}Based on these file contents, please proceed with the task.`
+        }
+      ];
       
       // Make the follow-up call
-      const followUpResponse = await window.electronAPI.settings.callModel({
-        apiKey,
-        model,
-        prompt: followUpPrompt,
-        temperature: 0.0,
-        maxTokens: 4000
-      });
+      const followUpResponse = await callModelForStage('taskExecution', {
+        ...stageSettings,
+        messages: followUpMessages
+      }, { scope: 'conversation' }, taskId);
       
       if (!followUpResponse || !followUpResponse.success) {
         throw new Error(followUpResponse?.error || 'Failed to get follow-up AI response');
@@ -593,15 +1293,180 @@ Based on these file contents, please proceed with the task.
  * @returns {Array} - The conversation history
  */
 export function getConversationHistory() {
-  return [...conversationHistory];
+  return [...currentConversation.messages];
 }
 
 /**
  * Clear the current conversation history
  */
 export function clearConversationHistory() {
-  conversationHistory = [];
-  fileContentCache = {}; // Clear file cache when conversation is reset
+  if (currentTaskId) {
+    delete taskConversations[currentTaskId];
+  }
+  currentConversation = createConversation();
+  currentTaskId = null;
+}
+
+/**
+ * Get a copy of every task's conversation for saving
+ * File contents are left out so each save stays small: the files sent to the model
+ * and the files read are kept as paths and read again when the conversation
+ * continues, write_file calls keep only their length, and pending file changes keep
+ * their proposed content in getPendingChangeContents and their current content on disk
+ * @returns {Object} - Conversations keyed by task ID
+ */
+export function getTaskConversations() {
+  const savedConversations = {};
+  Object.entries(taskConversations).forEach(([taskId, conversation]) => {
+    savedConversations[taskId] = {
+      ...structuredClone(conversation),
+      messages: leaveOutFileContents(conversation.messages),
+      // An empty entry isn't used as a cache, so the file is read again
+      filesRead: Object.fromEntries(Object.keys(conversation.filesRead).map(path => [path, ''])),
+      pendingChanges: conversation.pendingChanges.map(({ content, originalContent, readError, ...change }) => change)
+    };
+  });
+  return savedConversations;
+}
+
+/**
+ * Copy a conversation's messages without the file contents they carry
+ * @param {Array<Object>} messages - The conversation's messages
+ * @returns {Array<Object>} - The copies, with LEFT_OUT_FILE_CONTENT in place of the contents
+ */
+function leaveOutFileContents(messages) {
+  const readCallIds = new Set(messages
+    .flatMap(message => message.tool_calls || [])
+    .filter(toolCall => toolCall.function?.name === 'read_file')
+    .map(toolCall => toolCall.id));
+  
+  return messages.map(message => {
+    const copy = structuredClone(message);
+    
+    if (copy.role === 'user' && typeof copy.content === 'string') {
+      copy.content = copy.content.replace(FILE_DATA_ENTRY_REGEX,
+        (match, start, path, content, end) => `${start}${LEFT_OUT_FILE_CONTENT}${end}`);
+    } else if (copy.role === 'tool' && readCallIds.has(copy.tool_call_id) && !copy.content.startsWith('Error:')) {
+      copy.content = LEFT_OUT_FILE_CONTENT;
+    }
+    
+    (copy.tool_calls || [])
+      .filter(toolCall => toolCall.function?.name === 'write_file')
+      .forEach(toolCall => {
+        try {
+          const args = JSON.parse(toolCall.function.arguments || '{}');
+          if (typeof args.content === 'string') {
+            args.content = `[${args.content.length} characters, left out of the saved project]`;
+            toolCall.function.arguments = JSON.stringify(args);
+          }
+        } catch (error) {
+          // A call cut off at the token limit was never run; its arguments are kept as they are
+        }
+      });
+    
+    return copy;
+  });
+}
+
+/**
+ * Read again the file contents left out when a conversation was saved
+ * @param {Object} conversation - The task conversation; its messages are changed in place
+ * @returns {Promise<void>}
+ */
+async function readLeftOutFileContents(conversation) {
+  const readPaths = new Map();
+  conversation.messages
+    .flatMap(message => message.tool_calls || [])
+    .filter(toolCall => toolCall.function?.name === 'read_file')
+    .forEach(toolCall => {
+      try {
+        readPaths.set(toolCall.id, JSON.parse(toolCall.function.arguments || '{}').path);
+      } catch (error) {
+        // Arguments the tool couldn't parse were never read
+      }
+    });
+  
+  const readContent = async (path) => {
+    try {
+      return await fileService.readFile(path);
+    } catch (error) {
+      return `Error: ${error.message}`;
+    }
+  };
+  
+  for (const message of conversation.messages) {
+    if (typeof message.content !== 'string' || !message.content.includes(LEFT_OUT_FILE_CONTENT)) continue;
+    
+    if (message.role === 'tool') {
+      const path = readPaths.get(message.tool_call_id);
+      message.content = path ? await readContent(path) : 'Error: The file is no longer known';
+      continue;
+    }
+    
+    const contents = new Map();
+    for (const [, , path, content] of message.content.matchAll(FILE_DATA_ENTRY_REGEX)) {
+      if (content === LEFT_OUT_FILE_CONTENT && !contents.has(path)) {
+        contents.set(path, await readContent(path));
+      }
+    }
+    message.content = message.content.replace(FILE_DATA_ENTRY_REGEX, (match, start, path, content, end) =>
+      content === LEFT_OUT_FILE_CONTENT ? `${start}${contents.get(path)}${end}` : match);
+  }
+}
+
+/**
+ * Get the proposed content of every task's pending file changes for saving
+ * A change's content never changes, so it only needs saving when changes come and go
+ * @returns {Object} - The content keyed by change ID
+ */
+export function getPendingChangeContents() {
+  const contents = {};
+  Object.values(taskConversations).forEach(conversation => {
+    conversation.pendingChanges
+      .filter(change => !isPathOperation(change))
+      .forEach(change => { contents[change.id] = change.content; });
+  });
+  return contents;
+}
+
+/**
+ * Replace the task conversations, e.g. with the ones of a reopened project
+ * Call refreshPendingChanges once the project folder is linked so the pending
+ * file changes can be compared with the files again
+ * @param {Object} [savedConversations] - Conversations keyed by task ID
+ * @param {Object} [pendingChangeContents] - Proposed content of the pending file changes, keyed by change ID
+ */
+export function restoreTaskConversations(savedConversations = {}, pendingChangeContents = {}) {
+  taskConversations = {};
+  Object.entries(savedConversations || {}).forEach(([taskId, conversation]) => {
+    const restored = {
+      ...createConversation(),
+      ...conversation
+    };
+    
+    // Projects saved before the contents were split out still have them inline;
+    // a file change whose content is lost can't be applied, so it is dropped
+    restored.pendingChanges = restored.pendingChanges
+      .map(change => isPathOperation(change) || typeof change.content === 'string'
+        ? change
+        : { ...change, content: pendingChangeContents?.[change.id] })
+      .filter(change => isPathOperation(change) || typeof change.content === 'string');
+    
+    taskConversations[taskId] = restored;
+  });
+  
+  currentConversation = createConversation();
+  currentTaskId = null;
+}
+
+/**
+ * Read again the current content of the files the pending changes would overwrite
+ * @returns {Promise<void>}
+ */
+export async function refreshPendingChanges() {
+  for (const conversation of Object.values(taskConversations)) {
+    await refreshOriginalContents(conversation.pendingChanges);
+  }
 }
 
 /**
@@ -610,18 +1475,23 @@ export function clearConversationHistory() {
  * @param {Object} todoItem - The to-do item to add
  */
 export function addTodoItem(taskId, todoItem) {
+  const todoItems = [...(getTaskById(taskId)?.todoItems || [])];
+  const newItem = { ...todoItem };
+  
   // Generate ID if not provided
-  if (!todoItem.id) {
-    todoItem.id = 'todo_' + taskId + '_' + (currentTodoItems.length + 1);
+  if (!newItem.id) {
+    newItem.id = 'todo_' + taskId + '_' + (todoItems.length + 1);
   }
   
   // Set defaults
-  if (todoItem.completed === undefined) {
-    todoItem.completed = false;
+  if (newItem.completed === undefined) {
+    newItem.completed = false;
   }
   
   // Add to list
-  currentTodoItems.push(todoItem);
+  todoItems.push(newItem);
+  setTaskTodoItems(taskId, todoItems);
+  dispatchTodoItemsUpdated(taskId);
 }
 
 /**
@@ -631,22 +1501,33 @@ export function addTodoItem(taskId, todoItem) {
  * @returns {boolean} - True if updated successfully
  */
 export function updateTodoItem(todoId, updates) {
-  const index = currentTodoItems.findIndex(item => item.id === todoId);
-  if (index === -1) {
+  const tasks = (getCurrentTasksData()?.sections || []).flatMap(section => section.tasks);
+  const task = tasks.find(candidate => (candidate.todoItems || []).some(item => item.id === todoId));
+  if (!task) {
     return false;
   }
   
-  currentTodoItems[index] = {
-    ...currentTodoItems[index],
-    ...updates
-  };
+  setTaskTodoItems(task.id, task.todoItems.map(item =>
+    item.id === todoId ? { ...item, ...updates } : item
+  ));
+  dispatchTodoItemsUpdated(task.id);
   
   return true;
 }
 
 /**
- * Reset the to-do items
+ * Reset the to-do items of a task
+ * @param {string} taskId - The task ID
  */
-export function resetTodoItems() {
-  currentTodoItems = [];
-}
\ No newline at end of file
+export function resetTodoItems(taskId) {
+  setTaskTodoItems(taskId, []);
+  dispatchTodoItemsUpdated(taskId);
+}
+
+/**
+ * Let the UI know a task's sub-steps changed
+ * @param {string} taskId - The task ID
+ */
+function dispatchTodoItemsUpdated(taskId) {
+  document.dispatchEvent(new CustomEvent('todoItemsUpdated', { detail: { taskId } }));
+}
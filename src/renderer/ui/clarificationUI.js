@@ -11,11 +11,17 @@ import {
 
 import folderSelectionUI from '../ui/folderSelectionUI.js';
 import fileService from '../services/fileService.js';
+import { cancelModelCalls, isCancelledError } from '../services/modelService.js';
+import { resetUsage } from '../services/taskService.js';
+import { getCurrentGlobalContext, setGlobalContext, addAnswersToContext } from '../services/contextService.js';
+import { startProject, saveProjectState } from '../services/projectService.js';
 
 // State management
 let currentQuestions = [];
 let currentQuestionIndex = 0;
 let needsMoreQuestions = true;
+// Set when the spec was imported from the project folder, so the folder isn't asked for again
+let keepProjectFolder = false;
 
 // DOM elements
 let questionContainer;
@@ -54,6 +60,10 @@ export function initClarificationUI() {
 
     // Listen for task entry events
     document.addEventListener('taskClarificationStart', handleTaskStart);
+    document.addEventListener('specImportStart', handleSpecImport);
+
+    // Resume saved projects that stopped before the to-do page
+    document.addEventListener('projectOpened', handleProjectOpened);
 }
 
 /**
@@ -78,51 +88,145 @@ function setupEventListeners() {
  */
 async function handleTaskStart(event) {
     try {
-        const { taskDescription } = event.detail;
+        const { taskDescription, keepProject } = event.detail;
 
         // Reset state
         currentQuestions = [];
         currentQuestionIndex = 0;
 
-        // Initialize clarification service with the task
-        initClarification(taskDescription);
+        // Initialize clarification service with the task; retries of an imported spec keep asking about its gaps
+        initClarification(taskDescription, Boolean(keepProject) && getClarificationState().specImported);
 
-        // Show loading state
-        showLoadingState();
+        // Retries carry on in the same project, and its spending counts towards the budget
+        if (keepProject) {
+            // The context is generated again from the new answers; an imported spec is the context itself
+            if (!getClarificationState().specImported) {
+                setGlobalContext('');
+            }
+            saveProjectState('clarification');
+        } else {
+            keepProjectFolder = false;
+            resetUsage();
+            await startProject(taskDescription);
+        }
 
-        // Get first batch of questions
-        const result = await getQuestions();
+        await askFirstQuestions();
 
-        if (result.error) {
-            showError(result.error);
-            return;
-        }
+    } catch (error) {
+        console.error('Error starting task clarification:', error);
+        showError('Failed to start task clarification. Please try again.');
+    }
+}
 
-        // Store questions and state
-        currentQuestions = result.questions || [];
-        needsMoreQuestions = result.needsMoreQuestions;
+/**
+ * Start a project from an imported spec, which becomes the global context
+ * Only the gaps the spec leaves open are asked about, if the user wants that
+ * @param {CustomEvent} event - Event with the task description, the spec and the import options
+ */
+async function handleSpecImport(event) {
+    try {
+        const { taskDescription, spec, documentNames, askQuestions } = event.detail;
 
-        console.log('Got questions:', currentQuestions);
-        console.log('Needs more questions:', needsMoreQuestions);
+        currentQuestions = [];
+        currentQuestionIndex = 0;
+        keepProjectFolder = Boolean(event.detail.keepProjectFolder);
 
-        // If no questions are needed, proceed to next phase
-        if (currentQuestions.length === 0 && !needsMoreQuestions) {
-            finishClarification();
-            return;
-        }
+        initClarification(taskDescription, true);
+        resetUsage();
+        await startProject(taskDescription);
+
+        setGlobalContext(spec, 'user', `Imported from ${documentNames.join(', ')}`);
+        document.dispatchEvent(new CustomEvent('contextUpdated', { detail: { context: spec } }));
+        saveProjectState('clarification');
 
-        // Make sure all UI elements exist
-        if (!questionTitle || !questionText || !questionAnswer || !nextButton) {
-            createQuestionElements();
+        if (!askQuestions) {
+            await finishClarification();
+            return;
         }
 
-        // Display first question
-        showCurrentQuestion();
+        await askFirstQuestions();
 
     } catch (error) {
-        console.error('Error starting task clarification:', error);
-        showError('Failed to start task clarification. Please try again.');
+        console.error('Error importing spec:', error);
+        showError('Failed to import the spec. Please try again.');
+    }
+}
+
+/**
+ * Ask for the first batch of questions and show them, or move on if none are needed
+ */
+async function askFirstQuestions() {
+    // Show loading state
+    showLoadingState();
+
+    // Get first batch of questions
+    const result = await getQuestions();
+
+    // Stopping the first request goes back to the task entry page
+    if (result.cancelled) {
+        returnToTaskEntry();
+        return;
+    }
+
+    if (result.error) {
+        showError(result.error);
+        return;
+    }
+
+    // Store questions and state
+    currentQuestions = result.questions || [];
+    needsMoreQuestions = result.needsMoreQuestions;
+
+    console.log('Got questions:', currentQuestions);
+    console.log('Needs more questions:', needsMoreQuestions);
+
+    // If no questions are needed, proceed to next phase
+    if (currentQuestions.length === 0 && !needsMoreQuestions) {
+        finishClarification();
+        return;
+    }
+
+    // Make sure all UI elements exist
+    if (!questionTitle || !questionText || !questionAnswer || !nextButton) {
+        createQuestionElements();
+    }
+
+    // Display first question
+    showCurrentQuestion();
+}
+
+/**
+ * Resume a reopened project at its saved stage
+ * Projects that reached the to-do page are resumed by the to-do UI
+ * @param {CustomEvent} event - Event with the project's metadata
+ */
+async function handleProjectOpened(event) {
+    const { stage } = event.detail.metadata;
+    if (stage === 'execution') {
+        return;
+    }
+
+    currentQuestions = [];
+    currentQuestionIndex = 0;
+    needsMoreQuestions = true;
+
+    const taskEntryPage = document.getElementById('taskEntryPage');
+    if (taskEntryPage) taskEntryPage.style.display = 'none';
+    if (todoExecutionPage) todoExecutionPage.style.display = 'none';
+    if (clarificationPage) clarificationPage.style.display = 'flex';
+
+    if (stage === 'clarification') {
+        // Ask for the next questions given the answers saved so far
+        await getMoreQuestions();
+        return;
+    }
+
+    if (!fileService.getProjectFolder()) {
+        await folderSelectionUI.showModal();
+        saveProjectState();
     }
+
+    await generateProjectPlan();
 }
 
 /**
@@ -169,7 +273,6 @@ function createQuestionElements() {
             nextButton.id = 'nextQuestionBtn';
             nextButton.className = 'primary-button';
             nextButton.textContent = 'Submit Answer';
-            nextButton.addEventListener('click', handleNextButton);
             buttonGroup.appendChild(nextButton);
         }
 
@@ -204,9 +307,11 @@ function showLoadingState() {
     // Remove any existing loading elements
     const existingSpinner = questionContainer.querySelector('.loading-spinner');
     const existingText = questionContainer.querySelector('.loading-text');
+    const existingStop = questionContainer.querySelector('.stop-button');
     
     if (existingSpinner) existingSpinner.remove();
     if (existingText) existingText.remove();
+    if (existingStop) existingStop.remove();
     
     // Add loading spinner
     const spinner = document.createElement('div');
@@ -219,6 +324,9 @@ function showLoadingState() {
     loadingText.textContent = 'Analyzing your task...';
     questionContainer.appendChild(loadingText);
     
+    // Let the user stop a request that is taking too long
+    questionContainer.appendChild(createStopButton());
+    
     // Hide progress bar section
     const progressContainer = document.querySelector('.question-progress');
     if (progressContainer) {
@@ -240,15 +348,22 @@ function showCurrentQuestion() {
       clarificationTitle.style.display = 'none';
     }
     
+    // Rebuild the question elements if the container was cleared
+    if (!questionTitle || !questionText || !questionAnswer || !nextButton) {
+      createQuestionElements();
+    }
+    
     // Remove loading state
     questionContainer.classList.remove('loading');
     
     // Remove loading elements
     const spinner = questionContainer.querySelector('.loading-spinner');
     const loadingText = questionContainer.querySelector('.loading-text');
+    const stopButton = questionContainer.querySelector('.stop-button');
     
     if (spinner) spinner.remove();
     if (loadingText) loadingText.remove();
+    if (stopButton) stopButton.remove();
     
     // Safety check for questions
     if (!currentQuestions || currentQuestions.length === 0) {
@@ -358,6 +473,7 @@ async function handleNextButton() {
                 addExchange(q.question, q.savedAnswer);
             }
         });
+        saveProjectState('clarification');
 
         // Request more questions
         await getMoreQuestions();
@@ -378,6 +494,14 @@ async function getMoreQuestions() {
         // Get next batch of questions
         const result = await getQuestions();
 
+        if (result.cancelled) {
+            showStopped('Fetching more questions was stopped.', [
+                { label: 'Try Again', action: getMoreQuestions },
+                { label: 'Continue With Current Answers', action: finishClarification }
+            ]);
+            return;
+        }
+
         if (result.error) {
             showError(result.error);
             return;
@@ -427,6 +551,11 @@ function saveCurrentAnswer() {
 }
 
 async function initTodoPage() {
+    // A spec imported from the project folder already chose it
+    if (keepProjectFolder && fileService.getProjectFolder()) {
+        return;
+    }
+
     // Reset the project folder to force selection every time
     fileService.resetProjectFolder();
     
@@ -438,16 +567,35 @@ async function initTodoPage() {
  * Complete the clarification process and move to next phase
  */
 async function finishClarification() {
-    try {
-        // Save any remaining answers to conversation
-        if (currentQuestions && currentQuestions.length > 0) {
-            currentQuestions.forEach(q => {
-                if (q.savedAnswer) {
-                    addExchange(q.question, q.savedAnswer);
-                }
-            });
-        }
+    // Save any remaining answers to conversation
+    if (currentQuestions && currentQuestions.length > 0) {
+        currentQuestions.forEach(q => {
+            if (q.savedAnswer) {
+                addExchange(q.question, q.savedAnswer);
+            }
+        });
+    }
+
+    // Answers are now in the conversation, so a retry must not add them again
+    currentQuestions = [];
 
+    // An imported spec is not regenerated into a context, so the answers are added to it
+    const { specImported, conversation } = getClarificationState();
+    if (specImported) {
+        addAnswersToContext(conversation);
+    }
+    saveProjectState('context');
+
+    await initTodoPage();
+    saveProjectState();
+    await generateProjectPlan();
+}
+
+/**
+ * Generate the global context and task breakdown, then open the to-do page
+ */
+async function generateProjectPlan() {
+    try {
         // Get complete clarification state
         const state = getClarificationState();
 
@@ -456,7 +604,7 @@ async function finishClarification() {
 
         // Show loading message
         if (questionContainer) {
-            questionContainer.innerHTML = '';
+            clearQuestionContainer();
             questionContainer.classList.add('loading');
 
             const spinner = document.createElement('div');
@@ -466,13 +614,17 @@ async function finishClarification() {
             const loadingText = document.createElement('p');
             loadingText.textContent = 'Generating project context and task breakdown...';
             questionContainer.appendChild(loadingText);
-        }
 
-        await initTodoPage();
+            questionContainer.appendChild(createStopButton());
+        }
 
-        // Generate global context
-        const { generateGlobalContext } = await import('../services/contextService.js');
-        const context = await generateGlobalContext(state.task, state.conversation);
+        // Generate global context, unless a reopened project already has it
+        let context = getCurrentGlobalContext();
+        if (!context) {
+            const { generateGlobalContext } = await import('../services/contextService.js');
+            context = await generateGlobalContext(state.task, state.conversation);
+            await saveProjectState('breakdown');
+        }
         
         // Dispatch context event
         document.dispatchEvent(new CustomEvent('contextUpdated', { detail: { context } }));
@@ -480,6 +632,7 @@ async function finishClarification() {
         // Generate task breakdown
         const { generateTaskBreakdown } = await import('../services/taskService.js');
         const tasks = await generateTaskBreakdown();
+        await saveProjectState('execution');
 
         // Dispatch tasks event
         document.dispatchEvent(new CustomEvent('tasksGenerated', { detail: { tasks } }));
@@ -496,11 +649,91 @@ async function finishClarification() {
         if (todoExecutionPage) todoExecutionPage.style.display = 'flex';
 
     } catch (error) {
+        if (isCancelledError(error)) {
+            showStopped('Generating the project plan was stopped.', [
+                { label: 'Try Again', action: generateProjectPlan },
+                { label: 'Back to Task Entry', action: returnToTaskEntry }
+            ]);
+            return;
+        }
+
         console.error('Error finishing clarification:', error);
-        showError('Failed to complete task clarification. Please try again.');
+        // Model call failures carry a code and a message saying what to fix
+        showError(error.code ? error.message : 'Failed to complete task clarification. Please try again.');
     }
 }
 
+/**
+ * Empty the question container
+ * The question element references are dropped so they are rebuilt when needed
+ */
+function clearQuestionContainer() {
+    questionContainer.innerHTML = '';
+    questionTitle = null;
+    questionText = null;
+    questionAnswer = null;
+    nextButton = null;
+}
+
+/**
+ * Create a button that stops the model calls made from this page
+ * @returns {HTMLButtonElement} The stop button
+ */
+function createStopButton() {
+    const stopButton = document.createElement('button');
+    stopButton.className = 'stop-button';
+    stopButton.textContent = 'Stop';
+    stopButton.addEventListener('click', () => {
+        stopButton.disabled = true;
+        stopButton.textContent = 'Stopping...';
+        cancelModelCalls('clarification');
+    });
+    return stopButton;
+}
+
+/**
+ * Return to the task entry page, keeping the entered task description
+ */
+function returnToTaskEntry() {
+    if (clarificationPage) clarificationPage.style.display = 'none';
+    const taskEntryPage = document.getElementById('taskEntryPage');
+    if (taskEntryPage) taskEntryPage.style.display = 'flex';
+}
+
+/**
+ * Show that a request was stopped, with buttons for what to do next
+ * @param {string} message - Message describing what was stopped
+ * @param {Array} actions - Array of {label, action} objects for the buttons
+ */
+function showStopped(message, actions) {
+    if (!questionContainer) return;
+
+    questionContainer.classList.remove('loading');
+    clearQuestionContainer();
+
+    const stoppedTitle = document.createElement('h3');
+    stoppedTitle.textContent = 'Stopped';
+    questionContainer.appendChild(stoppedTitle);
+
+    const stoppedText = document.createElement('p');
+    stoppedText.textContent = message;
+    questionContainer.appendChild(stoppedText);
+
+    const buttonGroup = document.createElement('div');
+    buttonGroup.className = 'button-group';
+    buttonGroup.style.marginTop = '20px';
+
+    actions.forEach(({ label, action }, index) => {
+        const button = document.createElement('button');
+        button.className = index === 0 ? 'primary-button' : 'secondary-button';
+        button.textContent = label;
+        button.onclick = action;
+        buttonGroup.appendChild(button);
+    });
+
+    questionContainer.appendChild(buttonGroup);
+}
+
 /**
  * Show an error message in the question container
  * @param {string} message - Error message to display
@@ -512,7 +745,7 @@ function showError(message) {
     }
 
     questionContainer.classList.remove('loading');
-    questionContainer.innerHTML = '';
+    clearQuestionContainer();
 
     // Create error title
     const errorTitle = document.createElement('h3');
@@ -533,7 +766,7 @@ function showError(message) {
     retryButton.onclick = () => {
         const taskDescription = getClarificationState().task;
         if (taskDescription) {
-            handleTaskStart({ detail: { taskDescription } });
+            handleTaskStart({ detail: { taskDescription, keepProject: true } });
         } else {
             // Return to task entry page if task description is missing
             if (clarificationPage) clarificationPage.style.display = 'none';
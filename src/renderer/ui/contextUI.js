@@ -1,26 +1,66 @@
 /**
- * UI component for displaying the global context
+ * UI component for viewing, editing and versioning the global context
  */
 
-import { getCurrentGlobalContext } from '../services/contextService.js';
+import {
+  getCurrentGlobalContext,
+  setGlobalContext,
+  getContextVersions,
+  rollbackGlobalContext,
+  CONTEXT_SOURCES
+} from '../services/contextService.js';
+import { getCurrentTasksData, generateTaskBreakdown } from '../services/taskService.js';
+import { restoreTaskConversations } from '../services/todoService.js';
+import { saveProjectState } from '../services/projectService.js';
+import { isCancelledError } from '../services/modelService.js';
+import { initSimpleMarkdownRenderer } from './markdownRenderer.js';
+import { createDiffView } from './diffView.js';
 
 // DOM elements
 let contextModal;
 let contextContent;
 let closeContextBtn;
 let viewContextBtn;
+let contextTabs;
+let contextNotice;
+let contextEditor;
+let contextPreview;
+let saveContextBtn;
+let cancelContextEditBtn;
+let contextVersionList;
+let contextVersionDiff;
+
+// Panels by tab name
+let panels = {};
+
+let markdownRenderer;
 
 /**
  * Initialize the context UI
  */
 export function initContextUI() {
-  
+
   // Get DOM elements
   contextModal = document.getElementById('contextModal');
   contextContent = document.getElementById('contextContent');
   closeContextBtn = document.getElementById('closeContextBtn');
   viewContextBtn = document.getElementById('viewContextBtn');
-  
+  contextTabs = document.querySelectorAll('.context-tab');
+  contextNotice = document.getElementById('contextNotice');
+  contextEditor = document.getElementById('contextEditor');
+  contextPreview = document.getElementById('contextPreview');
+  saveContextBtn = document.getElementById('saveContextBtn');
+  cancelContextEditBtn = document.getElementById('cancelContextEditBtn');
+  contextVersionList = document.getElementById('contextVersionList');
+  contextVersionDiff = document.getElementById('contextVersionDiff');
+  panels = {
+    view: document.getElementById('contextViewPanel'),
+    edit: document.getElementById('contextEditPanel'),
+    history: document.getElementById('contextHistoryPanel')
+  };
+
+  markdownRenderer = initSimpleMarkdownRenderer();
+
   // Set up event listeners
   setupEventListeners();
 }
@@ -33,21 +73,39 @@ function setupEventListeners() {
   if (viewContextBtn) {
     viewContextBtn.addEventListener('click', showGlobalContextDisplay);
   }
-  
+
   // Close button
   if (closeContextBtn) {
     closeContextBtn.addEventListener('click', () => {
       contextModal.style.display = 'none';
     });
   }
-  
+
   // Close when clicking outside
   window.addEventListener('click', (event) => {
     if (event.target === contextModal) {
       contextModal.style.display = 'none';
     }
   });
-  
+
+  // Switch between viewing, editing and the version history
+  contextTabs.forEach(tab => {
+    tab.addEventListener('click', () => showPanel(tab.dataset.panel));
+  });
+
+  // Keep the preview next to the editor current
+  if (contextEditor) {
+    contextEditor.addEventListener('input', updatePreview);
+  }
+
+  if (saveContextBtn) {
+    saveContextBtn.addEventListener('click', saveEditedContext);
+  }
+
+  if (cancelContextEditBtn) {
+    cancelContextEditBtn.addEventListener('click', () => showPanel('view'));
+  }
+
   // Listen for context updates
   document.addEventListener('contextUpdated', showGlobalContext);
 }
@@ -57,17 +115,24 @@ function setupEventListeners() {
  */
 export function showGlobalContext() {
   const context = getCurrentGlobalContext();
-  
+
   if (!context) {
     contextContent.textContent = 'Global context not available yet.';
   } else {
     contextContent.textContent = context;
   }
-  
+
+  // The history may have a new version
+  if (panels.history && panels.history.style.display !== 'none') {
+    renderVersionList();
+  }
+
   // contextModal.style.display = 'block';
 }
 
 export function showGlobalContextDisplay() {
+  hideNotice();
+  showPanel('view');
   contextModal.style.display = 'block';
 }
 
@@ -79,4 +144,234 @@ export function updateContextContent(newContext) {
   if (contextContent) {
     contextContent.textContent = newContext || 'No context available.';
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Show one of the view, edit and history panels
+ * @param {string} name - The panel name
+ */
+function showPanel(name) {
+  Object.entries(panels).forEach(([panelName, panel]) => {
+    if (panel) panel.style.display = panelName === name ? 'block' : 'none';
+  });
+
+  contextTabs.forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.panel === name);
+  });
+
+  // Editing always starts from the current context
+  if (name === 'edit') {
+    contextEditor.value = getCurrentGlobalContext() || '';
+    updatePreview();
+    contextEditor.focus();
+  }
+
+  if (name === 'history') {
+    renderVersionList();
+  }
+}
+
+/**
+ * Render the editor's markdown preview
+ */
+function updatePreview() {
+  contextPreview.innerHTML = markdownRenderer.render(contextEditor.value);
+}
+
+/**
+ * Save the edited context as a new version
+ */
+function saveEditedContext() {
+  const edited = contextEditor.value;
+
+  if (edited === getCurrentGlobalContext()) {
+    showPanel('view');
+    return;
+  }
+
+  setGlobalContext(edited, 'user');
+  document.dispatchEvent(new CustomEvent('contextUpdated', { detail: { context: edited } }));
+  saveProjectState();
+
+  showPanel('view');
+  showChangedNotice('Your changes were saved as a new version.');
+}
+
+/**
+ * Render the saved versions, newest first
+ */
+function renderVersionList() {
+  const versions = getContextVersions();
+  contextVersionList.innerHTML = '';
+  contextVersionDiff.innerHTML = '';
+
+  if (versions.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'context-version-empty';
+    empty.textContent = 'No versions saved yet.';
+    contextVersionList.appendChild(empty);
+    return;
+  }
+
+  const current = getCurrentGlobalContext() || '';
+
+  versions.slice().reverse().forEach(version => {
+    const previous = versions.find(candidate => candidate.version === version.version - 1);
+    const item = document.createElement('li');
+    item.className = `context-version ${version.source}`;
+
+    const details = document.createElement('div');
+    details.className = 'context-version-details';
+
+    const heading = document.createElement('div');
+    heading.className = 'context-version-heading';
+    heading.textContent = `Version ${version.version} · ${CONTEXT_SOURCES[version.source] || version.source} · ${new Date(version.timestamp).toLocaleString()}`;
+    details.appendChild(heading);
+
+    if (version.note) {
+      const note = document.createElement('div');
+      note.className = 'context-version-note';
+      note.textContent = version.note;
+      details.appendChild(note);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'context-version-actions';
+
+    if (previous) {
+      actions.appendChild(createVersionButton('Changes', () => {
+        showVersionDiff(`Version ${previous.version} → ${version.version}`, previous.content, version.content);
+      }));
+    }
+
+    if (version.content !== current) {
+      actions.appendChild(createVersionButton('Compare with current', () => {
+        showVersionDiff(`Version ${version.version} → current`, version.content, current);
+      }));
+      actions.appendChild(createVersionButton('Restore', () => restoreVersion(version.version)));
+    } else {
+      const currentLabel = document.createElement('span');
+      currentLabel.className = 'context-version-current';
+      currentLabel.textContent = 'Current';
+      actions.appendChild(currentLabel);
+    }
+
+    item.append(details, actions);
+    contextVersionList.appendChild(item);
+  });
+}
+
+/**
+ * Create a small button for a version row
+ * @param {string} label - The button label
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+function createVersionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'context-version-button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Show the diff between two versions below the list
+ * @param {string} title - What is being compared
+ * @param {string} oldText - The older text
+ * @param {string} newText - The newer text
+ */
+function showVersionDiff(title, oldText, newText) {
+  contextVersionDiff.innerHTML = '';
+
+  const heading = document.createElement('h4');
+  heading.textContent = title;
+  contextVersionDiff.append(heading, createDiffView(oldText, newText));
+}
+
+/**
+ * Make an earlier version the current context again
+ * @param {number} versionNumber - The version to restore
+ */
+function restoreVersion(versionNumber) {
+  if (!confirm(`Restore version ${versionNumber} of the global context? The current context stays in the history.`)) {
+    return;
+  }
+
+  try {
+    const context = rollbackGlobalContext(versionNumber);
+    document.dispatchEvent(new CustomEvent('contextUpdated', { detail: { context } }));
+    saveProjectState();
+
+    showPanel('view');
+    showChangedNotice(`Restored version ${versionNumber}.`);
+  } catch (error) {
+    console.error('Error restoring context version:', error);
+    alert(`Could not restore the version: ${error.message}`);
+  }
+}
+
+/**
+ * Tell the user the context changed and offer to regenerate the task breakdown from it
+ * @param {string} message - What changed
+ */
+function showChangedNotice(message) {
+  contextNotice.innerHTML = '';
+
+  const text = document.createElement('span');
+  text.textContent = message;
+  contextNotice.appendChild(text);
+
+  // Only a project that already has tasks has a breakdown to regenerate
+  if (getCurrentTasksData()) {
+    const regenerateButton = document.createElement('button');
+    regenerateButton.className = 'secondary-button';
+    regenerateButton.textContent = 'Regenerate Task Breakdown';
+    regenerateButton.addEventListener('click', () => regenerateTaskBreakdown(regenerateButton));
+    contextNotice.appendChild(regenerateButton);
+  }
+
+  contextNotice.style.display = 'flex';
+}
+
+/**
+ * Hide the notice above the panels
+ */
+function hideNotice() {
+  if (contextNotice) {
+    contextNotice.style.display = 'none';
+    contextNotice.innerHTML = '';
+  }
+}
+
+/**
+ * Replace the to-do list with a new breakdown of the current context
+ * @param {HTMLButtonElement} button - The button that was clicked
+ */
+async function regenerateTaskBreakdown(button) {
+  if (!confirm('Regenerate the task breakdown from the updated context? This replaces the current to-do list and the conversations of its tasks.')) {
+    return;
+  }
+
+  button.disabled = true;
+  button.textContent = 'Regenerating...';
+
+  try {
+    const tasks = await generateTaskBreakdown();
+
+    // The old conversations belong to tasks that no longer exist
+    restoreTaskConversations({});
+    await saveProjectState();
+
+    document.dispatchEvent(new CustomEvent('tasksGenerated', { detail: { tasks } }));
+    hideNotice();
+    contextModal.style.display = 'none';
+  } catch (error) {
+    if (!isCancelledError(error)) {
+      console.error('Error regenerating task breakdown:', error);
+      alert(`Could not regenerate the task breakdown: ${error.message}`);
+    }
+    button.disabled = false;
+    button.textContent = 'Regenerate Task Breakdown';
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * UI component for the task dependency graph
+ * Tasks are laid out in columns by how many dependencies deep they are
+ */
+
+import { getCurrentTasksData, isTaskReady } from '../services/taskService.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Layout sizes in pixels
+const NODE_WIDTH = 170;
+const NODE_HEIGHT = 34;
+const COLUMN_GAP = 60;
+const ROW_GAP = 12;
+const PADDING = 10;
+// Longest title shown in a node; the full title is in its tooltip
+const MAX_LABEL_LENGTH = 24;
+
+// DOM elements
+let dependencyModal;
+let dependencyGraph;
+let closeDependencyBtn;
+let viewDependenciesBtn;
+
+/**
+ * Initialize the dependency graph UI
+ */
+export function initDependencyGraphUI() {
+  dependencyModal = document.getElementById('dependencyModal');
+  dependencyGraph = document.getElementById('dependencyGraph');
+  closeDependencyBtn = document.getElementById('closeDependencyBtn');
+  viewDependenciesBtn = document.getElementById('viewDependenciesBtn');
+
+  if (!dependencyModal || !dependencyGraph || !closeDependencyBtn || !viewDependenciesBtn) {
+    console.error('Dependency graph elements not found');
+    return;
+  }
+
+  viewDependenciesBtn.addEventListener('click', showDependencyGraph);
+
+  closeDependencyBtn.addEventListener('click', () => {
+    dependencyModal.style.display = 'none';
+  });
+
+  // Close when clicking outside
+  window.addEventListener('click', (event) => {
+    if (event.target === dependencyModal) {
+      dependencyModal.style.display = 'none';
+    }
+  });
+}
+
+/**
+ * Show the dependency graph for the current tasks
+ */
+function showDependencyGraph() {
+  dependencyGraph.innerHTML = '';
+
+  const tasks = (getCurrentTasksData()?.sections || []).flatMap(section => section.tasks);
+  if (tasks.length === 0) {
+    dependencyGraph.textContent = 'No tasks available';
+  } else {
+    dependencyGraph.appendChild(createGraph(tasks));
+  }
+
+  dependencyModal.style.display = 'block';
+}
+
+/**
+ * Work out each task's column: one past its deepest dependency
+ * @param {Array<Object>} tasks - All tasks, in list order
+ * @returns {Object} Column index keyed by task ID
+ */
+function computeDepths(tasks) {
+  const tasksById = Object.fromEntries(tasks.map(task => [task.id, task]));
+  const depths = {};
+
+  const depthOf = (taskId) => {
+    if (depths[taskId] !== undefined) return depths[taskId];
+    const dependencies = (tasksById[taskId]?.dependsOn || []).filter(id => tasksById[id]);
+    depths[taskId] = dependencies.length === 0 ? 0 : 1 + Math.max(...dependencies.map(depthOf));
+    return depths[taskId];
+  };
+
+  tasks.forEach(task => depthOf(task.id));
+  return depths;
+}
+
+/**
+ * Get how a task is shown in the graph
+ * @param {Object} task - The task
+ * @returns {string} completed, skipped, ready or blocked
+ */
+function getTaskState(task) {
+  if (task.status === 'completed' || task.status === 'skipped') return task.status;
+  return isTaskReady(task.id) ? 'ready' : 'blocked';
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} name - The element name
+ * @param {Object} attributes - The attributes to set
+ * @returns {SVGElement} The element
+ */
+function createSvgElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+/**
+ * Draw the graph
+ * @param {Array<Object>} tasks - All tasks, in list order
+ * @returns {SVGElement} The graph
+ */
+function createGraph(tasks) {
+  const depths = computeDepths(tasks);
+  const rowsByColumn = [];
+  const positions = {};
+
+  tasks.forEach(task => {
+    const column = depths[task.id];
+    rowsByColumn[column] = (rowsByColumn[column] || 0) + 1;
+    positions[task.id] = {
+      x: PADDING + column * (NODE_WIDTH + COLUMN_GAP),
+      y: PADDING + (rowsByColumn[column] - 1) * (NODE_HEIGHT + ROW_GAP)
+    };
+  });
+
+  const columnCount = rowsByColumn.length;
+  const rowCount = Math.max(...rowsByColumn.map(count => count || 0));
+  const width = PADDING * 2 + columnCount * NODE_WIDTH + (columnCount - 1) * COLUMN_GAP;
+  const height = PADDING * 2 + rowCount * NODE_HEIGHT + (rowCount - 1) * ROW_GAP;
+
+  const svg = createSvgElement('svg', { width, height, class: 'dependency-graph-svg' });
+
+  const defs = createSvgElement('defs');
+  const marker = createSvgElement('marker', {
+    id: 'dependencyArrow',
+    viewBox: '0 0 10 10',
+    refX: 10,
+    refY: 5,
+    markerWidth: 6,
+    markerHeight: 6,
+    orient: 'auto'
+  });
+  marker.appendChild(createSvgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', class: 'dependency-arrow' }));
+  defs.appendChild(marker);
+  svg.appendChild(defs);
+
+  // Edges first so the nodes are drawn over them
+  tasks.forEach(task => {
+    (task.dependsOn || []).filter(id => positions[id]).forEach(dependencyId => {
+      const from = positions[dependencyId];
+      const to = positions[task.id];
+      const startX = from.x + NODE_WIDTH;
+      const startY = from.y + NODE_HEIGHT / 2;
+      const endX = to.x;
+      const endY = to.y + NODE_HEIGHT / 2;
+      const curve = COLUMN_GAP / 2;
+
+      svg.appendChild(createSvgElement('path', {
+        d: `M ${startX} ${startY} C ${startX + curve} ${startY}, ${endX - curve} ${endY}, ${endX} ${endY}`,
+        class: 'dependency-edge',
+        'marker-end': 'url(#dependencyArrow)'
+      }));
+    });
+  });
+
+  tasks.forEach(task => {
+    const { x, y } = positions[task.id];
+    const node = createSvgElement('g', { class: `dependency-node ${getTaskState(task)}` });
+
+    const title = createSvgElement('title');
+    title.textContent = task.title;
+
+    const label = createSvgElement('text', { x: x + 8, y: y + NODE_HEIGHT / 2 + 4 });
+    label.textContent = task.title.length > MAX_LABEL_LENGTH
+      ? `${task.title.slice(0, MAX_LABEL_LENGTH - 1)}…`
+      : task.title;
+
+    node.append(
+      title,
+      createSvgElement('rect', { x, y, width: NODE_WIDTH, height: NODE_HEIGHT, rx: 6 }),
+      label
+    );
+    svg.appendChild(node);
+  });
+
+  return svg;
+}
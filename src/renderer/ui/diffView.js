@@ -0,0 +1,110 @@
+/**
+ * Line diff rendering for proposed changes
+ */
+
+// Unchanged lines shown around each change; longer unchanged runs are collapsed
+const CONTEXT_LINES = 2;
+
+// Above this many line comparisons the diff shows a full replacement instead
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Compute a line diff between two texts
+ * @param {string} oldText - The original text
+ * @param {string} newText - The changed text
+ * @returns {Array<Object>} Array of {type: 'same'|'added'|'removed', text}
+ */
+export function computeLineDiff(oldText, newText) {
+  const oldLines = (oldText || '').split('\n');
+  const newLines = (newText || '').split('\n');
+
+  if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+    return [
+      ...oldLines.map(text => ({ type: 'removed', text })),
+      ...newLines.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // Longest common subsequence lengths, filled from the end
+  const lengths = Array.from({ length: oldLines.length + 1 }, () => new Uint32Array(newLines.length + 1));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[i] === newLines[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      diff.push({ type: 'same', text: oldLines[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ type: 'removed', text: oldLines[i++] });
+    } else {
+      diff.push({ type: 'added', text: newLines[j++] });
+    }
+  }
+
+  while (i < oldLines.length) diff.push({ type: 'removed', text: oldLines[i++] });
+  while (j < newLines.length) diff.push({ type: 'added', text: newLines[j++] });
+
+  return diff;
+}
+
+/**
+ * Create an element showing the line diff between two texts
+ * @param {string} oldText - The original text
+ * @param {string} newText - The changed text
+ * @returns {HTMLElement} The diff element
+ */
+export function createDiffView(oldText, newText) {
+  const diff = computeLineDiff(oldText, newText);
+  const container = document.createElement('pre');
+  container.className = 'diff-view';
+
+  // Lines near a change stay visible; the rest collapse into a marker
+  const visible = diff.map(() => false);
+  diff.forEach((line, index) => {
+    if (line.type === 'same') return;
+    for (let offset = -CONTEXT_LINES; offset <= CONTEXT_LINES; offset++) {
+      if (diff[index + offset]) visible[index + offset] = true;
+    }
+  });
+
+  let hiddenCount = 0;
+
+  /**
+   * Add a marker for the unchanged lines skipped so far
+   */
+  const flushHidden = () => {
+    if (hiddenCount === 0) return;
+    const marker = document.createElement('div');
+    marker.className = 'diff-line diff-skipped';
+    marker.textContent = `… ${hiddenCount} unchanged line${hiddenCount === 1 ? '' : 's'}`;
+    container.appendChild(marker);
+    hiddenCount = 0;
+  };
+
+  diff.forEach((line, index) => {
+    if (!visible[index]) {
+      hiddenCount++;
+      return;
+    }
+
+    flushHidden();
+    const lineElement = document.createElement('div');
+    const prefix = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+    lineElement.className = `diff-line diff-${line.type}`;
+    lineElement.textContent = `${prefix} ${line.text}`;
+    container.appendChild(lineElement);
+  });
+
+  flushHidden();
+  return container;
+}
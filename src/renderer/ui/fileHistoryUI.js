@@ -0,0 +1,226 @@
+/**
+ * UI component for the history of project files
+ * Lists the versions saved before each write and restores any of them
+ */
+
+import fileService from '../services/fileService.js';
+import { getTaskById } from '../services/taskService.js';
+import { createDiffView } from './diffView.js';
+
+// How each kind of snapshot is described
+const SNAPSHOT_LABELS = {
+  write: 'Before AI write',
+  restore: 'Before restore',
+  undo: 'Before undo'
+};
+
+// DOM elements
+let fileHistoryModal;
+let fileHistoryFiles;
+let fileHistoryVersions;
+let fileHistoryDiff;
+let closeFileHistoryBtn;
+let viewFileHistoryBtn;
+
+// The file whose versions are shown
+let selectedPath = null;
+
+/**
+ * Initialize the file history UI
+ */
+export function initFileHistoryUI() {
+  fileHistoryModal = document.getElementById('fileHistoryModal');
+  fileHistoryFiles = document.getElementById('fileHistoryFiles');
+  fileHistoryVersions = document.getElementById('fileHistoryVersions');
+  fileHistoryDiff = document.getElementById('fileHistoryDiff');
+  closeFileHistoryBtn = document.getElementById('closeFileHistoryBtn');
+  viewFileHistoryBtn = document.getElementById('viewFileHistoryBtn');
+
+  if (!fileHistoryModal || !fileHistoryFiles || !fileHistoryVersions || !closeFileHistoryBtn || !viewFileHistoryBtn) {
+    console.error('File history elements not found');
+    return;
+  }
+
+  viewFileHistoryBtn.addEventListener('click', showFileHistory);
+
+  closeFileHistoryBtn.addEventListener('click', () => {
+    fileHistoryModal.style.display = 'none';
+  });
+
+  // Close when clicking outside
+  window.addEventListener('click', (event) => {
+    if (event.target === fileHistoryModal) {
+      fileHistoryModal.style.display = 'none';
+    }
+  });
+}
+
+/**
+ * Show the files that have earlier versions
+ */
+async function showFileHistory() {
+  selectedPath = null;
+  fileHistoryModal.style.display = 'block';
+  await renderFileList();
+}
+
+/**
+ * Render the list of files with snapshots, and the versions of the selected one
+ */
+async function renderFileList() {
+  fileHistoryFiles.innerHTML = '';
+  fileHistoryVersions.innerHTML = '';
+  fileHistoryDiff.innerHTML = '';
+
+  let snapshots = [];
+  try {
+    snapshots = await fileService.listSnapshots();
+  } catch (error) {
+    fileHistoryFiles.textContent = `Could not load the file history: ${error.message}`;
+    return;
+  }
+
+  const paths = [...new Set(snapshots.map(snapshot => snapshot.path))].sort();
+  if (paths.length === 0) {
+    fileHistoryFiles.textContent = 'No files have been changed yet.';
+    return;
+  }
+
+  paths.forEach(path => {
+    const item = document.createElement('li');
+    item.className = 'file-history-file';
+    item.classList.toggle('selected', path === selectedPath);
+    item.textContent = path;
+    item.title = path;
+    item.addEventListener('click', () => {
+      selectedPath = path;
+      fileHistoryFiles.querySelectorAll('.file-history-file').forEach(other => {
+        other.classList.toggle('selected', other === item);
+      });
+      renderVersions(snapshots.filter(snapshot => snapshot.path === path));
+    });
+    fileHistoryFiles.appendChild(item);
+  });
+
+  if (selectedPath && paths.includes(selectedPath)) {
+    renderVersions(snapshots.filter(snapshot => snapshot.path === selectedPath));
+  }
+}
+
+/**
+ * Render the saved versions of a file, newest first
+ * @param {Array<Object>} snapshots - The file's snapshots, newest first
+ */
+function renderVersions(snapshots) {
+  fileHistoryVersions.innerHTML = '';
+  fileHistoryDiff.innerHTML = '';
+
+  snapshots.forEach(snapshot => {
+    const item = document.createElement('li');
+    item.className = 'file-history-version';
+
+    const heading = document.createElement('div');
+    heading.className = 'file-history-version-heading';
+    const details = [
+      SNAPSHOT_LABELS[snapshot.reason] || snapshot.reason,
+      new Date(snapshot.timestamp).toLocaleString()
+    ];
+    const task = snapshot.taskId ? getTaskById(snapshot.taskId) : null;
+    if (task) details.push(task.title);
+    heading.textContent = details.join(' · ');
+    item.appendChild(heading);
+
+    if (!snapshot.existed) {
+      const note = document.createElement('div');
+      note.className = 'file-history-version-note';
+      note.textContent = 'The file did not exist yet; restoring this version deletes it.';
+      item.appendChild(note);
+    } else if (snapshot.binary) {
+      const note = document.createElement('div');
+      note.className = 'file-history-version-note';
+      note.textContent = 'Binary file; this version can be restored but not compared.';
+      item.appendChild(note);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'file-history-version-actions';
+    actions.append(
+      createButton('Compare with current', () => showVersionDiff(snapshot)),
+      createButton('Restore', () => restoreVersion(snapshot))
+    );
+    item.appendChild(actions);
+
+    fileHistoryVersions.appendChild(item);
+  });
+}
+
+/**
+ * Create a small button for a version row
+ * @param {string} label - The button label
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} The button
+ */
+function createButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'file-history-button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Show how the file changed from a saved version to its current content
+ * @param {Object} snapshot - The snapshot
+ */
+async function showVersionDiff(snapshot) {
+  fileHistoryDiff.innerHTML = '';
+
+  if (snapshot.binary) {
+    fileHistoryDiff.textContent = `${snapshot.path} was a binary file in this version, so the versions can't be compared.`;
+    return;
+  }
+
+  try {
+    const savedContent = await fileService.readSnapshot(snapshot.id);
+    let currentContent = '';
+    try {
+      currentContent = await fileService.readFile(snapshot.path);
+    } catch (error) {
+      // A file that was deleted since is compared as empty
+    }
+
+    const heading = document.createElement('h4');
+    heading.textContent = `${snapshot.path}: ${new Date(snapshot.timestamp).toLocaleString()} → current`;
+
+    // A binary file read as text is garbage, so it isn't compared
+    if (currentContent.includes('\u0000')) {
+      const note = document.createElement('p');
+      note.className = 'file-history-version-note';
+      note.textContent = 'The current file is binary, so the versions can\'t be compared.';
+      fileHistoryDiff.append(heading, note);
+      return;
+    }
+
+    fileHistoryDiff.append(heading, createDiffView(savedContent || '', currentContent));
+  } catch (error) {
+    fileHistoryDiff.textContent = `Could not compare the versions: ${error.message}`;
+  }
+}
+
+/**
+ * Put a file back to a saved version
+ * @param {Object} snapshot - The snapshot to restore
+ */
+async function restoreVersion(snapshot) {
+  if (!confirm(`Restore ${snapshot.path} to the version from ${new Date(snapshot.timestamp).toLocaleString()}? The current content stays in the history.`)) {
+    return;
+  }
+
+  try {
+    await fileService.restoreSnapshot(snapshot.id);
+    await renderFileList();
+  } catch (error) {
+    console.error('Error restoring file version:', error);
+    alert(`Could not restore the version: ${error.message}`);
+  }
+}
@@ -9,10 +9,100 @@
 export function initSimpleMarkdownRenderer() {
     return {
       render: renderBasicMarkdown,
+      renderStreaming: renderStreamingMarkdown,
       setupCopyButtons: setupCodeCopyButtons // Added back for compatibility
     };
   }
   
+  /**
+   * Render a partial, still-streaming response
+   * File requests, <file>, <edit> and <patch> blocks and file operation tags are replaced with
+   * status notes until they are complete, so raw protocol text never flashes up in the conversation
+   * @param {string} text - The response text received so far
+   * @returns {string} - HTML output
+   */
+  function renderStreamingMarkdown(text) {
+    if (!text) {
+      return streamingStatus('Thinking...');
+    }
+    
+    let visible = text;
+    
+    // Reasoning that some local models inline before their answer
+    visible = visible.replace(/<think>[\s\S]*?(<\/think>|$)/g, '');
+    if (!visible.trim()) {
+      return streamingStatus('Thinking...');
+    }
+    
+    // Completed file and edit blocks are applied once the whole response has arrived
+    visible = visible.replace(/<(file|edit|patch)>[\s\S]*?<\/\1><name:"(.*?)">/g, (match, tag, path) =>
+      streamingStatus(`Preparing file: <code>${escapeHtml(path)}</code>`)
+    );
+    
+    // Delete, move and create-folder tags are confirmed by the user afterwards
+    visible = visible.replace(/<(delete|move|mkdir) [^<>]*\/>/g, streamingStatus('Preparing file operation...'));
+    
+    // Any remaining opening tag is still being written
+    const openTagIndex = visible.search(/<(file|edit|patch)>/);
+    if (openTagIndex !== -1) {
+      visible = visible.slice(0, openTagIndex) + streamingStatus('Writing file...');
+    } else {
+      visible = ['<file>', '<edit>', '<patch>'].reduce(trimPartialTag, visible);
+    }
+    
+    // Complete file requests are processed behind the scenes
+    visible = visible.replace(/\{"files":\s*\[(.*?)\]\}/g, streamingStatus('Reading project files...'));
+    visible = trimPartialFileRequest(visible);
+    
+    return renderBasicMarkdown(visible);
+  }
+  
+  /**
+   * Build a small status note shown in place of hidden content
+   * @param {string} html - The status HTML
+   * @returns {string} - HTML output
+   */
+  function streamingStatus(html) {
+    return `<span class="streaming-status">${html}</span>`;
+  }
+  
+  /**
+   * Remove a tag that has only partially arrived at the end of the text (e.g. "<fi")
+   * @param {string} text - The text to trim
+   * @param {string} tag - The full tag
+   * @returns {string} - The trimmed text
+   */
+  function trimPartialTag(text, tag) {
+    for (let length = tag.length - 1; length > 0; length--) {
+      if (text.endsWith(tag.slice(0, length))) {
+        return text.slice(0, -length);
+      }
+    }
+    return text;
+  }
+  
+  /**
+   * Remove a {"files": [...]} request that is still arriving at the end of the text
+   * @param {string} text - The text to trim
+   * @returns {string} - The trimmed text
+   */
+  function trimPartialFileRequest(text) {
+    const braceIndex = text.lastIndexOf('{');
+    if (braceIndex === -1) return text;
+    
+    const tail = text.slice(braceIndex);
+    if (tail.includes('}')) return text;
+    
+    const compactTail = tail.replace(/\s/g, '');
+    const requestStart = '{"files":[';
+    
+    if (compactTail.startsWith(requestStart) || requestStart.startsWith(compactTail)) {
+      return text.slice(0, braceIndex) + streamingStatus('Reading project files...');
+    }
+    
+    return text;
+  }
+  
   /**
    * Render markdown to HTML - extremely simplified version
    * @param {string} text - Markdown text to render
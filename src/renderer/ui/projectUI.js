@@ -0,0 +1,217 @@
+/**
+ * UI for the project library on the task entry page
+ * Lists the saved projects and lets the user open, rename, duplicate, archive or delete them
+ */
+
+import {
+  listProjects,
+  openProject,
+  renameProject,
+  duplicateProject,
+  archiveProject,
+  deleteProject
+} from '../services/projectService.js';
+
+// Labels for the stage a project resumes at
+const STAGE_LABELS = {
+  clarification: 'Clarifying the task',
+  context: 'Writing the global context',
+  breakdown: 'Breaking down the tasks',
+  execution: 'Working through the to-do list'
+};
+
+// DOM elements
+let projectLibrary;
+let projectList;
+let showArchivedToggle;
+
+/**
+ * Initialize the project UI
+ */
+export function initProjectUI() {
+  projectLibrary = document.getElementById('projectLibrary');
+  projectList = document.getElementById('projectList');
+  showArchivedToggle = document.getElementById('showArchivedProjects');
+
+  if (!projectLibrary || !projectList || !showArchivedToggle) {
+    console.error('Project library elements not found');
+    return;
+  }
+
+  showArchivedToggle.addEventListener('change', refreshProjectLibrary);
+  refreshProjectLibrary();
+
+  // Keep the library in step with the project being worked on
+  document.addEventListener('projectSaved', refreshProjectLibrary);
+}
+
+/**
+ * Render the saved projects, hiding archived ones unless asked for
+ */
+async function refreshProjectLibrary() {
+  const projects = await listProjects();
+  const showArchived = showArchivedToggle.checked;
+  const visibleProjects = projects.filter(project => showArchived || !project.archived);
+
+  // Hide the whole panel until there is something to show
+  projectLibrary.style.display = projects.length > 0 ? 'block' : 'none';
+  projectList.innerHTML = '';
+
+  if (visibleProjects.length === 0) {
+    const emptyMessage = document.createElement('div');
+    emptyMessage.className = 'project-list-empty';
+    emptyMessage.textContent = 'All projects are archived';
+    projectList.appendChild(emptyMessage);
+    return;
+  }
+
+  visibleProjects.forEach(project => {
+    projectList.appendChild(createProjectRow(project));
+  });
+}
+
+/**
+ * Create the row for one project
+ * @param {Object} project - The project's index entry
+ * @returns {HTMLElement} The row element
+ */
+function createProjectRow(project) {
+  const row = document.createElement('div');
+  row.className = `project-row${project.archived ? ' archived' : ''}`;
+
+  const details = document.createElement('div');
+  details.className = 'project-details';
+
+  const title = document.createElement('div');
+  title.className = 'project-title';
+  title.textContent = project.title;
+  title.title = project.title;
+
+  const folder = document.createElement('div');
+  folder.className = 'project-folder';
+  folder.textContent = project.projectFolder || 'No folder linked';
+  folder.title = project.projectFolder || '';
+
+  const progress = document.createElement('div');
+  progress.className = 'project-progress';
+  const taskCount = project.totalTasks > 0
+    ? ` · ${project.completedTasks}/${project.totalTasks} tasks`
+    : '';
+  progress.textContent = `${STAGE_LABELS[project.stage] || project.stage}${taskCount} · ${new Date(project.lastModified).toLocaleString()}`;
+
+  details.append(title, folder, progress);
+
+  const actions = document.createElement('div');
+  actions.className = 'project-actions';
+  actions.append(
+    createActionButton('Open', () => handleOpen(project)),
+    createActionButton('Rename', () => startRename(row, title, project)),
+    createActionButton('Duplicate', () => runAction(() => duplicateProject(project.id), 'duplicate')),
+    createActionButton(project.archived ? 'Unarchive' : 'Archive', () =>
+      runAction(() => archiveProject(project.id, !project.archived), 'archive')),
+    createActionButton('Delete', () => handleDelete(project), 'danger')
+  );
+
+  row.append(details, actions);
+  return row;
+}
+
+/**
+ * Create a small action button
+ * @param {string} label - The button label
+ * @param {Function} onClick - Click handler
+ * @param {string} [extraClass] - Additional class name
+ * @returns {HTMLButtonElement} The button
+ */
+function createActionButton(label, onClick, extraClass = '') {
+  const button = document.createElement('button');
+  button.className = `project-action-button ${extraClass}`.trim();
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Run a library action and refresh the list afterwards
+ * @param {Function} action - Async function performing the action
+ * @param {string} actionName - Name used in the error message
+ */
+async function runAction(action, actionName) {
+  try {
+    await action();
+  } catch (error) {
+    console.error(`Error running project ${actionName}:`, error);
+    alert(`Could not ${actionName} the project: ${error.message}`);
+  }
+
+  refreshProjectLibrary();
+}
+
+/**
+ * Open a saved project; the pages resume it from its saved stage
+ * @param {Object} project - The project's index entry
+ */
+async function handleOpen(project) {
+  try {
+    await openProject(project.id);
+  } catch (error) {
+    console.error('Error opening project:', error);
+    alert(`Could not open the project: ${error.message}`);
+  }
+}
+
+/**
+ * Swap the project title for an input so it can be renamed in place
+ * Enter saves the new title, Escape or leaving the field cancels
+ * @param {HTMLElement} row - The project row
+ * @param {HTMLElement} titleElement - The title element to replace
+ * @param {Object} project - The project's index entry
+ */
+function startRename(row, titleElement, project) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'project-title-input';
+  input.value = project.title;
+
+  let finished = false;
+
+  /**
+   * Leave rename mode, saving the title if requested
+   * @param {boolean} save - Whether to save the new title
+   */
+  const finish = (save) => {
+    if (finished) return;
+    finished = true;
+
+    const newTitle = input.value.trim();
+    if (save && newTitle && newTitle !== project.title) {
+      runAction(() => renameProject(project.id, newTitle), 'rename');
+    } else {
+      input.replaceWith(titleElement);
+    }
+  };
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      finish(true);
+    } else if (event.key === 'Escape') {
+      finish(false);
+    }
+  });
+  input.addEventListener('blur', () => finish(false));
+
+  titleElement.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+/**
+ * Delete a project after the user confirms
+ * @param {Object} project - The project's index entry
+ */
+function handleDelete(project) {
+  const confirmed = confirm(`Delete "${project.title}"? Its saved conversations, context and to-do list will be removed. Files in the project folder are not touched.`);
+  if (!confirmed) return;
+
+  runAction(() => deleteProject(project.id), 'delete');
+}
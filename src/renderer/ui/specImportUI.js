@@ -0,0 +1,267 @@
+/**
+ * UI component for starting a project from an existing spec instead of the
+ * clarification questions
+ */
+
+import fileService from '../services/fileService.js';
+
+// Project files offered for import
+const DOCUMENT_EXTENSIONS = ['.md', '.markdown', '.txt', '.rst'];
+// Folders whose files are never offered
+const IGNORED_FOLDERS = ['node_modules', '.git'];
+
+// DOM elements
+let specImportModal;
+let importSpecButton;
+let chooseSpecDocumentsBtn;
+let pickProjectFilesBtn;
+let projectFilePicker;
+let specDocumentList;
+let askSpecQuestions;
+let startSpecImportBtn;
+
+// Documents chosen so far, as {name, path, content, fromProject}
+let documents = [];
+
+/**
+ * Initialize the spec import UI
+ */
+export function initSpecImportUI() {
+  specImportModal = document.getElementById('specImportModal');
+  importSpecButton = document.getElementById('importSpecButton');
+  chooseSpecDocumentsBtn = document.getElementById('chooseSpecDocumentsBtn');
+  pickProjectFilesBtn = document.getElementById('pickProjectFilesBtn');
+  projectFilePicker = document.getElementById('projectFilePicker');
+  specDocumentList = document.getElementById('specDocumentList');
+  askSpecQuestions = document.getElementById('askSpecQuestions');
+  startSpecImportBtn = document.getElementById('startSpecImportBtn');
+
+  if (!specImportModal || !importSpecButton || !specDocumentList || !startSpecImportBtn) {
+    console.error('Spec import elements not found');
+    return;
+  }
+
+  importSpecButton.addEventListener('click', openModal);
+  chooseSpecDocumentsBtn.addEventListener('click', chooseDocuments);
+  pickProjectFilesBtn.addEventListener('click', showProjectFilePicker);
+  startSpecImportBtn.addEventListener('click', startImport);
+
+  document.getElementById('closeSpecImportBtn').addEventListener('click', closeModal);
+  document.getElementById('cancelSpecImportBtn').addEventListener('click', closeModal);
+
+  // Close when clicking outside
+  window.addEventListener('click', (event) => {
+    if (event.target === specImportModal) {
+      closeModal();
+    }
+  });
+}
+
+/**
+ * Show the import modal with nothing chosen yet
+ */
+function openModal() {
+  documents = [];
+  projectFilePicker.style.display = 'none';
+  projectFilePicker.innerHTML = '';
+  renderDocumentList();
+  specImportModal.style.display = 'block';
+}
+
+/**
+ * Hide the import modal
+ */
+function closeModal() {
+  specImportModal.style.display = 'none';
+}
+
+/**
+ * Add documents, replacing any chosen before from the same path
+ * @param {Array<Object>} added - The documents to add
+ */
+function addDocuments(added) {
+  added.forEach(entry => {
+    documents = documents.filter(existing => existing.path !== entry.path);
+    documents.push(entry);
+  });
+  renderDocumentList();
+}
+
+/**
+ * Let the user choose documents from anywhere on disk
+ */
+async function chooseDocuments() {
+  try {
+    const chosen = await fileService.selectDocuments();
+    const failed = chosen.filter(entry => entry.error);
+
+    if (failed.length > 0) {
+      alert(`Could not import:\n${failed.map(entry => `${entry.name}: ${entry.error}`).join('\n')}`);
+    }
+
+    addDocuments(chosen
+      .filter(entry => !entry.error)
+      .map(({ name, path, content }) => ({ name, path, content, fromProject: false })));
+  } catch (error) {
+    alert(`Could not open the documents: ${error.message}`);
+  }
+}
+
+/**
+ * Let the user pick a project folder and tick the documents in it to import
+ */
+async function showProjectFilePicker() {
+  const folderPath = await fileService.selectFolder();
+  if (!folderPath) return;
+
+  // A new folder makes documents picked from the previous one meaningless
+  documents = documents.filter(entry => !entry.fromProject);
+  renderDocumentList();
+
+  let files = [];
+  try {
+    files = (await fileService.listAllFiles()).filter(isDocumentFile).sort();
+  } catch (error) {
+    alert(`Could not list the project files: ${error.message}`);
+    return;
+  }
+
+  projectFilePicker.innerHTML = '';
+  projectFilePicker.style.display = 'block';
+
+  const heading = document.createElement('p');
+  heading.className = 'spec-import-folder';
+  heading.textContent = folderPath;
+  projectFilePicker.appendChild(heading);
+
+  if (files.length === 0) {
+    const empty = document.createElement('p');
+    empty.textContent = `No ${DOCUMENT_EXTENSIONS.join(', ')} files in this folder.`;
+    projectFilePicker.appendChild(empty);
+    return;
+  }
+
+  const checkboxes = files.map(file => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = file;
+    label.append(checkbox, ` ${file}`);
+    projectFilePicker.appendChild(label);
+    return checkbox;
+  });
+
+  const addButton = document.createElement('button');
+  addButton.className = 'secondary-button';
+  addButton.textContent = 'Add Selected Files';
+  addButton.addEventListener('click', async () => {
+    const picked = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+    if (picked.length === 0) return;
+
+    try {
+      const read = await Promise.all(picked.map(async file => ({
+        name: file,
+        path: file,
+        content: await fileService.readFile(file),
+        fromProject: true
+      })));
+      addDocuments(read);
+      projectFilePicker.style.display = 'none';
+    } catch (error) {
+      alert(`Could not read the files: ${error.message}`);
+    }
+  });
+  projectFilePicker.appendChild(addButton);
+}
+
+/**
+ * Check whether a project file can be imported as a spec
+ * @param {string} file - Path relative to the project folder
+ * @returns {boolean} True for text documents outside ignored folders
+ */
+function isDocumentFile(file) {
+  const parts = file.split(/[\\/]/);
+  if (parts.some(part => IGNORED_FOLDERS.includes(part))) return false;
+  const lower = file.toLowerCase();
+  return DOCUMENT_EXTENSIONS.some(extension => lower.endsWith(extension));
+}
+
+/**
+ * Show the chosen documents
+ */
+function renderDocumentList() {
+  specDocumentList.innerHTML = '';
+
+  documents.forEach(entry => {
+    const item = document.createElement('li');
+
+    const name = document.createElement('span');
+    name.textContent = `${entry.name} (${entry.content.length.toLocaleString()} characters)`;
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'spec-document-remove';
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove';
+    removeButton.addEventListener('click', () => {
+      documents = documents.filter(existing => existing !== entry);
+      renderDocumentList();
+    });
+
+    item.append(name, removeButton);
+    specDocumentList.appendChild(item);
+  });
+
+  startSpecImportBtn.disabled = documents.length === 0;
+}
+
+/**
+ * Combine the chosen documents into one spec
+ * @returns {string} The spec text
+ */
+function combineDocuments() {
+  if (documents.length === 1) {
+    return documents[0].content.trim();
+  }
+  return documents.map(entry => `## ${entry.name}\n\n${entry.content.trim()}`).join('\n\n');
+}
+
+/**
+ * Work out the task description: the one entered on the main page, else the spec's first heading
+ * @param {string} spec - The combined spec
+ * @returns {string} The task description
+ */
+function getTaskDescription(spec) {
+  const entered = document.getElementById('initialTaskDescription')?.value.trim();
+  if (entered) return entered;
+
+  const heading = spec.match(/^#+\s+(.+)$/m);
+  return heading ? heading[1].trim() : `Implement the spec in ${documents[0].name}`;
+}
+
+/**
+ * Start a project from the chosen documents
+ */
+function startImport() {
+  const spec = combineDocuments();
+  if (!spec) {
+    alert('The chosen documents are empty.');
+    return;
+  }
+
+  closeModal();
+
+  const taskEntryPage = document.getElementById('taskEntryPage');
+  const clarificationPage = document.getElementById('taskClarificationPage');
+  if (taskEntryPage) taskEntryPage.style.display = 'none';
+  if (clarificationPage) clarificationPage.style.display = 'flex';
+
+  document.dispatchEvent(new CustomEvent('specImportStart', {
+    detail: {
+      taskDescription: getTaskDescription(spec),
+      spec,
+      documentNames: documents.map(entry => entry.name),
+      askQuestions: askSpecQuestions.checked,
+      keepProjectFolder: documents.some(entry => entry.fromProject)
+    }
+  }));
+}
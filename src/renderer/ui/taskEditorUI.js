@@ -0,0 +1,373 @@
+/**
+ * UI for editing the task breakdown: rename, add, split, delete, drag to reorder
+ * and regenerate sections and tasks in place of the to-do list
+ */
+
+import {
+  addSection,
+  renameSection,
+  deleteSection,
+  moveSection,
+  addTask,
+  updateTask,
+  deleteTask,
+  moveTask,
+  splitTask,
+  regenerateSection
+} from '../services/taskEditService.js';
+import { getCurrentTasksData } from '../services/taskService.js';
+import { saveProjectState } from '../services/projectService.js';
+import { renderTaskList } from './todoUI.js';
+
+// DOM elements
+let todoList;
+let editTasksBtn;
+
+// Current state
+let editing = false;
+// The section or task being dragged, as {type: 'section', sectionIndex} or {type: 'task', taskId}
+let dragged = null;
+
+/**
+ * Initialize the task editor UI
+ */
+export function initTaskEditorUI() {
+  todoList = document.getElementById('todoList');
+  editTasksBtn = document.getElementById('editTasksBtn');
+
+  if (!todoList || !editTasksBtn) {
+    console.error('Task editor elements not found');
+    return;
+  }
+
+  editTasksBtn.addEventListener('click', () => {
+    if (editing) {
+      stopEditing();
+    } else {
+      startEditing();
+    }
+  });
+
+  // A reopened project or a new breakdown starts with the normal to-do list
+  ['projectOpened', 'tasksGenerated'].forEach(eventName => {
+    document.addEventListener(eventName, () => {
+      if (editing) stopEditing();
+    });
+  });
+}
+
+/**
+ * Check whether the to-do list is in editing mode
+ * @returns {boolean} True while the editor is shown
+ */
+export function isEditingTasks() {
+  return editing;
+}
+
+/**
+ * Switch the to-do list to editing mode
+ */
+function startEditing() {
+  if (!getCurrentTasksData()) return;
+
+  editing = true;
+  editTasksBtn.textContent = 'Done Editing';
+  todoList.classList.add('editing');
+  renderEditor();
+}
+
+/**
+ * Leave editing mode and show the normal to-do list again
+ */
+function stopEditing() {
+  editing = false;
+  editTasksBtn.textContent = 'Edit Tasks';
+  todoList.classList.remove('editing');
+  renderTaskList();
+}
+
+/**
+ * Run an edit, save the project and show the result
+ * @param {Function} edit - The edit to run; may be async
+ * @param {boolean} [rerender] - Whether to re-render the editor afterwards
+ * @returns {Promise<boolean>} True if the edit succeeded
+ */
+async function runEdit(edit, rerender = true) {
+  try {
+    await edit();
+    saveProjectState();
+    if (rerender && editing) renderEditor();
+    return true;
+  } catch (error) {
+    console.error('Error editing tasks:', error);
+    alert(`Could not change the tasks: ${error.message}`);
+    if (editing) renderEditor();
+    return false;
+  }
+}
+
+/**
+ * Render the editable sections and tasks
+ */
+function renderEditor() {
+  const tasksData = getCurrentTasksData();
+  todoList.innerHTML = '';
+
+  if (!tasksData) return;
+
+  tasksData.sections.forEach((section, sectionIndex) => {
+    todoList.appendChild(createSectionRow(section, sectionIndex));
+
+    section.tasks.forEach((task, position) => {
+      todoList.appendChild(createTaskRow(task, sectionIndex, position));
+    });
+
+    const addTaskRow = document.createElement('li');
+    addTaskRow.className = 'task-editor-add';
+    addTaskRow.appendChild(createButton('+ Add task', () => runEdit(() =>
+      addTask(sectionIndex, { title: 'New task', description: 'Describe what this task covers' })
+    )));
+    todoList.appendChild(addTaskRow);
+  });
+
+  const addSectionRow = document.createElement('li');
+  addSectionRow.className = 'task-editor-add';
+  addSectionRow.appendChild(createButton('+ Add section', () => runEdit(() => addSection('New section'))));
+  todoList.appendChild(addSectionRow);
+}
+
+/**
+ * Create the editable row for a section
+ * @param {Object} section - The section
+ * @param {number} sectionIndex - The section index
+ * @returns {HTMLElement} The row
+ */
+function createSectionRow(section, sectionIndex) {
+  const row = document.createElement('li');
+  row.className = 'task-editor-section';
+
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.className = 'task-editor-section-title';
+  titleInput.value = section.title;
+  titleInput.addEventListener('change', () => {
+    runEdit(() => renameSection(sectionIndex, titleInput.value), false);
+  });
+
+  const regenerateButton = createButton('Regenerate', async () => {
+    regenerateButton.disabled = true;
+    regenerateButton.textContent = 'Regenerating...';
+    await runEdit(() => regenerateSection(sectionIndex));
+  });
+  regenerateButton.title = 'Ask the model to re-plan the unfinished tasks in this section';
+
+  const deleteButton = createButton('Delete', () => {
+    if (confirm(`Delete the section "${section.title}" and its ${section.tasks.length} tasks?`)) {
+      runEdit(() => deleteSection(sectionIndex));
+    }
+  }, 'danger');
+
+  row.append(createDragHandle(row, { type: 'section', sectionIndex }), titleInput, regenerateButton, deleteButton);
+  setupDropTarget(row, sectionIndex, null);
+  return row;
+}
+
+/**
+ * Create the editable row for a task
+ * @param {Object} task - The task
+ * @param {number} sectionIndex - The index of the task's section
+ * @param {number} position - The task's index in its section
+ * @returns {HTMLElement} The row
+ */
+function createTaskRow(task, sectionIndex, position) {
+  const row = document.createElement('li');
+  row.className = `task-editor-task ${task.status}`;
+
+  const header = document.createElement('div');
+  header.className = 'task-editor-task-header';
+
+  const titleInput = document.createElement('input');
+  titleInput.type = 'text';
+  titleInput.className = 'task-editor-task-title';
+  titleInput.value = task.title;
+  titleInput.addEventListener('change', () => {
+    runEdit(() => updateTask(task.id, { title: titleInput.value }), false);
+  });
+
+  const splitButton = createButton('Split', () => runEdit(() => splitTask(task.id)));
+  splitButton.title = 'Split into two tasks';
+
+  const deleteButton = createButton('Delete', () => {
+    if (confirm(`Delete the task "${task.title}"?`)) {
+      runEdit(() => deleteTask(task.id));
+    }
+  }, 'danger');
+
+  header.append(createDragHandle(row, { type: 'task', taskId: task.id }), titleInput, splitButton, deleteButton);
+
+  const descriptionInput = document.createElement('textarea');
+  descriptionInput.className = 'task-editor-task-description';
+  descriptionInput.rows = 2;
+  descriptionInput.value = task.description;
+  descriptionInput.addEventListener('change', () => {
+    runEdit(() => updateTask(task.id, { description: descriptionInput.value }), false);
+  });
+
+  row.append(header, descriptionInput, createDependencySelect(task));
+  setupDropTarget(row, sectionIndex, position);
+  return row;
+}
+
+/**
+ * Create the picker for the tasks a task depends on
+ * @param {Object} task - The task
+ * @returns {HTMLElement} The labelled multi-select
+ */
+function createDependencySelect(task) {
+  const container = document.createElement('label');
+  container.className = 'task-editor-dependencies';
+  container.textContent = 'Depends on';
+
+  const otherTasks = getCurrentTasksData().sections
+    .flatMap(section => section.tasks)
+    .filter(candidate => candidate.id !== task.id);
+
+  const select = document.createElement('select');
+  select.multiple = true;
+  select.size = Math.min(Math.max(otherTasks.length, 1), 4);
+  select.title = 'Ctrl-click to pick several tasks';
+
+  otherTasks.forEach(candidate => {
+    const option = document.createElement('option');
+    option.value = candidate.id;
+    option.textContent = candidate.title;
+    option.selected = (task.dependsOn || []).includes(candidate.id);
+    select.appendChild(option);
+  });
+
+  select.addEventListener('change', () => {
+    const dependsOn = [...select.selectedOptions].map(option => option.value);
+    runEdit(() => updateTask(task.id, { dependsOn }), false);
+  });
+
+  container.appendChild(select);
+  return container;
+}
+
+/**
+ * Create a small editor button
+ * @param {string} label - The button label
+ * @param {Function} onClick - Click handler
+ * @param {string} [extraClass] - Additional class name
+ * @returns {HTMLButtonElement} The button
+ */
+function createButton(label, onClick, extraClass = '') {
+  const button = document.createElement('button');
+  button.className = `task-editor-button ${extraClass}`.trim();
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Create the handle a row is dragged by
+ * The row is only draggable while the handle is held, so text in its inputs can still be selected
+ * @param {HTMLElement} row - The row to drag
+ * @param {Object} item - What is being dragged
+ * @returns {HTMLElement} The handle
+ */
+function createDragHandle(row, item) {
+  const handle = document.createElement('span');
+  handle.className = 'task-editor-handle';
+  handle.textContent = '⋮⋮';
+  handle.title = 'Drag to reorder';
+
+  handle.addEventListener('mousedown', () => { row.draggable = true; });
+  handle.addEventListener('mouseup', () => { row.draggable = false; });
+
+  row.addEventListener('dragstart', (event) => {
+    dragged = item;
+    event.dataTransfer.effectAllowed = 'move';
+    row.classList.add('dragging');
+  });
+
+  row.addEventListener('dragend', () => {
+    dragged = null;
+    row.draggable = false;
+    row.classList.remove('dragging');
+  });
+
+  return handle;
+}
+
+/**
+ * Let sections and tasks be dropped on a row
+ * Dropping on the lower half of a row places the item after it
+ * @param {HTMLElement} row - The row
+ * @param {number} sectionIndex - The section the row belongs to
+ * @param {number|null} position - The task's index in its section, or null for a section row
+ */
+function setupDropTarget(row, sectionIndex, position) {
+  /**
+   * Check whether the dragged item can be dropped on this row
+   * @returns {boolean} True if it can
+   */
+  const accepts = () => dragged && (dragged.type === 'task' || position === null);
+
+  row.addEventListener('dragover', (event) => {
+    if (!accepts()) return;
+    event.preventDefault();
+    row.classList.add('drag-over');
+  });
+
+  row.addEventListener('dragleave', () => {
+    row.classList.remove('drag-over');
+  });
+
+  row.addEventListener('drop', (event) => {
+    row.classList.remove('drag-over');
+    if (!accepts()) return;
+    event.preventDefault();
+
+    const rect = row.getBoundingClientRect();
+    const after = event.clientY > rect.top + rect.height / 2;
+    const item = dragged;
+    dragged = null;
+
+    if (item.type === 'section') {
+      let targetIndex = sectionIndex + (after ? 1 : 0);
+      if (item.sectionIndex < targetIndex) targetIndex--;
+      if (targetIndex !== item.sectionIndex) {
+        runEdit(() => moveSection(item.sectionIndex, targetIndex));
+      }
+      return;
+    }
+
+    // Tasks dropped on a section header go to the top of that section
+    let targetPosition = position === null ? 0 : position + (after ? 1 : 0);
+    const source = findTaskPosition(item.taskId);
+    if (source && source.sectionIndex === sectionIndex && source.position < targetPosition) {
+      targetPosition--;
+    }
+
+    if (!source || source.sectionIndex !== sectionIndex || source.position !== targetPosition) {
+      runEdit(() => moveTask(item.taskId, sectionIndex, targetPosition));
+    }
+  });
+}
+
+/**
+ * Find where a task is in the breakdown
+ * @param {string} taskId - The task ID
+ * @returns {Object|null} sectionIndex and position, or null if not found
+ */
+function findTaskPosition(taskId) {
+  const sections = getCurrentTasksData()?.sections || [];
+  for (let sectionIndex = 0; sectionIndex < sections.length; sectionIndex++) {
+    const position = sections[sectionIndex].tasks.findIndex(task => task.id === taskId);
+    if (position !== -1) {
+      return { sectionIndex, position };
+    }
+  }
+  return null;
+}
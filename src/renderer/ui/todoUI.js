@@ -2,9 +2,43 @@
  * UI component for the to-do list panel
  */
 
-import { getCurrentTasksData, updateTaskStatus, getTaskById } from '../services/taskService.js';
-import { startTaskConversation, sendMessageService } from '../services/todoService.js';
+import {
+  getCurrentTasksData,
+  updateTaskStatus,
+  getTaskById,
+  getUsageSummary,
+  getUnmetDependencies,
+  isTaskReady,
+  isDoneStatus,
+  TASK_STATUSES
+} from '../services/taskService.js';
+import { getCurrentGlobalContext } from '../services/contextService.js';
+import { getSetting, MODEL_STAGES } from '../services/settingsService.js';
+import {
+  getTodoItems,
+  updateTodoItem,
+  startTaskConversation,
+  hasTaskConversation,
+  resumeTaskConversation,
+  sendMessageService,
+  stopAssistantResponse,
+  getPendingChange,
+  applyPendingChange,
+  rejectPendingChange,
+  undoFileWriteTurn
+} from '../services/todoService.js';
+import { isAutoApplyFileWrites, setAutoApplyFileWrites, isPathOperation } from '../services/fileWriterService.js';
+import { isCancelledError } from '../services/modelService.js';
 import { initSimpleMarkdownRenderer } from './markdownRenderer.js';
+import { saveProjectState } from '../services/projectService.js';
+import { runSanityCheck, applySanityCheckResult } from '../services/sanityCheckService.js';
+import { createDiffView } from './diffView.js';
+import { isEditingTasks } from './taskEditorUI.js';
+import fileService from '../services/fileService.js';
+import folderSelectionUI from './folderSelectionUI.js';
+
+// Shown when the to-do list changed under a sanity check so much that its changes no longer apply
+const SANITY_CHECK_STALE_NOTE = 'The to-do list changed while the sanity check ran, so its changes to the list were not applied.';
 
 // DOM elements
 let todoList;
@@ -13,12 +47,23 @@ let currentTaskDescription;
 let conversationContainer;
 let messageInput;
 let sendMessageBtn;
+let stopResponseBtn;
 let completeTaskBtn;
 let backToMenuBtn;
+let usageSummary;
+let taskStatusBar;
+let taskStatusSelect;
+let blockedReasonInput;
+let taskStatusHistoryList;
+let autoApplyWritesToggle;
 
 // Current state
 let selectedTaskId = null;
 let markdownRenderer;
+// Incremented for every response so stale responses don't reset the input state
+let responseGeneration = 0;
+// Note shown at the top of the next selected task, e.g. after a sanity check
+let pendingSystemNote = null;
 
 /**
  * Initialize the to-do UI
@@ -31,8 +76,26 @@ export async function initTodoUI() {
   conversationContainer = document.getElementById('conversationContainer');
   messageInput = document.getElementById('messageInput');
   sendMessageBtn = document.getElementById('sendMessageBtn');
+  stopResponseBtn = document.getElementById('stopResponseBtn');
   completeTaskBtn = document.getElementById('completeTaskBtn');
   backToMenuBtn = document.getElementById('backToMenuBtn');
+  usageSummary = document.getElementById('usageSummary');
+  taskStatusBar = document.getElementById('taskStatusBar');
+  taskStatusSelect = document.getElementById('taskStatusSelect');
+  blockedReasonInput = document.getElementById('blockedReasonInput');
+  taskStatusHistoryList = document.getElementById('taskStatusHistoryList');
+  autoApplyWritesToggle = document.getElementById('autoApplyWritesToggle');
+  
+  // Fill the status picker; completing goes through the Mark Task Complete button
+  if (taskStatusSelect) {
+    Object.entries(TASK_STATUSES).forEach(([status, label]) => {
+      const option = document.createElement('option');
+      option.value = status;
+      option.textContent = label;
+      option.disabled = status === 'completed';
+      taskStatusSelect.appendChild(option);
+    });
+  }
   
   // Initialize the simple markdown renderer
   markdownRenderer = initSimpleMarkdownRenderer();
@@ -45,8 +108,52 @@ export async function initTodoUI() {
   // Initialize code copy functionality for the conversation container
   markdownRenderer.setupCopyButtons(conversationContainer);
   
-  // Listen for tasks generated event
-  document.addEventListener('tasksGenerated', renderTaskList);
+  // Listen for tasks generated event; a new breakdown starts from its first task
+  document.addEventListener('tasksGenerated', () => {
+    stopAssistantResponse();
+    selectedTaskId = null;
+    renderTaskList();
+  });
+  
+  // Keep the token and cost figures current
+  document.addEventListener('usageUpdated', updateUsageDisplay);
+  
+  // Resume saved projects that reached the to-do page
+  document.addEventListener('projectOpened', handleProjectOpened);
+  
+  // Show and save sub-steps as they are generated or ticked off
+  document.addEventListener('todoItemsUpdated', (event) => {
+    if (event.detail.taskId === selectedTaskId) {
+      renderTodoItems(selectedTaskId);
+    }
+    saveProjectState();
+  });
+}
+
+/**
+ * Show a reopened project's to-do list, asking for its folder again if it has moved
+ * @param {CustomEvent} event - Event with the project's metadata
+ */
+async function handleProjectOpened(event) {
+  if (event.detail.metadata.stage !== 'execution') {
+    return;
+  }
+  
+  const taskEntryPage = document.getElementById('taskEntryPage');
+  const clarificationPage = document.getElementById('taskClarificationPage');
+  const todoExecutionPage = document.getElementById('todoExecutionPage');
+  
+  if (!fileService.getProjectFolder()) {
+    await folderSelectionUI.showModal();
+    saveProjectState();
+  }
+  
+  if (taskEntryPage) taskEntryPage.style.display = 'none';
+  if (clarificationPage) clarificationPage.style.display = 'none';
+  if (todoExecutionPage) todoExecutionPage.style.display = 'flex';
+  
+  document.dispatchEvent(new CustomEvent('contextUpdated'));
+  renderTaskList();
 }
 
 /**
@@ -69,25 +176,99 @@ function setupFileButtonHandlers() {
           });
       }
     }
+
+    if (event.target.classList.contains('undo-turn-btn')) {
+      undoTurn(event.target.getAttribute('data-turn-id'));
+    }
   });
 }
 
+/**
+ * Put back every file an assistant turn wrote, after asking the user
+ * @param {string} turnId - The turn ID
+ */
+async function undoTurn(turnId) {
+  if (!turnId || !confirm('Undo every file change of this turn? Later changes to the same files are undone too; they stay in the file history.')) {
+    return;
+  }
+
+  try {
+    const restoredPaths = await undoFileWriteTurn(turnId);
+    conversationContainer.querySelectorAll(`.undo-turn-btn[data-turn-id="${turnId}"]`).forEach(button => {
+      const note = document.createElement('span');
+      note.className = 'turn-undone';
+      note.textContent = '↩️ Turn undone';
+      button.replaceWith(note);
+    });
+    appendSystemMessage(`Undid the changes to ${restoredPaths.join(', ')}.`);
+    saveProjectState();
+  } catch (error) {
+    console.error('Error undoing turn:', error);
+    alert(`Could not undo the turn: ${error.message}`);
+  }
+}
+
 // Update your event listeners to use the new function name
 function setupEventListeners() {
   // Complete task button
   if (completeTaskBtn) {
     completeTaskBtn.addEventListener('click', () => {
-      if (selectedTaskId) {
+      if (!selectedTaskId) return;
+
+      // Finished tasks get a Reopen button instead
+      if (isDoneStatus(getTaskById(selectedTaskId)?.status)) {
+        setSelectedTaskStatus('in-progress');
+      } else {
         markTaskComplete(selectedTaskId);
       }
     });
   }
 
+  // Trusted projects write the model's files without review
+  if (autoApplyWritesToggle) {
+    autoApplyWritesToggle.addEventListener('change', () => {
+      setAutoApplyFileWrites(autoApplyWritesToggle.checked);
+      saveProjectState();
+    });
+  }
+
+  // Change the selected task's status; blocking asks for a reason first
+  if (taskStatusSelect) {
+    taskStatusSelect.addEventListener('change', () => {
+      if (taskStatusSelect.value === 'blocked') {
+        blockedReasonInput.value = '';
+        blockedReasonInput.style.display = 'inline-block';
+        blockedReasonInput.focus();
+        return;
+      }
+
+      setSelectedTaskStatus(taskStatusSelect.value);
+    });
+  }
+
+  if (blockedReasonInput) {
+    blockedReasonInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && blockedReasonInput.value.trim()) {
+        setSelectedTaskStatus('blocked', blockedReasonInput.value);
+        e.preventDefault();
+      } else if (e.key === 'Escape') {
+        showTaskStatus(getTaskById(selectedTaskId));
+      }
+    });
+  }
+
   // Send message button - update to use the new function name
   if (sendMessageBtn) {
     sendMessageBtn.addEventListener('click', handleSendMessage);
   }
 
+  // Stop the response that is being generated
+  if (stopResponseBtn) {
+    stopResponseBtn.addEventListener('click', () => {
+      stopAssistantResponse();
+    });
+  }
+
   // Message input enter key - update to use the new function name
   if (messageInput) {
     messageInput.addEventListener('keydown', (e) => {
@@ -121,6 +302,9 @@ function goToMainMenu() {
   const taskEntryPage = document.getElementById('taskEntryPage');
   if (taskEntryPage) taskEntryPage.style.display = 'flex';
 
+  // Stop any response still streaming for the task being left
+  stopAssistantResponse();
+
   // Reset any state if needed
   selectedTaskId = null;
 }
@@ -136,6 +320,16 @@ export function renderTaskList() {
     return;
   }
 
+  // The trust setting belongs to the project, which may have just changed
+  if (autoApplyWritesToggle) {
+    autoApplyWritesToggle.checked = isAutoApplyFileWrites();
+  }
+
+  // The editor shows the list while editing; it re-renders it when done
+  if (isEditingTasks()) {
+    return;
+  }
+
   if (!tasksData || !tasksData.sections) {
     todoList.innerHTML = '<li class="todo-item empty">No tasks available</li>';
     return;
@@ -158,18 +352,24 @@ export function renderTaskList() {
     // Add tasks for this section
     section.tasks.forEach(task => {
       const taskItem = document.createElement('li');
-      taskItem.className = `todo-item ${task.status}`;
+      const waitingFor = getUnmetDependencies(task.id);
+      taskItem.className = `todo-item ${task.status}${waitingFor.length > 0 ? ' waiting' : ''}`;
       taskItem.dataset.taskId = task.id;
+      if (waitingFor.length > 0) {
+        taskItem.title = `Waiting for: ${waitingFor.map(dependency => dependency.title).join(', ')}`;
+      }
       taskItem.innerHTML = `
         <div class="task-status-indicator"></div>
         <div class="task-content">
           <div class="task-title">${task.title}</div>
+          <div class="task-status-label"></div>
+          <div class="task-usage"></div>
         </div>
       `;
+      taskItem.querySelector('.task-status-label').textContent = describeStatus(task);
 
-      // Add click event - only allow selecting if it's the next incomplete task
+      // Add click event - only tasks whose dependencies are done can be selected
       taskItem.addEventListener('click', () => {
-        // Only allow selecting if this is the next task or already selected
         if (canSelectTask(task.id)) {
           selectTask(task.id);
         }
@@ -179,8 +379,213 @@ export function renderTaskList() {
     });
   });
 
-  // Select the first incomplete task automatically
-  selectFirstIncompleteTask();
+  updateUsageDisplay();
+
+  // Stay on the selected task while it can be worked on, otherwise move on to the next one
+  if (selectedTaskId && isTaskReady(selectedTaskId)) {
+    refreshSelectedTask();
+  } else if (!selectFirstIncompleteTask() && getTaskById(selectedTaskId)) {
+    refreshSelectedTask();
+  }
+}
+
+/**
+ * Describe a task's status for the task list; pending, in-progress and completed
+ * are shown by the indicator alone
+ * @param {Object} task - The task
+ * @returns {string} e.g. "Blocked: waiting for API keys", or an empty string
+ */
+function describeStatus(task) {
+  if (task.status === 'blocked') {
+    return task.blockedReason ? `Blocked: ${task.blockedReason}` : 'Blocked';
+  }
+  if (task.status === 'skipped' || task.status === 'needs-review') {
+    return TASK_STATUSES[task.status];
+  }
+  return '';
+}
+
+/**
+ * Show the selected task again after the list was re-rendered, without restarting its conversation
+ */
+function refreshSelectedTask() {
+  const task = getTaskById(selectedTaskId);
+
+  todoList.querySelectorAll('.todo-item').forEach(item => {
+    item.classList.toggle('selected', item.dataset.taskId === selectedTaskId);
+  });
+
+  renderTodoItems(selectedTaskId);
+  showTaskStatus(task);
+  updateTaskControls(task);
+}
+
+/**
+ * Show the selected task's status and status history in the header
+ * @param {Object|null} task - The task, as returned by getTaskById
+ */
+function showTaskStatus(task) {
+  if (!taskStatusBar) return;
+
+  if (!task) {
+    taskStatusBar.style.display = 'none';
+    return;
+  }
+
+  taskStatusBar.style.display = 'flex';
+  taskStatusSelect.value = task.status;
+  blockedReasonInput.style.display = 'none';
+  taskStatusBar.title = task.status === 'blocked' ? task.blockedReason || '' : '';
+
+  taskStatusHistoryList.innerHTML = '';
+  const history = task.statusHistory || [];
+
+  if (history.length === 0) {
+    const empty = document.createElement('li');
+    empty.textContent = 'No status changes yet';
+    taskStatusHistoryList.appendChild(empty);
+  }
+
+  // Most recent first
+  [...history].reverse().forEach(entry => {
+    const item = document.createElement('li');
+    const label = TASK_STATUSES[entry.status] || entry.status;
+    item.textContent = `${new Date(entry.timestamp).toLocaleString()}: ${label}${entry.reason ? ` (${entry.reason})` : ''}`;
+    taskStatusHistoryList.appendChild(item);
+  });
+}
+
+/**
+ * Enable the conversation controls for unfinished tasks; finished tasks must be reopened first
+ * @param {Object|null} task - The task, as returned by getTaskById
+ */
+function updateTaskControls(task) {
+  const finished = Boolean(task) && isDoneStatus(task.status);
+
+  if (messageInput) {
+    messageInput.disabled = !task || finished;
+    messageInput.placeholder = finished
+      ? 'Reopen this task to continue working on it'
+      : 'Ask for help with this task...';
+  }
+
+  if (completeTaskBtn) {
+    completeTaskBtn.disabled = !task;
+    completeTaskBtn.textContent = finished ? 'Reopen Task' : 'Mark Task Complete';
+  }
+}
+
+/**
+ * Set the selected task's status, save it and refresh the task list
+ * @param {string} status - The new status
+ * @param {string} [reason] - Why the task is blocked
+ */
+function setSelectedTaskStatus(status, reason = '') {
+  if (!selectedTaskId) return;
+
+  if (!updateTaskStatus(selectedTaskId, status, reason)) {
+    console.error('Failed to update task status');
+    showTaskStatus(getTaskById(selectedTaskId));
+    return;
+  }
+
+  saveProjectState();
+  renderTaskList();
+}
+
+/**
+ * Show the selected task's sub-steps as a checklist under it in the task list
+ * @param {string} taskId - The ID of the selected task
+ */
+function renderTodoItems(taskId) {
+  if (!todoList) return;
+
+  todoList.querySelectorAll('.todo-subitems').forEach(element => element.remove());
+
+  const task = getTaskById(taskId);
+  const taskItem = todoList.querySelector(`.todo-item[data-task-id="${taskId}"]`);
+  const todoItems = task?.todoItems || [];
+
+  if (!taskItem || todoItems.length === 0) return;
+
+  const container = document.createElement('li');
+  container.className = 'todo-subitems';
+  const checklist = document.createElement('ul');
+
+  todoItems.forEach(item => {
+    const listItem = document.createElement('li');
+    listItem.className = `todo-subitem${item.completed ? ' completed' : ''}`;
+    listItem.title = item.description || '';
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Boolean(item.completed);
+    checkbox.addEventListener('change', () => {
+      updateTodoItem(item.id, { completed: checkbox.checked });
+    });
+
+    const title = document.createElement('span');
+    title.textContent = item.title;
+
+    label.append(checkbox, title);
+    listItem.appendChild(label);
+    checklist.appendChild(listItem);
+  });
+
+  container.appendChild(checklist);
+  taskItem.after(container);
+}
+
+/**
+ * Format a token and cost total for display
+ * @param {Object} totals - Usage totals from taskService
+ * @returns {string} e.g. "12.3k tokens · $0.0123"
+ */
+function formatUsage(totals) {
+  const tokens = totals.totalTokens >= 1000
+    ? `${(totals.totalTokens / 1000).toFixed(1)}k`
+    : `${totals.totalTokens}`;
+  let cost = `$${totals.cost.toFixed(totals.cost > 0 && totals.cost < 0.01 ? 4 : 2)}`;
+
+  // Calls to models without a price make the cost a lower bound
+  if (totals.unpricedCalls > 0) {
+    cost += '+';
+  }
+
+  return `${tokens} tokens · ${cost}`;
+}
+
+/**
+ * Show the project's usage in the header and each task's usage in the list
+ */
+async function updateUsageDisplay() {
+  const summary = getUsageSummary();
+
+  if (usageSummary) {
+    const budgetLimit = Number(await getSetting('budgetLimit', 0)) || 0;
+    let text = summary.total.calls > 0 ? `Project usage: ${formatUsage(summary.total)}` : '';
+
+    if (budgetLimit > 0) {
+      text = `${text || 'Project usage: $0.00'} of $${budgetLimit.toFixed(2)} budget`;
+    }
+
+    usageSummary.textContent = text;
+    usageSummary.classList.toggle('over-budget', budgetLimit > 0 && summary.total.cost >= budgetLimit);
+    usageSummary.title = Object.entries(summary.stages)
+      .map(([stage, totals]) => `${MODEL_STAGES[stage]?.label || stage}: ${formatUsage(totals)}`)
+      .join('\n');
+  }
+
+  if (todoList) {
+    todoList.querySelectorAll('.todo-item[data-task-id]').forEach(taskItem => {
+      const usageElement = taskItem.querySelector('.task-usage');
+      const taskUsage = summary.tasks[taskItem.dataset.taskId];
+      if (usageElement) {
+        usageElement.textContent = taskUsage ? formatUsage(taskUsage) : '';
+      }
+    });
+  }
 }
 
 /**
@@ -192,45 +597,28 @@ function canSelectTask(taskId) {
   // If this is the currently selected task, always allow
   if (taskId === selectedTaskId) return true;
 
-  const tasksData = getCurrentTasksData();
-  if (!tasksData) return false;
-
-  // Find all tasks in order
-  const allTasks = [];
-  tasksData.sections.forEach(section => {
-    section.tasks.forEach(task => {
-      allTasks.push(task);
-    });
-  });
-
-  // Find first incomplete task
-  const firstIncompleteTask = allTasks.find(task => task.status !== 'completed');
-
-  // Only allow selecting the first incomplete task
-  return firstIncompleteTask && firstIncompleteTask.id === taskId;
+  // Otherwise any task whose dependencies are finished, so finished and blocked tasks can be reviewed
+  return getUnmetDependencies(taskId).length === 0;
 }
 
 /**
- * Select the first incomplete task
+ * Select the first task in list order that is ready to work on
+ * @returns {boolean} True if a task was selected
  */
 function selectFirstIncompleteTask() {
   const tasksData = getCurrentTasksData();
-  if (!tasksData) return;
-
-  // Find all tasks
-  const allTasks = [];
-  tasksData.sections.forEach(section => {
-    section.tasks.forEach(task => {
-      allTasks.push(task);
-    });
-  });
+  if (!tasksData) return false;
 
-  // Find first incomplete task
-  const firstIncompleteTask = allTasks.find(task => task.status !== 'completed');
+  const firstReadyTask = tasksData.sections
+    .flatMap(section => section.tasks)
+    .find(task => isTaskReady(task.id));
 
-  if (firstIncompleteTask) {
-    selectTask(firstIncompleteTask.id);
+  if (firstReadyTask) {
+    selectTask(firstReadyTask.id);
+    return true;
   }
+
+  return false;
 }
 
 /**
@@ -255,6 +643,321 @@ function scrollIfNeeded(container, force = false) {
   }
 }
 
+/**
+ * Add an assistant message that fills in as the response streams
+ * Re-renders are batched to one per animation frame
+ * @returns {Object} - The message element and an update(text) function
+ */
+function createStreamingAssistantMessage() {
+  const assistantMessage = document.createElement('div');
+  assistantMessage.className = 'message assistant-message streaming';
+  assistantMessage.innerHTML = `
+    <div class="message-content">
+      <p>Loading assistant response...</p>
+    </div>
+  `;
+  conversationContainer.appendChild(assistantMessage);
+
+  const messageContent = assistantMessage.querySelector('.message-content');
+  let pendingText = null;
+
+  const update = (text) => {
+    const renderScheduled = pendingText !== null;
+    pendingText = text;
+    if (renderScheduled) return;
+
+    requestAnimationFrame(() => {
+      // Check scroll position before the content grows
+      const wasNearBottom = isScrolledNearBottom(conversationContainer);
+      messageContent.innerHTML = markdownRenderer.renderStreaming(pendingText);
+      pendingText = null;
+
+      if (wasNearBottom) {
+        scrollIfNeeded(conversationContainer, true);
+      }
+    });
+  };
+
+  return { element: assistantMessage, update };
+}
+
+/**
+ * Replace a streaming message with the final rendered response
+ * @param {HTMLElement} messageElement - The streaming assistant message
+ * @param {string} response - The final response text
+ */
+function finishStreamingAssistantMessage(messageElement, response) {
+  messageElement.classList.remove('streaming');
+  messageElement.innerHTML = `
+    <div class="message-content">
+      ${markdownRenderer.render(response)}
+    </div>
+  `;
+  renderPendingChanges(messageElement);
+}
+
+/**
+ * Fill the pending change cards in an element with their diff and review buttons
+ * Cards of changes that were applied or rejected since are left as they are
+ * @param {HTMLElement} container - The element holding the cards
+ */
+function renderPendingChanges(container) {
+  container.querySelectorAll('.pending-change[data-change-id]').forEach(card => {
+    const change = getPendingChange(card.dataset.changeId);
+    if (change && isPathOperation(change)) {
+      renderPathOperationCard(card, change);
+    } else if (change) {
+      renderPendingChangeCard(card, change);
+    }
+  });
+}
+
+/**
+ * Show a proposed file write as a diff against the file on disk, with Apply, Edit and Reject
+ * @param {HTMLElement} card - The card element
+ * @param {Object} change - The pending change
+ */
+function renderPendingChangeCard(card, change) {
+  // The content the user has edited the change to, or null while unedited
+  let editedContent = null;
+
+  card.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'pending-change-header';
+  const path = document.createElement('code');
+  path.textContent = change.path;
+  header.append(change.originalContent === null ? 'New file ' : 'Proposed change to ', path);
+
+  const body = document.createElement('div');
+  body.className = 'pending-change-body';
+
+  const actions = document.createElement('div');
+  actions.className = 'pending-change-actions';
+
+  const applyButton = document.createElement('button');
+  applyButton.className = 'pending-change-apply';
+  applyButton.textContent = 'Apply';
+
+  const editButton = document.createElement('button');
+  editButton.className = 'pending-change-edit';
+  editButton.textContent = 'Edit';
+
+  const rejectButton = document.createElement('button');
+  rejectButton.className = 'pending-change-reject';
+  rejectButton.textContent = 'Reject';
+
+  actions.append(applyButton, editButton, rejectButton);
+
+  /**
+   * Show the diff of the proposed or edited content against the file on disk
+   */
+  const showDiff = () => {
+    body.innerHTML = '';
+    if (change.readError) {
+      const note = document.createElement('p');
+      note.className = 'error-message';
+      note.textContent = `Could not read the current file, so the diff is against an empty file: ${change.readError}`;
+      body.appendChild(note);
+    }
+    body.appendChild(createDiffView(change.originalContent || '', editedContent ?? change.content));
+    editButton.textContent = 'Edit';
+  };
+
+  /**
+   * Show an editor for the proposed content
+   */
+  const showEditor = () => {
+    const editor = document.createElement('textarea');
+    editor.className = 'pending-change-editor';
+    editor.value = editedContent ?? change.content;
+    editor.rows = Math.min(Math.max(editor.value.split('\n').length, 6), 24);
+    editor.addEventListener('input', () => {
+      editedContent = editor.value;
+    });
+
+    body.innerHTML = '';
+    body.appendChild(editor);
+    editButton.textContent = 'Show Diff';
+    editor.focus();
+  };
+
+  /**
+   * Swap the card for the change's outcome
+   * @param {string} outcomeCard - The card HTML
+   */
+  const showOutcome = (outcomeCard) => {
+    const outcome = document.createElement('div');
+    outcome.innerHTML = markdownRenderer.render(outcomeCard);
+    card.replaceWith(...outcome.childNodes);
+    saveProjectState();
+  };
+
+  editButton.addEventListener('click', () => {
+    if (body.querySelector('.pending-change-editor')) {
+      showDiff();
+    } else {
+      showEditor();
+    }
+  });
+
+  applyButton.addEventListener('click', async () => {
+    applyButton.disabled = true;
+    try {
+      showOutcome(await applyPendingChange(change.id, editedContent));
+    } catch (error) {
+      console.error(`Error applying change to ${change.path}:`, error);
+      alert(`Could not write ${change.path}: ${error.message}`);
+      applyButton.disabled = false;
+    }
+  });
+
+  rejectButton.addEventListener('click', () => {
+    try {
+      showOutcome(rejectPendingChange(change.id));
+    } catch (error) {
+      console.error(`Error rejecting change to ${change.path}:`, error);
+      alert(error.message);
+    }
+  });
+
+  showDiff();
+  card.append(header, body, actions);
+}
+
+/**
+ * Show a proposed delete, move or create-folder operation with Confirm and Reject
+ * @param {HTMLElement} card - The card element
+ * @param {Object} change - The pending operation
+ */
+function renderPathOperationCard(card, change) {
+  card.innerHTML = '';
+
+  const header = document.createElement('div');
+  header.className = 'pending-change-header';
+  const path = document.createElement('code');
+  path.textContent = change.path;
+  if (change.type === 'move') {
+    const to = document.createElement('code');
+    to.textContent = change.to;
+    header.append('Proposed to move ', path, ' to ', to);
+  } else {
+    header.append(change.type === 'delete' ? 'Proposed to delete ' : 'Proposed to create the folder ', path);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'pending-change-actions';
+
+  const confirmButton = document.createElement('button');
+  confirmButton.className = change.type === 'delete' ? 'pending-change-apply danger' : 'pending-change-apply';
+  confirmButton.textContent = 'Confirm';
+
+  const rejectButton = document.createElement('button');
+  rejectButton.className = 'pending-change-reject';
+  rejectButton.textContent = 'Reject';
+
+  actions.append(confirmButton, rejectButton);
+
+  /**
+   * Swap the card for the operation's outcome
+   * @param {string} outcomeCard - The card HTML
+   */
+  const showOutcome = (outcomeCard) => {
+    const outcome = document.createElement('div');
+    outcome.innerHTML = markdownRenderer.render(outcomeCard);
+    card.replaceWith(...outcome.childNodes);
+    saveProjectState();
+  };
+
+  confirmButton.addEventListener('click', async () => {
+    confirmButton.disabled = true;
+    try {
+      showOutcome(await applyPendingChange(change.id));
+    } catch (error) {
+      console.error(`Error running the ${change.type} of ${change.path}:`, error);
+      alert(`Could not ${change.type === 'mkdir' ? 'create' : change.type} ${change.path}: ${error.message}`);
+      confirmButton.disabled = false;
+    }
+  });
+
+  rejectButton.addEventListener('click', () => {
+    try {
+      showOutcome(rejectPendingChange(change.id));
+    } catch (error) {
+      console.error(`Error rejecting the ${change.type} of ${change.path}:`, error);
+      alert(error.message);
+    }
+  });
+
+  card.append(header, actions);
+}
+
+/**
+ * Toggle the input controls between idle and generating a response
+ * @param {boolean} generating - Whether a response is being generated
+ * @returns {number} - The generation number for this response
+ */
+function setResponseInProgress(generating) {
+  if (generating) {
+    responseGeneration++;
+  }
+
+  if (stopResponseBtn) {
+    stopResponseBtn.style.display = generating ? 'inline-block' : 'none';
+  }
+
+  if (sendMessageBtn) {
+    sendMessageBtn.disabled = generating;
+  }
+
+  return responseGeneration;
+}
+
+/**
+ * Show a stopped response as a system note
+ * @param {HTMLElement} messageElement - The streaming assistant message
+ * @param {string} note - The note to display
+ */
+function showResponseStopped(messageElement, note) {
+  messageElement.className = 'message system-message';
+  messageElement.innerHTML = `
+    <div class="message-content">
+      <p>${note}</p>
+    </div>
+  `;
+}
+
+/**
+ * Show the messages of a resumed conversation
+ * @param {Array<Object>} messages - Array of {role, content}
+ */
+function showConversation(messages) {
+  messages.forEach(message => {
+    const messageElement = document.createElement('div');
+
+    if (message.role === 'user') {
+      messageElement.className = 'message user-message';
+      messageElement.innerHTML = `
+        <div class="message-content">
+          <p>${message.content}</p>
+        </div>
+      `;
+    } else {
+      messageElement.className = 'message assistant-message';
+      messageElement.innerHTML = `
+        <div class="message-content">
+          ${markdownRenderer.render(message.content)}
+        </div>
+      `;
+    }
+
+    conversationContainer.appendChild(messageElement);
+  });
+
+  renderPendingChanges(conversationContainer);
+  scrollIfNeeded(conversationContainer, true);
+}
+
 /**
  * Select a task and show its details
  * @param {string} taskId - The ID of the task to select
@@ -271,6 +974,13 @@ async function selectTask(taskId) {
 
   // Update current task
   selectedTaskId = taskId;
+
+  // Opening a pending task starts work on it
+  if (getTaskById(taskId)?.status === 'pending' && updateTaskStatus(taskId, 'in-progress')) {
+    document.querySelector(`.todo-item[data-task-id="${taskId}"]`)?.classList.replace('pending', 'in-progress');
+    saveProjectState();
+  }
+
   const task = getTaskById(taskId);
 
   if (!task) {
@@ -278,6 +988,9 @@ async function selectTask(taskId) {
     return;
   }
 
+  renderTodoItems(taskId);
+  showTaskStatus(task);
+
   // Update task title and description
   if (currentTaskTitle) {
     currentTaskTitle.textContent = task.title;
@@ -288,9 +1001,8 @@ async function selectTask(taskId) {
   }
 
   // Enable input fields
-  if (messageInput) {
-    messageInput.disabled = false;
-    messageInput.placeholder = 'Ask for help with this task...';
+  updateTaskControls(task);
+  if (messageInput && !messageInput.disabled) {
     messageInput.focus();
   }
 
@@ -298,50 +1010,65 @@ async function selectTask(taskId) {
     sendMessageBtn.disabled = false;
   }
 
-  if (completeTaskBtn) {
-    completeTaskBtn.disabled = false;
-  }
+  // Stop any response still streaming for the previous task
+  stopAssistantResponse();
 
   // Clear conversation and add initial assistant message
   if (conversationContainer) {
     conversationContainer.innerHTML = '';
 
-    // Add loading message
-    const loadingMessage = document.createElement('div');
-    loadingMessage.className = 'message system-message';
-    loadingMessage.innerHTML = `
-      <div class="message-content">
-        <p>Loading assistant response...</p>
-      </div>
-    `;
-    conversationContainer.appendChild(loadingMessage);
+    if (pendingSystemNote) {
+      appendSystemMessage(pendingSystemNote);
+      pendingSystemNote = null;
+    }
+
+    // Going back to a task brings back its conversation instead of starting over
+    if (hasTaskConversation(taskId)) {
+      showConversation(resumeTaskConversation(taskId));
+      return;
+    }
+
+    // Finished tasks are only started again once reopened
+    if (isDoneStatus(task.status)) {
+      appendSystemMessage(`This task is ${TASK_STATUSES[task.status].toLowerCase()}. Reopen it to work on it.`);
+      return;
+    }
+
+    // Add the assistant message that the response streams into
+    const streamingMessage = createStreamingAssistantMessage();
 
     // Always scroll to bottom when selecting a new task (force=true)
     scrollIfNeeded(conversationContainer, true);
 
+    const generation = setResponseInProgress(true);
+
     try {
-      // Get initial message from the AI
-      const initialResponse = await startTaskConversation(taskId);
+      // Plan the task's sub-steps first so the assistant can work through them
+      try {
+        await getTodoItems(taskId);
+      } catch (error) {
+        // The conversation still works without sub-steps
+        if (isCancelledError(error)) throw error;
+      }
 
-      // Remove loading message
-      conversationContainer.removeChild(loadingMessage);
+      if (selectedTaskId !== taskId) return;
 
-      // Add assistant message
-      const assistantMessage = document.createElement('div');
-      assistantMessage.className = 'message assistant-message';
-      assistantMessage.innerHTML = `
-      <div class="message-content">
-        ${markdownRenderer.render(initialResponse)}
-      </div>
-    `;
+      // Get initial message from the AI
+      const initialResponse = await startTaskConversation(taskId, streamingMessage.update);
 
-      conversationContainer.appendChild(assistantMessage);
+      finishStreamingAssistantMessage(streamingMessage.element, initialResponse);
 
       // Always scroll to bottom for initial message (force=true)
       scrollIfNeeded(conversationContainer, true);
     } catch (error) {
-      // Update loading message to show error
-      loadingMessage.innerHTML = `
+      if (isCancelledError(error)) {
+        showResponseStopped(streamingMessage.element, 'Response stopped. Send a message to continue.');
+        return;
+      }
+
+      // Update the message to show error
+      streamingMessage.element.className = 'message system-message';
+      streamingMessage.element.innerHTML = `
         <div class="message-content">
           <p>Error: ${error.message}</p>
           <p>Please try again or check your API settings.</p>
@@ -349,15 +1076,124 @@ async function selectTask(taskId) {
       `;
       // Also scroll for errors
       scrollIfNeeded(conversationContainer, true);
+    } finally {
+      if (generation === responseGeneration) {
+        setResponseInProgress(false);
+      }
+
+      // Keep the conversation on disk so it survives restarts
+      saveProjectState();
     }
   }
 }
 
 /**
- * Mark a task as complete
+ * Add a system message to the conversation
+ * @param {string} text - The message text
+ * @returns {HTMLElement} The message element
+ */
+function appendSystemMessage(text) {
+  const message = document.createElement('div');
+  message.className = 'message system-message';
+  message.innerHTML = '<div class="message-content"><p></p></div>';
+  message.querySelector('p').textContent = text;
+
+  conversationContainer.appendChild(message);
+  scrollIfNeeded(conversationContainer, true);
+  return message;
+}
+
+/**
+ * Describe what a sanity check result changes
+ * @param {Object} result - The sanity check result
+ * @returns {string} e.g. "global context and to-do list"
+ */
+function describeSanityCheckChanges(result) {
+  return [
+    result.contextChanged && 'global context',
+    result.tasksChanged && 'to-do list'
+  ].filter(Boolean).join(' and ');
+}
+
+/**
+ * Show substantial sanity check changes as a diff for the user to accept
+ * @param {Object} result - The sanity check result
+ * @returns {Promise<boolean>} True if the user applied the changes
+ */
+function showSanityCheckProposal(result) {
+  return new Promise(resolve => {
+    const proposal = document.createElement('div');
+    proposal.className = 'message system-message sanity-check-proposal';
+
+    const content = document.createElement('div');
+    content.className = 'message-content';
+
+    const heading = document.createElement('p');
+    heading.textContent = `The sanity check suggests substantial changes to the ${describeSanityCheckChanges(result)}.`;
+    content.appendChild(heading);
+
+    if (result.explanation) {
+      const explanation = document.createElement('p');
+      explanation.className = 'sanity-check-explanation';
+      explanation.textContent = result.explanation;
+      content.appendChild(explanation);
+    }
+
+    if (result.contextChanged) {
+      const title = document.createElement('h4');
+      title.textContent = 'Global context';
+      content.append(title, createDiffView(getCurrentGlobalContext() || '', result.globalContext));
+    }
+
+    if (result.tasksChanged) {
+      const title = document.createElement('h4');
+      title.textContent = 'To-do list';
+      content.append(title, createDiffView(
+        JSON.stringify(getCurrentTasksData(), null, 2),
+        JSON.stringify(result.tasksData, null, 2)
+      ));
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'sanity-check-actions';
+
+    const applyButton = document.createElement('button');
+    applyButton.className = 'primary-button';
+    applyButton.textContent = 'Apply changes';
+
+    const dismissButton = document.createElement('button');
+    dismissButton.className = 'secondary-button';
+    dismissButton.textContent = 'Keep as is';
+
+    /**
+     * Settle the proposal and replace the buttons with the decision
+     * @param {boolean} accepted - Whether the changes were applied
+     */
+    const decide = (accepted) => {
+      actions.innerHTML = '';
+      const decision = document.createElement('p');
+      decision.textContent = accepted ? 'Changes applied.' : 'Changes dismissed.';
+      actions.appendChild(decision);
+      resolve(accepted);
+    };
+
+    applyButton.addEventListener('click', () => decide(true));
+    dismissButton.addEventListener('click', () => decide(false));
+    actions.append(dismissButton, applyButton);
+    content.appendChild(actions);
+
+    proposal.appendChild(content);
+    conversationContainer.appendChild(proposal);
+    scrollIfNeeded(conversationContainer, true);
+  });
+}
+
+/**
+ * Mark a task as complete, run the sanity check and move on to the next task
+ * Minor sanity check edits are applied straight away; substantial ones wait for the user
  * @param {string} taskId - The ID of the task to complete
  */
-function markTaskComplete(taskId) {
+async function markTaskComplete(taskId) {
   // Update task status
   const success = updateTaskStatus(taskId, 'completed');
 
@@ -369,28 +1205,65 @@ function markTaskComplete(taskId) {
   // Update UI
   const taskItem = document.querySelector(`.todo-item[data-task-id="${taskId}"]`);
   if (taskItem) {
-    taskItem.classList.remove('pending', 'in-progress');
+    taskItem.classList.remove(...Object.keys(TASK_STATUSES));
     taskItem.classList.add('completed');
   }
+  showTaskStatus(getTaskById(taskId));
+  
+  saveProjectState();
 
-  // Add completion message
-  if (conversationContainer) {
-    const completionMessage = document.createElement('div');
-    completionMessage.className = 'message system-message';
-    completionMessage.innerHTML = `
-      <div class="message-content">
-        <p>✅ Task marked as complete.</p>
-      </div>
-    `;
+  if (completeTaskBtn) {
+    completeTaskBtn.disabled = true;
+  }
 
-    conversationContainer.appendChild(completionMessage);
+  appendSystemMessage('✅ Task marked as complete.');
+  const checkingMessage = appendSystemMessage('Checking the global context and to-do list against the finished work...');
 
-    // Scroll to bottom
-    conversationContainer.scrollTop = conversationContainer.scrollHeight;
+  let result = null;
+  try {
+    result = await runSanityCheck(taskId);
+  } catch (error) {
+    if (!isCancelledError(error)) {
+      console.error('Error running sanity check:', error);
+    }
+  }
+
+  checkingMessage.remove();
+
+  if (result && result.changes === 'minor') {
+    const applied = applySanityCheckResult(result);
+    saveProjectState();
+    pendingSystemNote = [
+      (applied.contextChanged || applied.tasksChanged) &&
+        `The sanity check updated the ${describeSanityCheckChanges(applied)}${result.explanation ? `: ${result.explanation}` : '.'}`,
+      result.tasksChanged && !applied.tasksChanged && SANITY_CHECK_STALE_NOTE
+    ].filter(Boolean).join(' ');
+  }
+
+  // The user left the page or picked another task while the check ran
+  if (selectedTaskId !== taskId) {
+    return;
+  }
+
+  if (result && result.changes === 'substantial') {
+    const accepted = await showSanityCheckProposal(result);
+    if (accepted) {
+      const applied = applySanityCheckResult(result);
+      saveProjectState();
+      pendingSystemNote = [
+        (applied.contextChanged || applied.tasksChanged) &&
+          `Applied the sanity check changes to the ${describeSanityCheckChanges(applied)}.`,
+        result.tasksChanged && !applied.tasksChanged && SANITY_CHECK_STALE_NOTE
+      ].filter(Boolean).join(' ');
+    }
+
+    if (selectedTaskId !== taskId) {
+      return;
+    }
   }
 
-  // Automatically select next incomplete task
-  selectFirstIncompleteTask();
+  // Re-render in case the to-do list changed, then select the next incomplete task
+  renderTaskList();
 }
 
 // Update the sendMessage function's scrolling behavior
@@ -399,11 +1272,17 @@ async function handleSendMessage() {
     return;
   }
 
+  // Wait for the current response to finish (or be stopped) first
+  if (sendMessageBtn && sendMessageBtn.disabled) {
+    return;
+  }
+
   const messageText = messageInput.value.trim();
 
   // Add user message to conversation
+  let userMessage = null;
   if (conversationContainer) {
-    const userMessage = document.createElement('div');
+    userMessage = document.createElement('div');
     userMessage.className = 'message user-message';
     userMessage.innerHTML = `
       <div class="message-content">
@@ -413,53 +1292,48 @@ async function handleSendMessage() {
 
     conversationContainer.appendChild(userMessage);
 
-    // User just sent a message, so we want to see the loading indicator
+    // User just sent a message, so we want to see the response arrive
     // Always scroll to bottom after user sends message (force=true)
     scrollIfNeeded(conversationContainer, true);
+  }
 
-    // Add loading message
-    const loadingMessage = document.createElement('div');
-    loadingMessage.className = 'message system-message';
-    loadingMessage.innerHTML = `
-      <div class="message-content">
-        <p>Loading assistant response...</p>
-      </div>
-    `;
-    conversationContainer.appendChild(loadingMessage);
-
-    // Also scroll to see the loading indicator
+  // Add the assistant message that the response streams into
+  const streamingMessage = conversationContainer ? createStreamingAssistantMessage() : null;
+  if (streamingMessage) {
     scrollIfNeeded(conversationContainer, true);
   }
 
   // Clear input
   messageInput.value = '';
 
+  const generation = setResponseInProgress(true);
+
   try {
     // Get response from the AI - use the imported service function
-    const response = await sendMessageService(messageText);
-
-    if (conversationContainer) {
-      // Remove loading message
-      conversationContainer.removeChild(conversationContainer.lastChild);
+    const response = await sendMessageService(messageText, streamingMessage ? streamingMessage.update : null);
 
-      // Add assistant message
-      const assistantMessage = document.createElement('div');
-      assistantMessage.className = 'message assistant-message';
-      assistantMessage.innerHTML = `
-      <div class="message-content">
-        ${markdownRenderer.render(response)}
-      </div>
-    `;
-
-      conversationContainer.appendChild(assistantMessage);
+    if (streamingMessage) {
+      finishStreamingAssistantMessage(streamingMessage.element, response);
 
       // Check if we should auto-scroll based on where the user was before the response
       scrollIfNeeded(conversationContainer);
     }
   } catch (error) {
-    if (conversationContainer) {
-      // Update loading message to show error
-      conversationContainer.lastChild.innerHTML = `
+    if (isCancelledError(error)) {
+      // The service rolled the message back, so undo it in the UI too
+      if (userMessage) userMessage.remove();
+      if (streamingMessage) streamingMessage.element.remove();
+
+      if (!messageInput.value) {
+        messageInput.value = messageText;
+      }
+      return;
+    }
+
+    if (streamingMessage) {
+      // Update the message to show error
+      streamingMessage.element.className = 'message system-message';
+      streamingMessage.element.innerHTML = `
         <div class="message-content">
           <p>Error: ${error.message}</p>
           <p>Please try again or check your API settings.</p>
@@ -469,5 +1343,11 @@ async function handleSendMessage() {
       // Auto-scroll to show error
       scrollIfNeeded(conversationContainer);
     }
+  } finally {
+    if (generation === responseGeneration) {
+      setResponseInProgress(false);
+    }
+
+    saveProjectState();
   }
 }
\ No newline at end of file